@@ -1,7 +1,9 @@
 // api.js - ArbitrageEdge API with x402 Payments
 // x402-compliant for x402scan listing
+//
+// Exports createApp() - the HTTP server itself is started by server.js,
+// so the app can be embedded in another service or driven from tests.
 
-import { config } from 'dotenv';
 import express from 'express';
 import cors from 'cors';
 import { paymentMiddleware, x402ResourceServer } from '@x402/express';
@@ -11,79 +13,40 @@ import { facilitator } from '@coinbase/x402';
 import { createPaywall } from '@x402/paywall';
 import { evmPaywall } from '@x402/paywall/evm';
 import { declareDiscoveryExtension } from '@x402/extensions/bazaar';
-
-config();
+import path from 'path';
+import { createOpportunityStore } from './lib/opportunityStore.js';
+import { createOddsHistory } from './lib/oddsHistory.js';
+import { parseDateRange, opportunityStats } from './lib/stats.js';
+import { parseBacktestInput, runBacktest } from './lib/backtest.js';
+import { createBetStore, parseLegInput, fillLegs, parseSettlement } from './lib/bets.js';
+import { createOpportunityService, rescaleOpportunity } from './lib/opportunities.js';
+import { createRefreshScheduler } from './lib/scheduler.js';
+import { createSportsCatalogue } from './lib/catalogue.js';
+import { createOpportunityStream, createStreamPasses, STREAM_PATH, STREAM_WS_PATH } from './lib/stream.js';
+import { createAlertStore, createAlertDispatcher, parseAlertInput, SIGNATURE_HEADER } from './lib/alerts.js';
+import { createProfileStore } from './lib/profiles.js';
+import { parseBookmakerFilter, mergeBookmakerFilters, isBookmakerAllowed, parseCommissions, DEFAULT_COMMISSIONS } from './lib/bookmakers.js';
+import { parseStakingOptions, mergeStakingOptions, formatStakingMode } from './lib/staking.js';
+import { parseLegs, parseOutcomes, calculateStakes, calculateOddsArbitrage } from './lib/calculator.js';
+import { formatOdds, parseOddsFormat } from './lib/oddsFormat.js';
+import { DEFAULT_SHARP_BOOK } from './lib/value.js';
+import { SPORTS_CONFIG, SUPPORTED_SPORTS, SPORT_NAMES } from './lib/sports.js';
 
 // ============================================
 // CONFIGURATION
 // ============================================
 const API_NAME = 'ArbitrageEdge';
-const PORT = process.env.PORT || 3000;
-const NETWORK = 'eip155:8453'; // Base Mainnet
-const payTo = process.env.WALLET_ADDRESS;
-
-// The Odds API Configuration
-const ODDS_API_KEY = process.env.ODDS_API_KEY;
-const ODDS_API_BASE = 'https://api.the-odds-api.com/v4';
-
-// Sports configuration for The Odds API
-// See https://the-odds-api.com/sports-odds-data/sports-apis.html for all sport keys
-const SPORTS_CONFIG = {
-  soccer: { api_key: 'soccer_epl', has_draw: true, display_name: 'Soccer - Premier League' },
-  basketball: { api_key: 'basketball_nba', has_draw: false, display_name: 'NBA Basketball' },
-  tennis: { api_key: 'tennis_atp_aus_open', has_draw: false, display_name: 'Tennis - ATP', 
-            fallback_keys: ['tennis_wta_aus_open', 'tennis_atp_us_open', 'tennis_wta_us_open'] },
-  nfl: { api_key: 'americanfootball_nfl', has_draw: false, display_name: 'NFL' },
-  mlb: { api_key: 'baseball_mlb', has_draw: false, display_name: 'MLB Baseball' },
-};
-
-// In-memory cache
-const cache = {
-  data: {},        // { sport: { opportunities: [], timestamp: Date } }
-  duration: 30 * 60 * 1000,  // 30 minutes
-};
-
-// API Keys for backward compatibility (Apify actor, etc.)
-const VALID_API_KEYS = new Set([
-  process.env.API_KEY_1 || 'demo_key_12345',
-  process.env.API_KEY_2,
-  process.env.API_KEY_3,
-].filter(Boolean));
-
-// Validate required env vars
-if (!process.env.CDP_API_KEY_ID || !process.env.CDP_API_KEY_SECRET || !payTo) {
-  console.error('❌ Missing required env vars: CDP_API_KEY_ID, CDP_API_KEY_SECRET, WALLET_ADDRESS');
-  console.error('   Get CDP credentials from: https://portal.cdp.coinbase.com/projects');
-  process.exit(1);
-}
-
-// ============================================
-// x402 SETUP
-// ============================================
-const facilitatorClient = new HTTPFacilitatorClient(facilitator);
-const resourceServer = new x402ResourceServer(facilitatorClient)
-  .register(NETWORK, new ExactEvmScheme());
-
-const paywall = createPaywall()
-  .withNetwork(evmPaywall)
-  .withConfig({ appName: API_NAME, testnet: false })
-  .build();
+const DEFAULT_NETWORK = 'eip155:8453'; // Base Mainnet
+const DEFAULT_BASE_URL = 'https://sportsarbitrageapi-production.up.railway.app';
+const DEFAULT_CACHE_DURATION = 30 * 60 * 1000;  // 30 minutes
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_NEAR_ARB_MARGIN = 10; // percent overround, beyond that it's just a market
+const DEFAULT_MIDDLE_LOSS = 5;   // percent of stake a middle may lose when only one leg wins
+const MAX_MIDDLE_LOSS = 20;
 
 // ============================================
 // x402scan BAZAAR SCHEMA (enables dropdown)
 // ============================================
-const BASE_URL = process.env.BASE_URL || 'https://sportsarbitrageapi-production.up.railway.app';
-
-const SUPPORTED_SPORTS = ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'];
-
-const SPORT_NAMES = {
-  soccer: 'Soccer (Premier League, La Liga, etc.)',
-  basketball: 'Basketball (NBA)',
-  tennis: 'Tennis (ATP)',
-  nfl: 'NFL (American Football)',
-  mlb: 'MLB (Baseball)',
-};
-
 // Bazaar schema - this creates the dropdown in x402scan!
 const bazaarSchema = {
   input: { sport: 'soccer' },
@@ -118,466 +81,9 @@ const bazaarSchema = {
 };
 
 // ============================================
-// ARBITRAGE CALCULATOR (embedded)
-// ============================================
-function calculate2WayArbitrage(odds) {
-  let bestOdds1 = { odds: 0, bookmaker: null };
-  let bestOdds2 = { odds: 0, bookmaker: null };
-
-  for (const odd of odds) {
-    if (odd.odds1 > bestOdds1.odds) {
-      bestOdds1 = { odds: odd.odds1, bookmaker: odd.bookmaker };
-    }
-    if (odd.odds2 > bestOdds2.odds) {
-      bestOdds2 = { odds: odd.odds2, bookmaker: odd.bookmaker };
-    }
-  }
-
-  const impliedProb1 = 1 / bestOdds1.odds;
-  const impliedProb2 = 1 / bestOdds2.odds;
-  const totalImpliedProb = impliedProb1 + impliedProb2;
-
-  if (totalImpliedProb >= 1.0) return null;
-
-  const profitPercentage = ((1 / totalImpliedProb) - 1) * 100;
-  const stake1Pct = (impliedProb1 / totalImpliedProb) * 100;
-  const stake2Pct = (impliedProb2 / totalImpliedProb) * 100;
-
-  return {
-    exists: true,
-    profit_percentage: parseFloat(profitPercentage.toFixed(2)),
-    bets: [
-      { outcome: odds[0].team1, bookmaker: bestOdds1.bookmaker, odds: bestOdds1.odds, stake_pct: parseFloat(stake1Pct.toFixed(2)) },
-      { outcome: odds[0].team2, bookmaker: bestOdds2.bookmaker, odds: bestOdds2.odds, stake_pct: parseFloat(stake2Pct.toFixed(2)) }
-    ]
-  };
-}
-
-function calculate3WayArbitrage(odds) {
-  let bestOdds1 = { odds: 0, bookmaker: null };
-  let bestOdds2 = { odds: 0, bookmaker: null };
-  let bestDraw = { odds: 0, bookmaker: null };
-
-  for (const odd of odds) {
-    if (odd.odds1 > bestOdds1.odds) bestOdds1 = { odds: odd.odds1, bookmaker: odd.bookmaker };
-    if (odd.odds2 > bestOdds2.odds) bestOdds2 = { odds: odd.odds2, bookmaker: odd.bookmaker };
-    if (odd.draw_odds && odd.draw_odds > bestDraw.odds) bestDraw = { odds: odd.draw_odds, bookmaker: odd.bookmaker };
-  }
-
-  if (bestOdds1.odds === 0 || bestOdds2.odds === 0 || bestDraw.odds === 0) return null;
-
-  const impliedProb1 = 1 / bestOdds1.odds;
-  const impliedProb2 = 1 / bestOdds2.odds;
-  const impliedProbDraw = 1 / bestDraw.odds;
-  const totalImpliedProb = impliedProb1 + impliedProb2 + impliedProbDraw;
-
-  if (totalImpliedProb >= 1.0) return null;
-
-  const profitPercentage = ((1 / totalImpliedProb) - 1) * 100;
-  const stake1Pct = (impliedProb1 / totalImpliedProb) * 100;
-  const stake2Pct = (impliedProb2 / totalImpliedProb) * 100;
-  const stakeDrawPct = (impliedProbDraw / totalImpliedProb) * 100;
-
-  return {
-    exists: true,
-    profit_percentage: parseFloat(profitPercentage.toFixed(2)),
-    bets: [
-      { outcome: odds[0].team1, bookmaker: bestOdds1.bookmaker, odds: bestOdds1.odds, stake_pct: parseFloat(stake1Pct.toFixed(2)) },
-      { outcome: 'Draw', bookmaker: bestDraw.bookmaker, odds: bestDraw.odds, stake_pct: parseFloat(stakeDrawPct.toFixed(2)) },
-      { outcome: odds[0].team2, bookmaker: bestOdds2.bookmaker, odds: bestOdds2.odds, stake_pct: parseFloat(stake2Pct.toFixed(2)) }
-    ]
-  };
-}
-
-function calculateStakeAmounts(arbitrage, totalStake) {
-  return arbitrage.bets.map(bet => ({
-    ...bet,
-    stake_amount: parseFloat((totalStake * bet.stake_pct / 100).toFixed(2)),
-    potential_return: parseFloat((totalStake * bet.stake_pct / 100 * bet.odds).toFixed(2))
-  }));
-}
-
-// ============================================
-// THE ODDS API - REAL DATA SCRAPING
-// ============================================
-
-/**
- * Check if cached data is still valid
- */
-function isCacheValid(sport) {
-  const cached = cache.data[sport];
-  if (!cached) return false;
-  return (Date.now() - cached.timestamp) < cache.duration;
-}
-
-/**
- * Scrape real odds from The Odds API
- */
-async function scrapeOddsForSport(sport) {
-  const sportConfig = SPORTS_CONFIG[sport];
-  if (!sportConfig) {
-    console.log(`❌ Unknown sport: ${sport}`);
-    return { matches: [], error: `Unknown sport: ${sport}` };
-  }
-  
-  console.log(`🔍 Scraping ${sportConfig.display_name} from The Odds API...`);
-  
-  if (!ODDS_API_KEY) {
-    console.log('❌ ODDS_API_KEY not set in Railway environment variables');
-    return { matches: [], error: 'ODDS_API_KEY not configured. Add it in Railway Variables.' };
-  }
-  
-  // Try main API key and fallbacks
-  const keysToTry = [sportConfig.api_key, ...(sportConfig.fallback_keys || [])];
-  
-  for (const apiKey of keysToTry) {
-    try {
-      console.log(`   Trying API key: ${apiKey}`);
-      const url = `${ODDS_API_BASE}/sports/${apiKey}/odds`;
-      
-      const response = await fetch(url + '?' + new URLSearchParams({
-        apiKey: ODDS_API_KEY,
-        regions: 'us,uk,eu',
-        markets: 'h2h',
-        oddsFormat: 'decimal'
-      }));
-      
-      if (!response.ok) {
-        console.log(`   ⚠️ ${apiKey}: ${response.status} - ${response.statusText}`);
-        continue;
-      }
-      
-      const games = await response.json();
-      
-      if (!games || games.length === 0) {
-        console.log(`   ⚠️ ${apiKey}: No games found`);
-        continue;
-      }
-      
-      console.log(`   ✅ ${apiKey}: Found ${games.length} games`);
-      
-      // Convert to our odds format
-      const allMatches = [];
-      
-      for (const game of games) {
-        const matchOdds = [];
-        
-        for (const bookmaker of game.bookmakers) {
-          const market = bookmaker.markets.find(m => m.key === 'h2h');
-          if (!market || !market.outcomes) continue;
-          
-          const homeOutcome = market.outcomes.find(o => o.name === game.home_team);
-          const awayOutcome = market.outcomes.find(o => o.name === game.away_team);
-          const drawOutcome = market.outcomes.find(o => o.name === 'Draw');
-          
-          if (!homeOutcome || !awayOutcome) continue;
-          
-          matchOdds.push({
-            team1: game.home_team,
-            team2: game.away_team,
-            bookmaker: bookmaker.title,
-            odds1: parseFloat(homeOutcome.price),
-            odds2: parseFloat(awayOutcome.price),
-            draw_odds: drawOutcome ? parseFloat(drawOutcome.price) : null,
-          });
-        }
-        
-        // Need at least 2 bookmakers to find arbitrage
-        if (matchOdds.length >= 2) {
-          allMatches.push({
-            match_name: `${game.home_team} vs ${game.away_team}`,
-            start_time: game.commence_time,
-            sport: sport,
-            league: sportConfig.display_name,
-            odds: matchOdds,
-            has_draw: sportConfig.has_draw
-          });
-        }
-      }
-      
-      console.log(`✅ Processed ${allMatches.length} matches with 2+ bookmakers for ${sport}`);
-      return { matches: allMatches, error: null, apiKeyUsed: apiKey };
-      
-    } catch (error) {
-      console.error(`   ❌ ${apiKey} error:`, error.message);
-      continue;
-    }
-  }
-  
-  // All keys failed
-  return { matches: [], error: `No active events found for ${sport}. Season may be off or no matches scheduled.` };
-}
-
-/**
- * Find arbitrage opportunities from odds data
- */
-function findArbitrageOpportunities(matches, minProfit = 0, stake = 100) {
-  const opportunities = [];
-  
-  for (const match of matches) {
-    const arbitrage = match.has_draw 
-      ? calculate3WayArbitrage(match.odds)
-      : calculate2WayArbitrage(match.odds);
-    
-    if (arbitrage && arbitrage.exists && arbitrage.profit_percentage >= minProfit) {
-      const betsWithStakes = calculateStakeAmounts(arbitrage, stake);
-      const guaranteedProfit = (stake * arbitrage.profit_percentage / 100).toFixed(2);
-      
-      opportunities.push({
-        id: `arb_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-        match: {
-          name: match.match_name,
-          sport: match.sport,
-          league: match.league,
-          start_time: match.start_time
-        },
-        profit_percentage: arbitrage.profit_percentage,
-        total_stake: stake,
-        guaranteed_profit: guaranteedProfit,
-        bets: betsWithStakes,
-        detected_at: new Date().toISOString()
-      });
-    }
-  }
-  
-  // Sort by profit percentage (highest first)
-  opportunities.sort((a, b) => b.profit_percentage - a.profit_percentage);
-  
-  return opportunities;
-}
-
-/**
- * Get opportunities (with caching and on-demand scraping)
- */
-async function getOpportunities(sport, minProfit = 0, stake = 100) {
-  const sportLower = sport.toLowerCase();
-  
-  // Validate sport
-  if (!SPORTS_CONFIG[sportLower]) {
-    console.log(`❌ Invalid sport: ${sport}`);
-    return { opportunities: [], error: 'Invalid sport' };
-  }
-  
-  // Check cache first
-  if (isCacheValid(sportLower)) {
-    const cached = cache.data[sportLower];
-    const cacheAge = Math.round((Date.now() - cached.timestamp) / 1000 / 60);
-    console.log(`✅ Using cached data for ${sport} (${cacheAge} min old)`);
-    
-    // Filter by minProfit and recalculate stakes if needed
-    let opportunities = [...cached.opportunities]; // Clone to avoid mutation
-    if (minProfit > 0) {
-      opportunities = opportunities.filter(opp => opp.profit_percentage >= minProfit);
-    }
-    if (stake !== 100) {
-      opportunities = opportunities.map(opp => ({
-        ...opp,
-        total_stake: stake,
-        guaranteed_profit: (stake * opp.profit_percentage / 100).toFixed(2),
-        bets: opp.bets.map(bet => ({
-          ...bet,
-          stake_amount: parseFloat((stake * bet.stake_pct / 100).toFixed(2)),
-          potential_return: parseFloat((stake * bet.stake_pct / 100 * bet.odds).toFixed(2))
-        }))
-      }));
-    }
-    
-    return { opportunities, fromCache: true, cacheAge };
-  }
-  
-  // Check if API key is configured
-  if (!ODDS_API_KEY) {
-    console.log(`⚠️ ODDS_API_KEY not configured`);
-    return { 
-      opportunities: [], 
-      error: 'API not configured',
-      message: 'The Odds API key is not configured. Please contact the API administrator.'
-    };
-  }
-  
-  // Scrape fresh data
-  console.log(`🔄 Cache expired/empty for ${sport}, scraping from The Odds API...`);
-  
-  try {
-    const scrapeResult = await scrapeOddsForSport(sportLower);
-    const matches = scrapeResult.matches || [];
-    
-    console.log(`📊 Scraped ${matches.length} matches for ${sport}`);
-    
-    // If no matches and there's an error, return it
-    if (matches.length === 0 && scrapeResult.error) {
-      return { 
-        opportunities: [], 
-        fromCache: false,
-        error: scrapeResult.error,
-        message: scrapeResult.error
-      };
-    }
-    
-    // Find arbitrage opportunities
-    const opportunities = findArbitrageOpportunities(matches, minProfit, stake);
-    
-    console.log(`💰 Found ${opportunities.length} arbitrage opportunities`);
-    
-    // Cache the results (with default stake for later filtering)
-    const opportunitiesForCache = findArbitrageOpportunities(matches, 0, 100);
-    cache.data[sportLower] = {
-      opportunities: opportunitiesForCache,
-      timestamp: Date.now(),
-      matchesScraped: matches.length
-    };
-    
-    console.log(`💾 Cached ${opportunitiesForCache.length} opportunities for ${sport}`);
-    
-    return { 
-      opportunities, 
-      fromCache: false, 
-      scraped: true,
-      matchesAnalyzed: matches.length
-    };
-    
-  } catch (error) {
-    console.error(`❌ Error in getOpportunities:`, error);
-    return { 
-      opportunities: [], 
-      error: error.message 
-    };
-  }
-}
-
-// ============================================
-// EXPRESS APP
-// ============================================
-const app = express();
-
-// IMPORTANT: Trust Railway's proxy for correct HTTPS detection
-app.set('trust proxy', true);
-
-app.use(cors());
-app.use(express.json());
-
-// Request logging
-app.use((req, res, next) => {
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
-  next();
-});
-
-// ============================================
-// API KEY MIDDLEWARE (for backward compatibility)
-// Must run BEFORE x402 middleware!
-// ============================================
-function apiKeyAuth(req, res, next) {
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey && VALID_API_KEYS.has(apiKey)) {
-    req.authMethod = 'api_key';
-    console.log(`   🔑 Valid API key, bypassing x402`);
-    return next();
-  }
-  // No valid API key - let x402 handle it
-  next();
-}
-
-// Check API key BEFORE x402 middleware runs
-// This bypasses x402 payment for valid API keys
-app.use('/api/opportunities', (req, res, next) => {
-  const apiKey = req.headers['x-api-key'];
-  if (apiKey && VALID_API_KEYS.has(apiKey)) {
-    req.authMethod = 'api_key';
-    req.skipX402 = true;
-    console.log(`   🔑 API key authenticated: ${apiKey.substring(0, 8)}...`);
-  }
-  next();
-});
-// RapidAPI authentication bypass
-app.use('/api/opportunities', (req, res, next) => {
-  const rapidApiKey = req.headers['x-rapidapi-key'];
-  const rapidApiHost = req.headers['x-rapidapi-host'];
-  if (rapidApiKey && rapidApiHost) {
-    req.authMethod = 'rapidapi';
-    req.skipX402 = true;
-    console.log(`   🚀 RapidAPI request authenticated`);
-  }
-  next();
-});
-
-// ============================================
-// x402 PAYMENT MIDDLEWARE
-// ============================================
-// Custom wrapper to skip x402 if API key is valid
-const x402Routes = {
-  'POST /api/opportunities/sport': {
-    accepts: [{ scheme: 'exact', price: '$0.03', network: NETWORK, payTo }],
-    description: 'Sports betting arbitrage opportunities. Find guaranteed profit across bookmakers for Soccer, Basketball (NBA), Tennis, NFL, or MLB.',
-    mimeType: 'application/json',
-    extensions: {
-      ...declareDiscoveryExtension(bazaarSchema),
-    },
-  },
-  'GET /api/opportunities/sport': {
-    accepts: [{ scheme: 'exact', price: '$0.03', network: NETWORK, payTo }],
-    description: 'Sports betting arbitrage opportunities. Find guaranteed profit across bookmakers for Soccer, Basketball (NBA), Tennis, NFL, or MLB.',
-    mimeType: 'application/json',
-    extensions: {
-      ...declareDiscoveryExtension(bazaarSchema),
-    },
-  },
-  'GET /api/opportunities/sport/*': {
-    accepts: [{ scheme: 'exact', price: '$0.03', network: NETWORK, payTo }],
-    description: 'Get arbitrage opportunities for a specific sport (soccer, basketball, tennis, nfl, mlb)',
-    mimeType: 'application/json',
-  },
-};
-
-const x402Handler = paymentMiddleware(x402Routes, resourceServer, undefined, paywall);
-
-// Wrap x402 middleware to skip if API key is present
-app.use((req, res, next) => {
-  if (req.skipX402) {
-    // API key was valid, skip x402 payment check
-    return next();
-  }
-  // No API key, run x402 payment middleware
-  x402Handler(req, res, next);
-});
-
-// ============================================
-// FREE ENDPOINTS (no payment required)
+// LANDING PAGE
 // ============================================
-
-// x402 Discovery Document
-app.get('/.well-known/x402', (req, res) => {
-  res.json({
-    version: 1,
-    resources: [
-      `${BASE_URL}/api/opportunities/sport`
-    ],
-    instructions: `# ArbitrageEdge - Sports Betting Arbitrage API
-
-Find guaranteed profit opportunities across multiple bookmakers.
-
-## How to Use
-Select a sport from the dropdown and click Fetch. Supported sports:
-${SUPPORTED_SPORTS.map(sport => `- **${sport}** (${SPORT_NAMES[sport]})`).join('\n')}
-
-## Pricing
-- **$0.03 USDC** per query
-- **Network:** Base Mainnet
-- **Payment:** Gasless EIP-3009 signatures
-
-## What You Get
-- Live arbitrage opportunities for selected sport
-- Exact betting instructions (which bookmaker, how much to stake)
-- Guaranteed profit percentage regardless of outcome
-- Match details and odds
-
-## Support
-- Twitter: [@BreakTheCubicle](https://x.com/BreakTheCubicle)
-`,
-  });
-});
-
-app.get('/', (req, res) => {
-  res.send(`
+const LANDING_PAGE_HTML = `
 <!DOCTYPE html>
 <html lang="en">
 <head>
@@ -909,350 +415,1416 @@ app.get('/', (req, res) => {
   </div>
 </body>
 </html>
-  `);
-});
-
-app.get('/health', (req, res) => {
-  res.json({ status: 'ok', timestamp: new Date().toISOString(), version: '2.0.0' });
-});
-
-app.get('/api', (req, res) => {
-  res.json({
-    name: 'ArbitrageEdge API',
-    version: '2.0.0',
-    description: 'Real-time sports betting arbitrage opportunities',
-    x402: {
-      enabled: true,
-      network: 'Base Mainnet (eip155:8453)',
-      asset: 'USDC',
-      wallet: payTo,
-      pricing: {
-        '/api/opportunities/sport/:sport': '$0.03 per sport'
-      }
-    },
-    endpoints: {
-      'GET /api/opportunities/sport/:sport': {
-        description: 'Get arbitrage opportunities for a specific sport',
-        price: '$0.03 USDC',
-        sports: ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'],
-        query_params: { min_profit: 'number', stake: 'number' }
-      },
-      'GET /api/opportunities/sports/list': {
-        description: 'List supported sports',
-        price: 'FREE'
-      }
-    }
-  });
-});
+`;
 
-// Free endpoint - list sports
-app.get('/api/opportunities/sports/list', (req, res) => {
-  res.json({
-    success: true,
-    sports: ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'],
-    count: 5
+/**
+ * Does a request match one of the `METHOD /path` (optionally `/*`) route patterns?
+ * Used to guard paid routes when x402 is disabled.
+ */
+function matchesRoute(routes, req) {
+  return Object.keys(routes).some(pattern => {
+    const [method, routePath] = pattern.split(' ');
+    if (method !== req.method) return false;
+    if (routePath.endsWith('/*')) return req.path.startsWith(routePath.slice(0, -1));
+    return req.path === routePath;
   });
-});
+}
 
-// ============================================
-// PROTECTED ENDPOINTS (payment OR API key required)
-// ============================================
+/**
+ * One-line betting instructions for an opportunity's legs
+ * Lay legs show the backer's stake to enter on the exchange and the liability.
+ * Odds are shown in `oddsFormat` (decimal, american or fractional).
+ */
+function betInstructions(bets, oddsFormat = 'decimal') {
+  return bets.map(bet => {
+    const odds = formatOdds(bet.odds, oddsFormat);
+    return bet.side === 'lay'
+      ? `Lay ${bet.outcome}: $${bet.lay_stake} @ ${odds} on ${bet.bookmaker} (liability $${bet.stake_amount})`
+      : `${bet.outcome}: $${bet.stake_amount} @ ${odds} on ${bet.bookmaker}`;
+  }).join(' | ');
+}
 
-// POST /api/opportunities/sport - x402scan sends sport in body (dropdown selection)
-app.post('/api/opportunities/sport', async (req, res) => {
-  // authMethod already set by API key middleware if valid
-  if (!req.authMethod) req.authMethod = 'x402';
-  
-  console.log('\n📥 POST /api/opportunities/sport received:');
-  console.log('   Body:', JSON.stringify(req.body));
-  console.log('   Query:', JSON.stringify(req.query));
-  
-  // Try multiple ways to get the sport parameter
-  let sport = 'soccer'; // default
-  
-  if (req.body?.sport) {
-    sport = req.body.sport;
-    console.log('   Found sport in body:', sport);
-  } else if (typeof req.body === 'string') {
-    sport = req.body;
-    console.log('   Found sport as body string:', sport);
-  } else if (req.query?.sport) {
-    sport = req.query.sport;
-    console.log('   Found sport in query:', sport);
-  } else if (req.body?.input?.sport) {
-    sport = req.body.input.sport;
-    console.log('   Found sport in body.input:', sport);
-  } else {
-    console.log('   No sport found, using default soccer');
-  }
-  
-  const minProfit = req.query.min_profit ? parseFloat(req.query.min_profit) : 0;
-  const stake = req.query.stake ? parseFloat(req.query.stake) : 100;
-  
-  const validSports = ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'];
-  if (!validSports.includes(sport.toLowerCase())) {
-    console.log(`   ❌ Invalid sport: ${sport}`);
-    return res.status(400).json({ 
-      success: false, 
-      error: `Invalid sport: ${sport}`,
-      valid_options: validSports
-    });
-  }
-  
-  try {
-    // Get real opportunities (with caching)
-    console.log(`   🔍 Getting opportunities for ${sport}...`);
-    const result = await getOpportunities(sport, minProfit, stake);
-    const opportunities = result.opportunities || [];
-    
-    console.log(`   📊 Result: ${opportunities.length} opportunities`);
-    
-    // Sport emoji mapping
-    const sportEmoji = { soccer: '⚽', basketball: '🏀', tennis: '🎾', nfl: '🏈', mlb: '⚾' };
-    const emoji = sportEmoji[sport.toLowerCase()] || '🎯';
-    const sportDisplay = sport.charAt(0).toUpperCase() + sport.slice(1).toLowerCase();
-    
-    // Calculate average profit
-    const avgProfit = opportunities.length > 0 
-      ? (opportunities.reduce((sum, opp) => sum + opp.profit_percentage, 0) / opportunities.length).toFixed(1)
-      : '0';
-    
-    // Data source info
-    let dataSource = 'The Odds API';
-    if (result.fromCache) {
-      dataSource = `cached (${result.cacheAge} min old)`;
-    } else if (result.error) {
-      dataSource = `error: ${result.error}`;
-    }
-    
-    // Create human-readable summary
-    let summary;
-    if (result.error === 'API not configured') {
-      summary = `⚠️ API not configured. Please set ODDS_API_KEY in environment variables.`;
-    } else if (opportunities.length > 0) {
-      summary = `${emoji} Found ${opportunities.length} arbitrage opportunit${opportunities.length === 1 ? 'y' : 'ies'} in ${sportDisplay} with avg ${avgProfit}% guaranteed profit`;
-    } else {
-      summary = `${emoji} No arbitrage opportunities currently available for ${sportDisplay}. This is normal - true arbitrage opportunities are rare and short-lived. Try again later or check another sport.`;
-    }
-    
-    // Format opportunities for easier reading
-    const formattedOpportunities = opportunities.map(opp => ({
-      match: opp.match?.name || 'Unknown',
-      league: opp.match?.league || SPORTS_CONFIG[sport.toLowerCase()]?.display_name || sport,
-      profit: `${opp.profit_percentage}% guaranteed`,
-      guaranteed_profit: `$${opp.guaranteed_profit}`,
-      total_stake: `$${stake}`,
-      instructions: opp.bets?.map(bet => 
-        `${bet.outcome}: $${bet.stake_amount} @ ${bet.odds} on ${bet.bookmaker}`
-      ).join(' | ') || 'N/A',
-      start_time: opp.match?.start_time || null,
-      id: opp.id
-    }));
-    
-    const response = {
-      success: true,
-      sport: sport.toLowerCase(),
-      summary,
-      count: opportunities.length,
-      avg_profit: opportunities.length > 0 ? `${avgProfit}%` : 'N/A',
-      opportunities: formattedOpportunities,
-      data_source: dataSource,
-      auth_method: req.authMethod,
-      price_paid: '$0.03 USDC',
-      timestamp: new Date().toISOString()
-    };
-    
-    console.log(`   ✅ Sending response with ${opportunities.length} opportunities`);
-    res.json(response);
-    
-  } catch (error) {
-    console.error('❌ Error fetching opportunities:', error);
-    res.status(500).json({
-      success: false,
-      sport: sport.toLowerCase(),
-      error: 'Failed to fetch opportunities',
-      message: error.message,
-      summary: `❌ Error fetching ${sport} opportunities: ${error.message}`,
-      timestamp: new Date().toISOString()
-    });
+/**
+ * Parse `max_margin`: the largest overround (percent) a near-arb may have
+ * Returns `{ value }` (null when not asked for) or `{ error }`.
+ */
+function parseMaxMargin(input) {
+  if (input === undefined || input === '') return { value: null };
+  const value = Number(input);
+  if (!(value >= 0 && value <= MAX_NEAR_ARB_MARGIN)) {
+    return { error: `Invalid max_margin: ${input}. Use a percentage from 0 to ${MAX_NEAR_ARB_MARGIN}, e.g. 1` };
   }
-});
+  return { value };
+}
 
-// GET /api/opportunities/sport - for x402scan testing (defaults to soccer)
-app.get('/api/opportunities/sport', async (req, res) => {
-  if (!req.authMethod) req.authMethod = 'x402';
-  
-  console.log('\n📥 GET /api/opportunities/sport received:');
-  console.log('   Query:', JSON.stringify(req.query));
-  
-  const sport = req.query?.sport || 'soccer';
-  const minProfit = req.query.min_profit ? parseFloat(req.query.min_profit) : 0;
-  const stake = req.query.stake ? parseFloat(req.query.stake) : 100;
-  
-  try {
-    const result = await getOpportunities(sport, minProfit, stake);
-    const opportunities = result.opportunities;
-    
-    const avgProfit = opportunities.length > 0 
-      ? (opportunities.reduce((sum, opp) => sum + opp.profit_percentage, 0) / opportunities.length).toFixed(1)
-      : 0;
-    
-    const sportEmoji = { soccer: '⚽', basketball: '🏀', tennis: '🎾', nfl: '🏈', mlb: '⚾' };
-    const emoji = sportEmoji[sport.toLowerCase()] || '🎯';
-    
-    const dataSource = result.mock ? 'mock (API unavailable)' : 
-                       result.fromCache ? `cache (${result.cacheAge} min old)` : 
-                       'live (The Odds API)';
-    
-    const summary = opportunities.length > 0
-      ? `${emoji} Found ${opportunities.length} arbitrage opportunit${opportunities.length === 1 ? 'y' : 'ies'} in ${sport.charAt(0).toUpperCase() + sport.slice(1)} with avg ${avgProfit}% guaranteed profit`
-      : `${emoji} No arbitrage opportunities currently available for ${sport}. Check back soon!`;
-    
-    const formattedOpportunities = opportunities.map(opp => ({
-      match: opp.match.name,
-      league: opp.match.league,
-      profit: `${opp.profit_percentage}% guaranteed`,
-      guaranteed_profit: `$${opp.guaranteed_profit}`,
-      total_stake: `$${stake}`,
-      instructions: opp.bets.map(bet => 
-        `${bet.outcome}: $${bet.stake_amount} @ ${bet.odds} on ${bet.bookmaker}`
-      ).join(' | '),
-      start_time: opp.match.start_time,
-      id: opp.id
-    }));
-    
-    res.json({
-      success: true,
-      sport: sport.toLowerCase(),
-      summary,
-      count: opportunities.length,
-      avg_profit: `${avgProfit}%`,
-      opportunities: formattedOpportunities,
-      data_source: dataSource,
-      auth_method: req.authMethod,
-      price_paid: '$0.03 USDC',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('❌ Error:', error);
-    res.status(500).json({ success: false, error: error.message });
-  }
-});
+/**
+ * Parse `league`: one league key or title
+ * Returns `{ value }` (null when not given) or `{ error }`.
+ */
+function parseLeague(input) {
+  if (input === undefined || input === '') return { value: null };
+  if (typeof input !== 'string') return { error: 'league must be a single league key or name' };
+  return { value: input };
+}
 
-// GET /api/opportunities/sport/:sport - URL-based access (backwards compatible)
-app.get('/api/opportunities/sport/:sport', async (req, res) => {
-  if (!req.authMethod) req.authMethod = 'x402';
-  
-  const { sport } = req.params;
-  const minProfit = req.query.min_profit ? parseFloat(req.query.min_profit) : 0;
-  const stake = req.query.stake ? parseFloat(req.query.stake) : 100;
-  
-  const validSports = ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'];
-  if (!validSports.includes(sport.toLowerCase())) {
-    return res.status(400).json({ 
-      success: false, 
-      error: `Invalid sport. Valid options: ${validSports.join(', ')}` 
-    });
-  }
-  
-  try {
-    const result = await getOpportunities(sport, minProfit, stake);
-    const opportunities = result.opportunities;
-    
-    const avgProfit = opportunities.length > 0 
-      ? (opportunities.reduce((sum, opp) => sum + opp.profit_percentage, 0) / opportunities.length).toFixed(1)
-      : 0;
-    
-    const sportEmoji = { soccer: '⚽', basketball: '🏀', tennis: '🎾', nfl: '🏈', mlb: '⚾' };
-    const emoji = sportEmoji[sport.toLowerCase()] || '🎯';
-    
-    const dataSource = result.mock ? 'mock (API unavailable)' : 
-                       result.fromCache ? `cache (${result.cacheAge} min old)` : 
-                       'live (The Odds API)';
-    
-    const summary = opportunities.length > 0
-      ? `${emoji} Found ${opportunities.length} arbitrage opportunit${opportunities.length === 1 ? 'y' : 'ies'} in ${sport.charAt(0).toUpperCase() + sport.slice(1)} with avg ${avgProfit}% guaranteed profit`
-      : `${emoji} No arbitrage opportunities currently available for ${sport}. Check back soon!`;
-    
-    const formattedOpportunities = opportunities.map(opp => ({
-      match: opp.match.name,
-      league: opp.match.league,
-      profit: `${opp.profit_percentage}% guaranteed`,
-      guaranteed_profit: `$${opp.guaranteed_profit}`,
-      total_stake: `$${stake}`,
-      instructions: opp.bets.map(bet => 
-        `${bet.outcome}: $${bet.stake_amount} @ ${bet.odds} on ${bet.bookmaker}`
-      ).join(' | '),
-      start_time: opp.match.start_time,
-      id: opp.id
-    }));
-    
-    res.json({
-      success: true,
-      sport: sport.toLowerCase(),
-      summary,
-      count: opportunities.length,
-      avg_profit: `${avgProfit}%`,
-      opportunities: formattedOpportunities,
-      data_source: dataSource,
-      auth_method: req.authMethod,
-      price_paid: '$0.03 USDC',
-      timestamp: new Date().toISOString()
-    });
-  } catch (error) {
-    console.error('❌ Error:', error);
-    res.status(500).json({ success: false, error: error.message });
+/**
+ * Parse `middles` / `max_middle_loss`: middles are listed unless `middles=false`
+ * Returns `{ value }` (`{ maxLoss }`, or null when turned off) or `{ error }`.
+ */
+function parseMiddleOptions({ middles, max_middle_loss } = {}) {
+  if (middles === 'false') return { value: null };
+  if (max_middle_loss === undefined || max_middle_loss === '') return { value: { maxLoss: DEFAULT_MIDDLE_LOSS } };
+  const maxLoss = Number(max_middle_loss);
+  if (!(maxLoss >= 0 && maxLoss <= MAX_MIDDLE_LOSS)) {
+    return { error: `Invalid max_middle_loss: ${max_middle_loss}. Use a percentage from 0 to ${MAX_MIDDLE_LOSS}, e.g. 3` };
   }
-});
-
-// Redirect to sport selection (no longer a paid endpoint)
-app.get('/api/opportunities', (req, res) => {
-  res.json({
-    success: false,
-    message: 'Please select a sport',
-    endpoint: '/api/opportunities/sport/:sport',
-    price: '$0.03 USDC',
-    available_sports: ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'],
-    example: '/api/opportunities/sport/soccer'
-  });
-});
-
-// Get specific opportunity by ID (free lookup if you have the ID)
-app.get('/api/opportunities/:id', (req, res) => {
-  const { id } = req.params;
-  const { stake } = req.query;
-  const allOpps = generateMockOpportunities(null, null, stake ? parseFloat(stake) : null);
-  const opportunity = allOpps.find(opp => opp.id === id);
-  
-  if (!opportunity) {
-    return res.status(404).json({ success: false, error: 'Opportunity not found or expired' });
-  }
-  
-  res.json({ success: true, opportunity });
-});
+  return { value: { maxLoss } };
+}
+
+/**
+ * Middle as shown in opportunity responses
+ */
+function formatMiddle(middle, oddsFormat = 'decimal') {
+  return {
+    match: middle.match.name,
+    league: middle.match.league,
+    league_key: middle.match.league_key,
+    market: middle.market,
+    type: middle.type,
+    window: middle.window,
+    worst_case_profit: `$${middle.worst_case_profit.toFixed(2)}`,
+    worst_case_loss: `${middle.worst_case_loss_percentage}%`,
+    middle_profit: `$${middle.middle_profit.toFixed(2)}`,
+    hit_probability: `${(middle.hit_probability * 100).toFixed(1)}%`,
+    expected_profit: `$${middle.expected_profit.toFixed(2)}`,
+    total_stake: `$${middle.total_stake}`,
+    instructions: betInstructions(middle.bets, oddsFormat),
+    start_time: middle.match.start_time,
+    id: middle.id
+  };
+}
+
+/**
+ * Near-arb as shown in opportunity responses: best price per outcome and the margin
+ */
+function formatNearArb(near, oddsFormat = 'decimal') {
+  return {
+    match: near.match.name,
+    league: near.match.league,
+    league_key: near.match.league_key,
+    market: near.market,
+    line: near.line,
+    type: near.type,
+    margin: `${near.margin_percentage}%`,
+    margin_percentage: near.margin_percentage,
+    best_prices: near.best_prices.map(price => ({
+      outcome: price.outcome,
+      bookmaker: price.bookmaker,
+      odds: formatOdds(price.odds, oddsFormat)
+    })),
+    start_time: near.match.start_time
+  };
+}
+
+/**
+ * Arbitrage opportunity as shown in opportunity list responses
+ */
+function formatOpportunity(opp, oddsFormat = 'decimal') {
+  return {
+    match: opp.match.name,
+    league: opp.match.league,
+    league_key: opp.match.league_key,
+    event_id: opp.match.event_id,
+    market: opp.market,
+    line: opp.line,
+    type: opp.type,
+    profit: `${opp.profit_percentage}% guaranteed`,
+    gross_profit: `${opp.gross_profit_percentage}%`,
+    net_profit: `${opp.net_profit_percentage}%`,
+    guaranteed_profit: `$${opp.guaranteed_profit}`,
+    worst_case_profit: `$${opp.worst_case_profit.toFixed(2)}`,
+    best_case_profit: `$${opp.best_case_profit.toFixed(2)}`,
+    total_stake: `$${opp.total_stake}`,
+    staking_mode: opp.staking_mode,
+    instructions: betInstructions(opp.bets, oddsFormat),
+    start_time: opp.match.start_time,
+    id: opp.id,
+    first_seen_at: opp.first_seen_at,
+    last_seen_at: opp.last_seen_at
+  };
+}
+
+/**
+ * Public slice of the quota state for /health (per-sport usage stays admin-only)
+ */
+function quotaSummary(snapshot) {
+  return {
+    remaining: snapshot.remaining,
+    used: snapshot.used,
+    updated_at: snapshot.updated_at,
+    policies: snapshot.policies,
+  };
+}
 
 // ============================================
-// START SERVER
+// APP FACTORY
 // ============================================
-app.listen(PORT, () => {
-  const oddsApiStatus = ODDS_API_KEY ? '✅ Connected' : '⚠️ Not set (using mock data)';
+
+/**
+ * Create the ArbitrageEdge Express app
+ *
+ * @param {object} options
+ * @param {object} options.provider - Odds provider (see lib/providers/index.js)
+ * @param {string} [options.payTo] - Wallet receiving x402 payments. Without it x402
+ *   is disabled and paid routes require an API key.
+ * @param {string[]} [options.apiKeys] - API keys that bypass x402
+ * @param {string[]} [options.adminKeys] - Keys for the /api/admin endpoints (X-Admin-Key header)
+ * @param {object} [options.cache] - In-memory cache settings, e.g. `{ duration }` in ms
+ * @param {string} [options.network] - x402 network (default Base Mainnet)
+ * @param {object} [options.facilitatorClient] - x402 facilitator client (default CDP)
+ * @param {string} [options.dataDir] - Where persistent data is written
+ * @param {number} [options.retentionDays] - How long stored opportunities and odds history
+ *   are kept once they end (default 7), which bounds the range /api/stats can cover
+ * @param {string} [options.baseUrl] - Public URL used in the discovery document
+ * @param {object} [options.refresh] - Background refresh settings (see lib/scheduler.js).
+ *   When set, requests are always served from the latest snapshot and
+ *   `app.locals.scheduler.start()` begins polling.
+ * @param {object} [options.catalogue] - League catalogue settings: `{ ttl, leagues, includeOutrights }`
+ *   (see lib/catalogue.js)
+ * @param {object} [options.stream] - Opportunity stream settings: `{ passPrice, passMinutes, heartbeat }`
+ * @param {object} [options.alerts] - Webhook delivery settings: `{ retryDelays, timeout, fetch }`
+ * @param {object} [options.quota] - Odds API quota tracker (see lib/quota.js); slows or
+ *   pauses refreshes as the budget runs low and is reported on /health
+ * @param {Object<string, number>} [options.commissions] - Commission in percent per bookmaker key,
+ *   merged over DEFAULT_COMMISSIONS (see lib/bookmakers.js)
+ * @returns {import('express').Express} The app; `app.locals.opportunities` holds the opportunity service
+ *   and `app.locals.stream.attach(server)` enables the WebSocket stream on a listening server
+ */
+export function createApp({
+  provider,
+  payTo = null,
+  apiKeys = [],
+  adminKeys = [],
+  cache = {},
+  network = DEFAULT_NETWORK,
+  facilitatorClient = new HTTPFacilitatorClient(facilitator),
+  dataDir = './data',
+  retentionDays = 7,
+  baseUrl = DEFAULT_BASE_URL,
+  refresh = null,
+  catalogue = {},
+  stream = {},
+  alerts = {},
+  quota = null,
+  commissions = {},
+} = {}) {
+  if (!provider) throw new Error('createApp: an odds provider is required');
+
+  const validApiKeys = new Set(apiKeys.filter(Boolean));
+  const validAdminKeys = new Set(adminKeys.filter(Boolean));
+  const x402Enabled = Boolean(payTo);
+
+  // In-memory cache
+  const oddsCache = {
+    data: {},        // { sport: { opportunities: [], timestamp: Date } }
+    duration: DEFAULT_CACHE_DURATION,
+    ...cache,
+  };
+
+  // Persistent opportunity store (survives cache refreshes and restarts)
+  const opportunityStore = createOpportunityStore({
+    file: path.join(dataDir, 'opportunities.json'),
+    ttl: oddsCache.duration,
+    retention: retentionDays * DAY_MS,
+  });
+
+  // Every scrape's prices as a time series, for line movement
+  const oddsHistory = createOddsHistory({
+    dir: path.join(dataDir, 'odds-history'),
+    retention: retentionDays * DAY_MS,
+  });
+
+  // Commission exchanges take on winnings, applied to every arb's net profit
+  const commissionTable = { ...DEFAULT_COMMISSIONS, ...commissions };
+
+  // Active leagues per sport, synced from the provider's sports list
+  const sportsCatalogue = createSportsCatalogue({ provider, sports: SPORTS_CONFIG, ...catalogue });
+
+  const opportunityService = createOpportunityService({
+    provider,
+    sportsConfig: SPORTS_CONFIG,
+    catalogue: sportsCatalogue,
+    cache: oddsCache,
+    store: opportunityStore,
+    history: oddsHistory,
+    refreshOnRequest: !refresh,
+    quota,
+    commissions: commissionTable,
+  });
+  const { getOpportunities, getValueBets } = opportunityService;
+
+  // Background polling (started by the server, not here)
+  const scheduler = refresh
+    ? createRefreshScheduler({ service: opportunityService, quota, ...refresh })
+    : null;
+
+  // Real-time stream: API key holders, or anyone holding a paid stream pass
+  // Keys are only read from the X-API-Key header: a key in the URL ends up in
+  // proxy and server logs, so query-string clients use a pass token instead
+  const { passPrice = '$0.25', passMinutes = 60, heartbeat } = stream;
+  const streamPasses = createStreamPasses({
+    file: path.join(dataDir, 'stream-passes.json'),
+    duration: passMinutes * 60 * 1000,
+  });
+  const opportunityStream = createOpportunityStream({
+    service: opportunityService,
+    heartbeat,
+    authorize({ headers, query }) {
+      const apiKey = headers['x-api-key'];
+      if (apiKey && validApiKeys.has(apiKey)) return { authMethod: 'api_key', expiresAt: null };
+      const token = headers['x-stream-token'] || query.token;
+      const pass = token ? streamPasses.check(token) : null;
+      if (pass) return { authMethod: 'stream_pass', expiresAt: Date.parse(pass.expires_at) };
+      return null;
+    },
+  });
+
+  // Webhook alerts on new opportunities
+  const alertStore = createAlertStore({ file: path.join(dataDir, 'alerts.json') });
+  const alertDispatcher = createAlertDispatcher({
+    store: alertStore,
+    events: opportunityService.events,
+    ...alerts,
+  });
+  alertDispatcher.start();
+
+  // Placed legs and their settlement, per API key
+  const betStore = createBetStore({ file: path.join(dataDir, 'bets.json') });
+
+  // Saved per-key preferences (bookmaker profile, ...)
+  const profileStore = createProfileStore({ file: path.join(dataDir, 'profiles.json') });
+
+  /**
+   * Bookmaker filter for a request: query params over the API key's saved profile
+   */
+  function bookmakerFilterFor(req) {
+    const { value, error } = parseBookmakerFilter(req.query);
+    if (error) return { error };
+    const apiKey = req.authMethod === 'api_key' ? req.headers['x-api-key'] : null;
+    const profile = apiKey ? profileStore.get(apiKey, 'bookmakers') : null;
+    const saved = profile ? parseBookmakerFilter(profile).value : null;
+    return { filter: mergeBookmakerFilters(saved, value) };
+  }
+
+  /**
+   * Stake rounding, limits and mode for a request: query params (or body) over the API key's saved profile
+   */
+  function stakingFor(req, params = req.query) {
+    const { value, error } = parseStakingOptions(params);
+    if (error) return { error };
+    const apiKey = req.authMethod === 'api_key' ? req.headers['x-api-key'] : null;
+    const profile = apiKey ? profileStore.get(apiKey, 'staking') : null;
+    const saved = profile ? parseStakingOptions(profile).value : null;
+    return { staking: mergeStakingOptions(saved, value) };
+  }
+
+  /**
+   * Query options shared by the opportunity list routes
+   * Returns `{ value }` (`{ minProfit, stake, bookmakers, commissions, staking, oddsFormat, maxMargin, middles }`) or `{ error }`.
+   */
+  function parseOpportunityQuery(req) {
+    const minProfit = req.query.min_profit ? Number(req.query.min_profit) : 0;
+    if (!(Number.isFinite(minProfit) && minProfit >= 0)) return { error: 'min_profit must be a number >= 0' };
+
+    const stake = req.query.stake ? Number(req.query.stake) : 100;
+    if (!(Number.isFinite(stake) && stake > 0)) return { error: 'stake must be a positive number' };
+
+    const { filter: bookmakers, error: filterError } = bookmakerFilterFor(req);
+    if (filterError) return { error: filterError };
+
+    const { value: commissions, error: commissionError } = parseCommissions(req.query.commissions);
+    if (commissionError) return { error: commissionError };
+
+    const { staking, error: stakingError } = stakingFor(req);
+    if (stakingError) return { error: stakingError };
+
+    const { value: oddsFormat, error: oddsFormatError } = parseOddsFormat(req.query.odds_format);
+    if (oddsFormatError) return { error: oddsFormatError };
+
+    const { value: maxMargin, error: marginError } = parseMaxMargin(req.query.max_margin);
+    if (marginError) return { error: marginError };
+
+    const { value: middles, error: middlesError } = parseMiddleOptions(req.query);
+    if (middlesError) return { error: middlesError };
+
+    return { value: { minProfit, stake, bookmakers, commissions, staking, oddsFormat, maxMargin, middles } };
+  }
+
+  /**
+   * Is `league` (key or title) one of the sport's current leagues?
+   */
+  async function isKnownLeague(sport, league) {
+    await sportsCatalogue.ensureFresh();
+    const wanted = league.toLowerCase();
+    return sportsCatalogue.leaguesFor(sport.toLowerCase())
+      .some(l => l.key === wanted || l.title.toLowerCase() === wanted);
+  }
+
+  /**
+   * Parse the shared query, fetch `sport`'s opportunities and send the list response
+   * Used by all three opportunity list routes, which differ only in where the sport comes from.
+   */
+  async function sendOpportunities(req, res, sport) {
+    const { value: query, error: queryError } = parseOpportunityQuery(req);
+    if (queryError) {
+      return res.status(400).json({ success: false, error: queryError });
+    }
+    const { minProfit, stake, bookmakers, commissions, staking, oddsFormat, maxMargin, middles } = query;
+
+    const { value: league, error: leagueError } = parseLeague(req.query.league);
+    if (leagueError) {
+      return res.status(400).json({ success: false, error: leagueError });
+    }
+    if (league && !(await isKnownLeague(sport, league))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown league for ${sport}: ${league}`,
+        valid_options: sportsCatalogue.leaguesFor(sport.toLowerCase()).map(l => l.key)
+      });
+    }
+
+    try {
+      const result = await getOpportunities(sport, minProfit, stake, { bookmakers, league, commissions, staking, maxMargin, middles });
+      const { opportunities } = result;
+      const sportKey = sport.toLowerCase();
+
+      const avgProfit = opportunities.length > 0
+        ? (opportunities.reduce((sum, opp) => sum + opp.profit_percentage, 0) / opportunities.length).toFixed(1)
+        : 0;
+
+      const sportEmoji = { soccer: '⚽', basketball: '🏀', tennis: '🎾', nfl: '🏈', mlb: '⚾' };
+      const emoji = sportEmoji[sportKey] || '🎯';
+
+      const dataSource = result.fromCache ? `cache (${result.cacheAge} min old)` :
+                         result.error ? `error: ${result.error}` :
+                         `live (${provider.name})`;
+
+      let summary;
+      if (result.error === 'API not configured') {
+        summary = `⚠️ API not configured. Please set ODDS_API_KEY (or ODDS_PROVIDERS) in environment variables.`;
+      } else if (result.error) {
+        summary = `⚠️ ${result.message || result.error}`;
+      } else if (opportunities.length > 0) {
+        summary = `${emoji} Found ${opportunities.length} arbitrage opportunit${opportunities.length === 1 ? 'y' : 'ies'} in ${sportKey.charAt(0).toUpperCase() + sportKey.slice(1)} with avg ${avgProfit}% guaranteed profit`;
+      } else {
+        summary = `${emoji} No arbitrage opportunities currently available for ${sportKey}. Check back soon!`;
+      }
+
+      res.json({
+        success: true,
+        sport: sportKey,
+        summary,
+        count: opportunities.length,
+        avg_profit: `${avgProfit}%`,
+        opportunities: opportunities.map(opp => formatOpportunity(opp, oddsFormat)),
+        ...(result.nearArbs && {
+          near_arb_count: result.nearArbs.length,
+          near_arbs: result.nearArbs.map(near => formatNearArb(near, oddsFormat))
+        }),
+        ...(result.middles && {
+          middle_count: result.middles.length,
+          middles: result.middles.map(middle => formatMiddle(middle, oddsFormat))
+        }),
+        data_source: dataSource,
+        data_age_seconds: result.dataAge ?? null,
+        bookmaker_filter: bookmakers,
+        staking,
+        odds_format: oddsFormat,
+        auth_method: req.authMethod,
+        price_paid: '$0.03 USDC',
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error fetching opportunities:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  }
+
+  const app = express();
+  app.locals.opportunities = opportunityService;
+  app.locals.catalogue = sportsCatalogue;
+  app.locals.scheduler = scheduler;
+  app.locals.stream = opportunityStream;
+  app.locals.alerts = alertDispatcher;
+
+  // IMPORTANT: Trust Railway's proxy for correct HTTPS detection
+  app.set('trust proxy', true);
+
+  app.use(cors());
+  app.use(express.json());
+
+  // Request logging
+  app.use((req, res, next) => {
+    console.log(`${new Date().toISOString()} - ${req.method} ${req.path}`);
+    next();
+  });
+
+  // ============================================
+  // API KEY MIDDLEWARE (for backward compatibility)
+  // Must run BEFORE x402 middleware!
+  // ============================================
+  function apiKeyAuth(req, res, next) {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey && validApiKeys.has(apiKey)) {
+      req.authMethod = 'api_key';
+      console.log(`   🔑 Valid API key, bypassing x402`);
+      return next();
+    }
+    // No valid API key - let x402 handle it
+    next();
+  }
+
+  // Check API key BEFORE x402 middleware runs
+  // This bypasses x402 payment for valid API keys
+  app.use(['/api/opportunities', '/api/value', '/api/events', '/api/stats', '/api/stream', '/api/calculate'], (req, res, next) => {
+    const apiKey = req.headers['x-api-key'];
+    if (apiKey && validApiKeys.has(apiKey)) {
+      req.authMethod = 'api_key';
+      req.skipX402 = true;
+      console.log(`   🔑 API key authenticated: ${apiKey.substring(0, 8)}...`);
+    }
+    next();
+  });
+  // RapidAPI authentication bypass
+  app.use('/api/opportunities', (req, res, next) => {
+    const rapidApiKey = req.headers['x-rapidapi-key'];
+    const rapidApiHost = req.headers['x-rapidapi-host'];
+    if (rapidApiKey && rapidApiHost) {
+      req.authMethod = 'rapidapi';
+      req.skipX402 = true;
+      console.log(`   🚀 RapidAPI request authenticated`);
+    }
+    next();
+  });
+
+  // ============================================
+  // x402 PAYMENT MIDDLEWARE
+  // ============================================
+  // Custom wrapper to skip x402 if API key is valid
+  const x402Routes = {
+    'POST /api/opportunities/sport': {
+      accepts: [{ scheme: 'exact', price: '$0.03', network, payTo }],
+      description: 'Sports betting arbitrage opportunities. Find guaranteed profit across bookmakers for Soccer, Basketball (NBA), Tennis, NFL, or MLB.',
+      mimeType: 'application/json',
+      extensions: {
+        ...declareDiscoveryExtension(bazaarSchema),
+      },
+    },
+    'GET /api/opportunities/sport': {
+      accepts: [{ scheme: 'exact', price: '$0.03', network, payTo }],
+      description: 'Sports betting arbitrage opportunities. Find guaranteed profit across bookmakers for Soccer, Basketball (NBA), Tennis, NFL, or MLB.',
+      mimeType: 'application/json',
+      extensions: {
+        ...declareDiscoveryExtension(bazaarSchema),
+      },
+    },
+    'GET /api/opportunities/sport/*': {
+      accepts: [{ scheme: 'exact', price: '$0.03', network, payTo }],
+      description: 'Get arbitrage opportunities for a specific sport (soccer, basketball, tennis, nfl, mlb)',
+      mimeType: 'application/json',
+    },
+    'GET /api/value/sport/*': {
+      accepts: [{ scheme: 'exact', price: '$0.03', network, payTo }],
+      description: 'Positive-EV (value) bets against a sharp-book or consensus no-vig fair line, with EV% and Kelly stake',
+      mimeType: 'application/json',
+    },
+    'GET /api/events/*': {
+      accepts: [{ scheme: 'exact', price: '$0.01', network, payTo }],
+      description: 'Line movement of an event: every bookmaker\'s price history, opening vs current',
+      mimeType: 'application/json',
+    },
+    'GET /api/stats': {
+      accepts: [{ scheme: 'exact', price: '$0.01', network, payTo }],
+      description: 'Arbitrage analytics: counts per sport, league and bookmaker pair, lifetimes, profits and time of day',
+      mimeType: 'application/json',
+    },
+    'POST /api/calculate': {
+      accepts: [{ scheme: 'exact', price: '$0.01', network, payTo }],
+      description: 'Arbitrage calculator for your own odds (decimal, American or fractional): stake split, returns and profit',
+      mimeType: 'application/json',
+    },
+    'GET /api/stream/pass': {
+      accepts: [{ scheme: 'exact', price: passPrice, network, payTo }],
+      description: `${passMinutes}-minute pass for the real-time arbitrage opportunity stream (SSE + WebSocket)`,
+      mimeType: 'application/json',
+    },
+  };
+
+  if (x402Enabled) {
+    const resourceServer = new x402ResourceServer(facilitatorClient)
+      .register(network, new ExactEvmScheme());
+
+    const paywall = createPaywall()
+      .withNetwork(evmPaywall)
+      .withConfig({ appName: API_NAME, testnet: false })
+      .build();
+
+    const x402Handler = paymentMiddleware(x402Routes, resourceServer, undefined, paywall);
+
+    // Wrap x402 middleware to skip if API key is present
+    app.use((req, res, next) => {
+      if (req.skipX402) {
+        // API key was valid, skip x402 payment check
+        return next();
+      }
+      // No API key, run x402 payment middleware
+      x402Handler(req, res, next);
+    });
+  } else {
+    // x402 disabled (no payTo) - paid routes are API key only
+    app.use((req, res, next) => {
+      if (req.skipX402 || !matchesRoute(x402Routes, req)) return next();
+      res.status(401).json({ success: false, error: 'API key required. Send it in the X-API-Key header.' });
+    });
+  }
+
+  // ============================================
+  // FREE ENDPOINTS (no payment required)
+  // ============================================
+
+  // x402 Discovery Document
+  app.get('/.well-known/x402', (req, res) => {
+    res.json({
+      version: 1,
+      resources: [
+        `${baseUrl}/api/opportunities/sport`
+      ],
+      instructions: `# ArbitrageEdge - Sports Betting Arbitrage API
+
+Find guaranteed profit opportunities across multiple bookmakers.
+
+## How to Use
+Select a sport from the dropdown and click Fetch. Supported sports:
+${SUPPORTED_SPORTS.map(sport => `- **${sport}** (${SPORT_NAMES[sport]})`).join('\n')}
+
+## Pricing
+- **$0.03 USDC** per query
+- **Network:** Base Mainnet
+- **Payment:** Gasless EIP-3009 signatures
+
+## What You Get
+- Live arbitrage opportunities for selected sport
+- Exact betting instructions (which bookmaker, how much to stake)
+- Guaranteed profit percentage regardless of outcome
+- Match details and odds
+
+## Support
+- Twitter: [@BreakTheCubicle](https://x.com/BreakTheCubicle)
+`,
+    });
+  });
+
+  app.get('/', (req, res) => {
+    res.send(LANDING_PAGE_HTML);
+  });
+
+  app.get('/health', (req, res) => {
+    res.json({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      version: '2.0.0',
+      refresh: scheduler ? scheduler.status() : { running: false, mode: 'on-request' },
+      catalogue: sportsCatalogue.status(),
+      quota: quota ? quotaSummary(quota.snapshot()) : null,
+      stream: { clients: opportunityStream.clientCount() }
+    });
+  });
+
+  app.get('/api', (req, res) => {
+    res.json({
+      name: 'ArbitrageEdge API',
+      version: '2.0.0',
+      description: 'Real-time sports betting arbitrage opportunities',
+      x402: {
+        enabled: x402Enabled,
+        network: network === DEFAULT_NETWORK ? 'Base Mainnet (eip155:8453)' : network,
+        asset: 'USDC',
+        wallet: payTo,
+        pricing: {
+          '/api/opportunities/sport/:sport': '$0.03 per sport'
+        }
+      },
+      commissions: commissionTable,
+      endpoints: {
+        'GET /api/opportunities/sport/:sport': {
+          description: 'Get arbitrage opportunities for a specific sport',
+          price: '$0.03 USDC',
+          sports: ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'],
+          query_params: {
+            min_profit: 'number',
+            stake: 'number',
+            bookmakers: 'comma-separated keys or names',
+            exclude_bookmakers: 'comma-separated keys or names',
+            regions: 'us,us2,uk,eu,au',
+            league: 'league key or name, see /api/opportunities/sports/list',
+            commissions: 'bookmaker:percent pairs overriding the commission table, e.g. betfair_ex_uk:2',
+            round_to: 'round every stake to this multiple, e.g. 5',
+            stake_limits: 'bookmaker:min:max per bookmaker, e.g. bet365:5:500',
+            staking_mode: 'equal (default), favor:<outcome> or fixed_leg:<bookmaker>=<amount>',
+            odds_format: 'decimal (default), american or fractional',
+            max_margin: 'also list near-arbs: markets within this overround in percent, e.g. 1',
+            max_middle_loss: 'largest worst-case loss of a listed middle, percent of stake (default 5); middles=false to skip them'
+          }
+        },
+        'GET /api/opportunities/sports/list': {
+          description: 'List supported sports and their active leagues',
+          price: 'FREE'
+        },
+        'GET /api/stream': {
+          description: 'Server-Sent Events stream of opportunity.new / opportunity.updated / opportunity.expired',
+          auth: 'API key (X-API-Key) or stream pass (?token=)',
+          query_params: { sports: 'comma-separated, default all' }
+        },
+        'GET /api/stream/ws': {
+          description: 'Same events over WebSocket',
+          auth: 'API key (X-API-Key) or stream pass (?token=)'
+        },
+        'GET /api/stream/pass': {
+          description: `${passMinutes}-minute stream pass`,
+          price: `${passPrice} USDC (free with API key)`
+        },
+        'GET /api/value/sport/:sport': {
+          description: 'Positive-EV prices against a no-vig fair line (Pinnacle, or the consensus of every book)',
+          price: '$0.03 USDC (free with API key)',
+          query_params: {
+            min_ev: 'minimum EV in percent',
+            sharp: 'bookmaker key for the fair line (default pinnacle) or consensus',
+            bankroll: 'number, adds a Kelly stake per bet',
+            kelly_multiplier: 'fraction of full Kelly, e.g. 0.25',
+            bookmakers: 'comma-separated keys or names (only these are flagged)',
+            league: 'league key or name',
+            commissions: 'bookmaker:percent pairs',
+            odds_format: 'decimal (default), american or fractional'
+          }
+        },
+        'GET /api/events/:eventId/odds/history': {
+          description: 'Line movement per bookmaker: opening vs current price and the full price series',
+          price: '$0.01 USDC (free with API key)',
+          query_params: {
+            market: 'h2h, totals, spreads, ...',
+            line: 'number, only this line',
+            bookmakers: 'comma-separated keys or names'
+          }
+        },
+        'GET /api/stats': {
+          description: 'Stats over detected opportunities: per sport, league and bookmaker pair, median lifetime, profit, UTC hour',
+          price: '$0.01 USDC (free with API key)',
+          query_params: {
+            from: 'ISO date or date-time, first seen on or after',
+            to: 'ISO date or date-time, first seen on or before',
+            sport: 'soccer, basketball, tennis, nfl, mlb'
+          }
+        },
+        'POST /api/backtest': {
+          description: 'Replay recorded odds: arbs a min_profit/bookmaker/latency setup would have caught, and its P&L',
+          auth: 'API key',
+          body: {
+            from: 'ISO date or date-time',
+            to: 'ISO date or date-time',
+            sport: 'string',
+            min_profit: 'number',
+            stake: 'number',
+            latency_seconds: 'number, delay between detecting and placing',
+            bookmakers: 'comma-separated keys or names (also exclude_bookmakers, regions)',
+            commissions: 'bookmaker:percent pairs',
+            round_to: 'number',
+            stake_limits: 'string'
+          }
+        },
+        'POST /api/bets': {
+          description: 'Record the legs of an opportunity you placed (GET /api/bets, GET /api/bets/:id to read them back)',
+          auth: 'API key',
+          body: {
+            opportunity_id: 'arb_… id',
+            legs: '[{ outcome, side?, bookmaker?, odds?, stake, requested_stake?, commission? }], bookmaker and odds default to the quote',
+            odds_format: 'decimal|american|fractional (default: detected per price)'
+          }
+        },
+        'POST /api/bets/:id/legs': {
+          description: 'Add fills to an open bet, e.g. the rest of a partially matched leg',
+          auth: 'API key',
+          body: { legs: 'as for POST /api/bets' }
+        },
+        'POST /api/bets/:id/settle': {
+          description: 'Settle a bet once the result is in',
+          auth: 'API key',
+          body: { winner: 'the outcome that won', void: 'true to return every stake' }
+        },
+        'GET /api/bets/summary': {
+          description: 'Realized vs expected profit over your bets',
+          auth: 'API key'
+        },
+        'POST /api/calculate': {
+          description: 'Arbitrage calculator for your own odds, any number of bookmakers per outcome',
+          price: '$0.01 USDC (free with API key)',
+          body: {
+            outcomes: '[{ name, odds: [{ bookmaker, price }] }], price like 2.5, "+150" or "5/2"',
+            legs: 'instead of outcomes, legs you picked: [{ outcome, odds, bookmaker, side?, commission? }]',
+            odds_format: 'decimal|american|fractional (default: detected per price)',
+            stake: 'number',
+            commissions: 'bookmaker:percent pairs',
+            staking_mode: 'string',
+            round_to: 'number',
+            stake_limits: 'string'
+          }
+        },
+        'POST /api/alerts': {
+          description: 'Register a webhook for new opportunities (GET/PATCH/DELETE /api/alerts/:id to manage)',
+          auth: 'API key',
+          body: { url: 'string', sports: 'string[]', min_profit: 'number', bookmakers: 'string[]', max_minutes_to_start: 'number' }
+        }
+      }
+    });
+  });
+
+  // Free endpoint - list sports and their active leagues
+  app.get('/api/opportunities/sports/list', async (req, res) => {
+    const status = await sportsCatalogue.ensureFresh();
+    res.json({
+      success: true,
+      sports: SUPPORTED_SPORTS,
+      count: SUPPORTED_SPORTS.length,
+      leagues: Object.fromEntries(SUPPORTED_SPORTS.map(sport => [sport, sportsCatalogue.leaguesFor(sport)])),
+      catalogue: status
+    });
+  });
+
+  // ============================================
+  // ADMIN ENDPOINTS (X-Admin-Key required)
+  // ============================================
+
+  app.use('/api/admin', (req, res, next) => {
+    const adminKey = req.headers['x-admin-key'];
+    if (!adminKey || !validAdminKeys.has(adminKey)) {
+      return res.status(401).json({ success: false, error: 'Admin key required. Send it in the X-Admin-Key header.' });
+    }
+    next();
+  });
+
+  // Full Odds API quota state: thresholds, per-sport usage and policies
+  app.get('/api/admin/quota', (req, res) => {
+    res.json({
+      success: true,
+      quota: quota ? quota.snapshot() : null,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // ============================================
+  // REAL-TIME STREAM (API key or stream pass)
+  // ============================================
+
+  // Buy a time-boxed stream pass with one x402 payment (free with an API key)
+  app.get('/api/stream/pass', (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+    const pass = streamPasses.issue({ authMethod: req.authMethod });
+    res.json({
+      success: true,
+      token: pass.token,
+      expires_at: pass.expires_at,
+      sse: `${STREAM_PATH}?token=${pass.token}`,
+      websocket: `${STREAM_WS_PATH}?token=${pass.token}`,
+      auth_method: req.authMethod,
+      price_paid: req.authMethod === 'x402' ? `${passPrice} USDC` : null,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Server-Sent Events: opportunity.new / opportunity.updated / opportunity.expired
+  app.get(STREAM_PATH, opportunityStream.handleSse);
+
+  // ============================================
+  // WEBHOOK ALERTS (API key required, scoped to the key)
+  // ============================================
+
+  // Per-key resources: the key is the owner, so x402 can't stand in for it
+  function requireApiKey(req, res, next) {
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey || !validApiKeys.has(apiKey)) {
+      return res.status(401).json({ success: false, error: 'API key required. Send it in the X-API-Key header.' });
+    }
+    req.apiKey = apiKey;
+    next();
+  }
+
+  app.use('/api/alerts', requireApiKey);
+
+  // Register a webhook; the signing secret is only returned here
+  app.post('/api/alerts', (req, res) => {
+    const { value, error } = parseAlertInput(req.body, { validSports: SUPPORTED_SPORTS });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const alert = alertStore.create(req.apiKey, value);
+    console.log(`🔔 Alert ${alert.id} registered for ${alert.url}`);
+    res.status(201).json({
+      success: true,
+      alert: { ...alertStore.publicView(alert), secret: alert.secret },
+      signature_header: SIGNATURE_HEADER
+    });
+  });
+
+  app.get('/api/alerts', (req, res) => {
+    const list = alertStore.list(req.apiKey).map(alertStore.publicView);
+    res.json({ success: true, count: list.length, alerts: list });
+  });
+
+  app.get('/api/alerts/:id', (req, res) => {
+    const alert = alertStore.get(req.apiKey, req.params.id);
+    if (!alert) return res.status(404).json({ success: false, error: 'Alert not found' });
+    res.json({ success: true, alert: alertStore.publicView(alert) });
+  });
+
+  app.patch('/api/alerts/:id', (req, res) => {
+    const { value, error } = parseAlertInput(req.body, { validSports: SUPPORTED_SPORTS, partial: true });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const alert = alertStore.update(req.apiKey, req.params.id, value);
+    if (!alert) return res.status(404).json({ success: false, error: 'Alert not found' });
+    res.json({ success: true, alert: alertStore.publicView(alert) });
+  });
+
+  app.delete('/api/alerts/:id', (req, res) => {
+    if (!alertStore.remove(req.apiKey, req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Alert not found' });
+    }
+    res.json({ success: true, deleted: req.params.id });
+  });
+
+  // Delivery log, newest first
+  app.get('/api/alerts/:id/deliveries', (req, res) => {
+    const alert = alertStore.get(req.apiKey, req.params.id);
+    if (!alert) return res.status(404).json({ success: false, error: 'Alert not found' });
+    const deliveries = alertStore.deliveriesFor(alert.id);
+    res.json({ success: true, count: deliveries.length, deliveries });
+  });
+
+  // ============================================
+  // BET LEDGER (API key required)
+  // ============================================
+
+  app.use('/api/bets', requireApiKey);
+
+  // Record the legs actually placed on an opportunity
+  app.post('/api/bets', (req, res) => {
+    const body = req.body || {};
+    const opportunity = typeof body.opportunity_id === 'string' ? opportunityStore.get(body.opportunity_id) : null;
+    if (!opportunity) {
+      return res.status(404).json({ success: false, error: 'Opportunity not found' });
+    }
+
+    const { value: input, error: inputError } = parseLegInput(body.legs, body.odds_format || null);
+    if (inputError) return res.status(400).json({ success: false, error: inputError });
+
+    const { value: legs, error } = fillLegs(opportunity, input, commissionTable);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const bet = betStore.create(req.apiKey, opportunity, legs);
+    console.log(`📝 Bet ${bet.id} recorded on ${opportunity.id}`);
+    res.status(201).json({ success: true, bet: betStore.publicView(bet) });
+  });
+
+  app.get('/api/bets', (req, res) => {
+    const list = betStore.list(req.apiKey).map(betStore.publicView);
+    res.json({ success: true, count: list.length, bets: list });
+  });
+
+  app.get('/api/bets/summary', (req, res) => {
+    res.json({ success: true, ...betStore.summary(req.apiKey), timestamp: new Date().toISOString() });
+  });
+
+  app.get('/api/bets/:id', (req, res) => {
+    const bet = betStore.get(req.apiKey, req.params.id);
+    if (!bet) return res.status(404).json({ success: false, error: 'Bet not found' });
+    res.json({ success: true, bet: betStore.publicView(bet) });
+  });
+
+  // More fills on an open bet (partially matched legs, a late leg)
+  app.post('/api/bets/:id/legs', (req, res) => {
+    const bet = betStore.get(req.apiKey, req.params.id);
+    if (!bet) return res.status(404).json({ success: false, error: 'Bet not found' });
+    if (bet.status !== 'open') {
+      return res.status(409).json({ success: false, error: `Bet is already ${bet.status}` });
+    }
+
+    const body = req.body || {};
+    const { value: input, error: inputError } = parseLegInput(body.legs, body.odds_format || null);
+    if (inputError) return res.status(400).json({ success: false, error: inputError });
+
+    // Defaults come from the quote the bet was placed on
+    const { value: legs, error } = fillLegs({ bets: bet.quoted_legs }, input, commissionTable);
+    if (error) return res.status(400).json({ success: false, error });
+
+    res.json({ success: true, bet: betStore.publicView(betStore.addLegs(req.apiKey, bet.id, legs)) });
+  });
+
+  // Settle once the result is in
+  app.post('/api/bets/:id/settle', (req, res) => {
+    const bet = betStore.get(req.apiKey, req.params.id);
+    if (!bet) return res.status(404).json({ success: false, error: 'Bet not found' });
+    if (bet.status !== 'open') {
+      return res.status(409).json({ success: false, error: `Bet is already ${bet.status}` });
+    }
+
+    const { value, error } = parseSettlement(bet, req.body);
+    if (error) return res.status(400).json({ success: false, error });
+
+    const settled = betStore.settle(req.apiKey, bet.id, value);
+    console.log(`🏁 Bet ${bet.id} settled: ${settled.realized_profit}`);
+    res.json({ success: true, bet: betStore.publicView(settled) });
+  });
+
+  // ============================================
+  // BACKTEST (API key required)
+  // ============================================
+
+  app.use('/api/backtest', requireApiKey);
+
+  // Replay the recorded odds history with a strategy's settings
+  app.post('/api/backtest', (req, res) => {
+    const { value, error } = parseBacktestInput(req.body, { validSports: SUPPORTED_SPORTS });
+    if (error) return res.status(400).json({ success: false, error });
+
+    const commissionRates = { ...commissionTable, ...value.commissions };
+    const result = runBacktest(oddsHistory.list(), { ...value, commissions: commissionRates });
+    if (result.error) return res.status(400).json({ success: false, error: result.error });
+    console.log(`🧪 Backtest: ${result.caught}/${result.detected} arbs caught over ${result.snapshots} snapshots`);
+
+    res.json({
+      success: true,
+      from: value.from === null ? null : new Date(value.from).toISOString(),
+      to: value.to === null ? null : new Date(value.to).toISOString(),
+      sport: value.sport,
+      min_profit: value.minProfit,
+      stake: value.stake,
+      latency_seconds: value.latency / 1000,
+      bookmaker_filter: value.bookmakers,
+      ...result,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // ============================================
+  // BOOKMAKER & STAKING PROFILE (API key required)
+  // ============================================
+
+  app.use('/api/profile', requireApiKey);
+
+  // Saved bookmaker filter, applied to every opportunity request made with the key
+  app.get('/api/profile/bookmakers', (req, res) => {
+    res.json({ success: true, profile: profileStore.get(req.apiKey, 'bookmakers') });
+  });
+
+  app.put('/api/profile/bookmakers', (req, res) => {
+    const { value, error } = parseBookmakerFilter(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+    if (!value) {
+      return res.status(400).json({ success: false, error: 'Set at least one of bookmakers, exclude_bookmakers or regions' });
+    }
+    res.json({ success: true, profile: profileStore.set(req.apiKey, 'bookmakers', value) });
+  });
+
+  app.delete('/api/profile/bookmakers', (req, res) => {
+    res.json({ success: true, deleted: profileStore.clear(req.apiKey, 'bookmakers') });
+  });
+
+  // Saved stake rounding, per-bookmaker stake limits and staking mode
+  app.get('/api/profile/staking', (req, res) => {
+    res.json({ success: true, profile: profileStore.get(req.apiKey, 'staking') });
+  });
+
+  app.put('/api/profile/staking', (req, res) => {
+    const { value, error } = parseStakingOptions(req.body);
+    if (error) return res.status(400).json({ success: false, error });
+    if (!value) {
+      return res.status(400).json({ success: false, error: 'Set at least one of round_to, stake_limits or staking_mode' });
+    }
+    const profile = {
+      round_to: value.rounding,
+      stake_limits: value.limits,
+      ...(value.mode && { staking_mode: formatStakingMode(value.mode) })
+    };
+    res.json({ success: true, profile: profileStore.set(req.apiKey, 'staking', profile) });
+  });
+
+  app.delete('/api/profile/staking', (req, res) => {
+    res.json({ success: true, deleted: profileStore.clear(req.apiKey, 'staking') });
+  });
+
+  // ============================================
+  // PROTECTED ENDPOINTS (payment OR API key required)
+  // ============================================
+
+  // POST /api/opportunities/sport - x402scan sends sport in body (dropdown selection)
+  app.post('/api/opportunities/sport', async (req, res) => {
+    // authMethod already set by API key middleware if valid
+    if (!req.authMethod) req.authMethod = 'x402';
+  
+    console.log('\n📥 POST /api/opportunities/sport received:');
+    console.log('   Body:', JSON.stringify(req.body));
+    console.log('   Query:', JSON.stringify(req.query));
+  
+    // Try multiple ways to get the sport parameter
+    let sport = 'soccer'; // default
   
-  console.log(`
-============================================
-🎯 ArbitrageEdge API with x402
-============================================
-💰 Pricing: $0.03 USDC per sport query
-💳 Network: Base Mainnet (eip155:8453)
-💵 Wallet: ${payTo}
-🔑 API Keys: ${VALID_API_KEYS.size} configured
-
-📊 Data Source: The Odds API
-   Status: ${oddsApiStatus}
-   Cache: 30 minutes
-
-🌐 Server: http://localhost:${PORT}
-📡 API: http://localhost:${PORT}/api
-💚 Health: http://localhost:${PORT}/health
-============================================
-  `);
-});
+    if (req.body?.sport) {
+      sport = req.body.sport;
+      console.log('   Found sport in body:', sport);
+    } else if (typeof req.body === 'string') {
+      sport = req.body;
+      console.log('   Found sport as body string:', sport);
+    } else if (req.query?.sport) {
+      sport = req.query.sport;
+      console.log('   Found sport in query:', sport);
+    } else if (req.body?.input?.sport) {
+      sport = req.body.input.sport;
+      console.log('   Found sport in body.input:', sport);
+    } else {
+      console.log('   No sport found, using default soccer');
+    }
+  
+    const validSports = ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'];
+    if (!validSports.includes(sport.toLowerCase())) {
+      console.log(`   ❌ Invalid sport: ${sport}`);
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid sport: ${sport}`,
+        valid_options: validSports
+      });
+    }
+  
+    await sendOpportunities(req, res, sport);
+  });
+
+  // GET /api/opportunities/sport - for x402scan testing (defaults to soccer)
+  app.get('/api/opportunities/sport', async (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+  
+    console.log('\n📥 GET /api/opportunities/sport received:');
+    console.log('   Query:', JSON.stringify(req.query));
+  
+    const sport = req.query?.sport || 'soccer';
+  
+    await sendOpportunities(req, res, sport);
+  });
+
+  // GET /api/opportunities/sport/:sport - URL-based access (backwards compatible)
+  app.get('/api/opportunities/sport/:sport', async (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+  
+    const { sport } = req.params;
+  
+    const validSports = ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'];
+    if (!validSports.includes(sport.toLowerCase())) {
+      return res.status(400).json({ 
+        success: false, 
+        error: `Invalid sport. Valid options: ${validSports.join(', ')}` 
+      });
+    }
+  
+    await sendOpportunities(req, res, sport);
+  });
+
+  // GET /api/value/sport/:sport - positive-EV prices against a sharp or consensus fair line
+  app.get('/api/value/sport/:sport', async (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+
+    const { sport } = req.params;
+    if (!SUPPORTED_SPORTS.includes(sport.toLowerCase())) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sport. Valid options: ${SUPPORTED_SPORTS.join(', ')}`
+      });
+    }
+
+    const minEv = req.query.min_ev ? Number(req.query.min_ev) : 0;
+    if (!(minEv >= 0)) {
+      return res.status(400).json({ success: false, error: 'min_ev must be a percentage of 0 or more' });
+    }
+
+    const bankroll = req.query.bankroll ? Number(req.query.bankroll) : null;
+    if (bankroll !== null && !(bankroll > 0)) {
+      return res.status(400).json({ success: false, error: 'bankroll must be a positive amount' });
+    }
+
+    const kellyMultiplier = req.query.kelly_multiplier ? Number(req.query.kelly_multiplier) : 1;
+    if (!(kellyMultiplier > 0 && kellyMultiplier <= 1)) {
+      return res.status(400).json({ success: false, error: 'kelly_multiplier must be above 0 and at most 1, e.g. 0.25 for quarter Kelly' });
+    }
+
+    if (req.query.sharp !== undefined && typeof req.query.sharp !== 'string') {
+      return res.status(400).json({ success: false, error: 'sharp must be a single bookmaker key or consensus' });
+    }
+    const sharp = (req.query.sharp || DEFAULT_SHARP_BOOK).toLowerCase();
+
+    const { filter: bookmakers, error: filterError } = bookmakerFilterFor(req);
+    if (filterError) {
+      return res.status(400).json({ success: false, error: filterError });
+    }
+
+    const { value: commissionRates, error: commissionError } = parseCommissions(req.query.commissions);
+    if (commissionError) {
+      return res.status(400).json({ success: false, error: commissionError });
+    }
+
+    const { value: oddsFormat, error: oddsFormatError } = parseOddsFormat(req.query.odds_format);
+    if (oddsFormatError) {
+      return res.status(400).json({ success: false, error: oddsFormatError });
+    }
+
+    const { value: league, error: leagueError } = parseLeague(req.query.league);
+    if (leagueError) {
+      return res.status(400).json({ success: false, error: leagueError });
+    }
+    if (league && !(await isKnownLeague(sport, league))) {
+      return res.status(400).json({
+        success: false,
+        error: `Unknown league for ${sport}: ${league}`,
+        valid_options: sportsCatalogue.leaguesFor(sport.toLowerCase()).map(l => l.key)
+      });
+    }
+
+    try {
+      const result = await getValueBets(sport, { sharp, minEv, bookmakers, league, commissions: commissionRates });
+      const { valueBets } = result;
+
+      const summary = result.error
+        ? `⚠️ ${result.message || result.error}`
+        : valueBets.length > 0
+          ? `Found ${valueBets.length} value bet${valueBets.length === 1 ? '' : 's'} in ${sport.toLowerCase()}, best ${valueBets[0].ev_percentage}% EV`
+          : `No positive-EV prices currently available for ${sport.toLowerCase()}`;
+
+      res.json({
+        success: true,
+        sport: sport.toLowerCase(),
+        summary,
+        count: valueBets.length,
+        value_bets: valueBets.map(bet => {
+          const kelly = bet.kelly_fraction * kellyMultiplier;
+          return {
+            match: bet.match.name,
+            league: bet.match.league,
+            league_key: bet.match.league_key,
+            market: bet.market,
+            line: bet.line,
+            type: bet.type,
+            outcome: bet.outcome,
+            bookmaker: bet.bookmaker,
+            odds: formatOdds(bet.odds, oddsFormat),
+            fair_odds: formatOdds(bet.fair_odds, oddsFormat),
+            fair_probability: bet.fair_probability,
+            fair_source: bet.fair_source,
+            ev: `${bet.ev_percentage}%`,
+            ev_percentage: bet.ev_percentage,
+            kelly_fraction: parseFloat(kelly.toFixed(4)),
+            ...(bankroll && { kelly_stake: `$${(bankroll * kelly).toFixed(2)}` }),
+            start_time: bet.match.start_time,
+            id: bet.id
+          };
+        }),
+        sharp,
+        kelly_multiplier: kellyMultiplier,
+        data_age_seconds: result.dataAge ?? null,
+        bookmaker_filter: bookmakers,
+        odds_format: oddsFormat,
+        auth_method: req.authMethod,
+        price_paid: req.authMethod === 'x402' ? '$0.03 USDC' : null,
+        timestamp: new Date().toISOString()
+      });
+    } catch (error) {
+      console.error('❌ Error:', error);
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  // GET /api/events/:eventId/odds/history - line movement of one event
+  app.get('/api/events/:eventId/odds/history', (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+
+    if (req.query.market !== undefined && typeof req.query.market !== 'string') {
+      return res.status(400).json({ success: false, error: 'market must be a single market, e.g. h2h' });
+    }
+
+    const line = req.query.line === undefined || req.query.line === '' ? null : Number(req.query.line);
+    if (line !== null && !Number.isFinite(line)) {
+      return res.status(400).json({ success: false, error: `Invalid line: ${req.query.line}` });
+    }
+
+    const { value: bookmakers, error: filterError } = parseBookmakerFilter(req.query);
+    if (filterError) {
+      return res.status(400).json({ success: false, error: filterError });
+    }
+
+    const event = oddsHistory.history(req.params.eventId, {
+      market: req.query.market ? req.query.market.toLowerCase() : null,
+      line,
+      allowed: entry => !bookmakers || isBookmakerAllowed(entry, bookmakers)
+    });
+    if (!event) {
+      return res.status(404).json({ success: false, error: 'No odds recorded for this event' });
+    }
+
+    res.json({
+      success: true,
+      ...event,
+      auth_method: req.authMethod,
+      price_paid: req.authMethod === 'x402' ? '$0.01 USDC' : null,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // GET /api/stats - frequency, lifetime and profit of detected opportunities
+  app.get('/api/stats', (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+
+    const { value: range, error: rangeError } = parseDateRange(req.query);
+    if (rangeError) {
+      return res.status(400).json({ success: false, error: rangeError });
+    }
+
+    if (req.query.sport !== undefined && typeof req.query.sport !== 'string') {
+      return res.status(400).json({ success: false, error: 'sport must be a single sport' });
+    }
+    const sport = req.query.sport ? req.query.sport.toLowerCase() : null;
+    if (sport && !SUPPORTED_SPORTS.includes(sport)) {
+      return res.status(400).json({
+        success: false,
+        error: `Invalid sport. Valid options: ${SUPPORTED_SPORTS.join(', ')}`
+      });
+    }
+
+    res.json({
+      success: true,
+      from: range.from === null ? null : new Date(range.from).toISOString(),
+      to: range.to === null ? null : new Date(range.to).toISOString(),
+      sport,
+      ...opportunityStats(opportunityStore.list(), { ...range, sport }),
+      auth_method: req.authMethod,
+      price_paid: req.authMethod === 'x402' ? '$0.01 USDC' : null,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // Redirect to sport selection (no longer a paid endpoint)
+  app.get('/api/opportunities', (req, res) => {
+    res.json({
+      success: false,
+      message: 'Please select a sport',
+      endpoint: '/api/opportunities/sport/:sport',
+      price: '$0.03 USDC',
+      available_sports: ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'],
+      example: '/api/opportunities/sport/soccer'
+    });
+  });
+
+  // Get specific opportunity by ID (free lookup if you have the ID)
+  // Returns the current or last-known state with status active/expired/vanished
+  app.get('/api/opportunities/:id', (req, res) => {
+    const { id } = req.params;
+    const stake = req.query.stake ? parseFloat(req.query.stake) : null;
+  
+    if (stake !== null && !(stake > 0)) {
+      return res.status(400).json({ success: false, error: 'stake must be a positive number' });
+    }
+  
+    const { staking, error: stakingError } = stakingFor(req);
+    if (stakingError) {
+      return res.status(400).json({ success: false, error: stakingError });
+    }
+
+    const { value: oddsFormat, error: oddsFormatError } = parseOddsFormat(req.query.odds_format);
+    if (oddsFormatError) {
+      return res.status(400).json({ success: false, error: oddsFormatError });
+    }
+
+    const record = opportunityStore.get(id);
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'Opportunity not found' });
+    }
+  
+    const staked = stake || staking
+      ? rescaleOpportunity(record, stake ?? record.total_stake, staking || {})
+      : record;
+    // `odds` stays decimal; other formats are added alongside
+    const opportunity = oddsFormat === 'decimal'
+      ? staked
+      : { ...staked, bets: staked.bets.map(bet => ({ ...bet, display_odds: formatOdds(bet.odds, oddsFormat) })) };
+  
+    res.json({
+      success: true,
+      status: record.status,
+      opportunity,
+      instructions: betInstructions(opportunity.bets, oddsFormat),
+      odds_format: oddsFormat,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  // POST /api/calculate - run the arbitrage calculator on the caller's own odds
+  app.post('/api/calculate', (req, res) => {
+    if (!req.authMethod) req.authMethod = 'x402';
+    const body = req.body || {};
+    // Either prices per outcome (the best are picked) or the legs already picked
+    const format = body.odds_format || null;
+    const { value: input, error: inputError } = body.legs !== undefined
+      ? parseLegs(body.legs, format)
+      : parseOutcomes(body.outcomes, format);
+    if (inputError) {
+      return res.status(400).json({ success: false, error: inputError });
+    }
+
+    const stake = body.stake === undefined ? 100 : Number(body.stake);
+    if (!(stake > 0)) {
+      return res.status(400).json({ success: false, error: 'stake must be a positive number' });
+    }
+
+    const { value: commissionRates, error: commissionError } = parseCommissions(body.commissions);
+    if (commissionError) {
+      return res.status(400).json({ success: false, error: commissionError });
+    }
+
+    const { staking, error: stakingError } = stakingFor(req, body);
+    if (stakingError) {
+      return res.status(400).json({ success: false, error: stakingError });
+    }
+
+    const options = { commissions: { ...commissionTable, ...commissionRates }, staking: staking || {} };
+    const result = body.legs !== undefined
+      ? calculateStakes(input, stake, options)
+      : calculateOddsArbitrage(input, stake, options);
+
+    res.json({
+      success: true,
+      arbitrage: result.exists,
+      summary: result.exists
+        ? `Arbitrage found: ${result.profit_percentage}% guaranteed profit`
+        : `No arbitrage: the best prices add up to ${(result.total_implied_probability * 100).toFixed(2)}% implied probability`,
+      profit_percentage: result.profit_percentage,
+      gross_profit_percentage: result.gross_profit_percentage,
+      net_profit_percentage: result.net_profit_percentage,
+      total_implied_probability: result.total_implied_probability,
+      total_stake: result.total_stake,
+      guaranteed_profit: result.guaranteed_profit,
+      worst_case_profit: result.worst_case_profit,
+      best_case_profit: result.best_case_profit,
+      staking_mode: result.staking_mode,
+      instructions: betInstructions(result.bets),
+      bets: result.bets,
+      staking,
+      auth_method: req.authMethod,
+      price_paid: req.authMethod === 'x402' ? '$0.01 USDC' : null,
+      timestamp: new Date().toISOString()
+    });
+  });
+
+  return app;
+}
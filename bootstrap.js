@@ -1,5 +1,5 @@
 // bootstrap.js - Crypto polyfill for x402
-// REQUIRED: Must load before main API
+// REQUIRED: Must load before the server
 
 import { webcrypto } from 'crypto';
 
@@ -8,5 +8,5 @@ if (typeof globalThis.crypto === 'undefined') {
   globalThis.crypto = webcrypto;
 }
 
-// Now load main API
-import('./api.js');
+// Now start the server
+import('./server.js');
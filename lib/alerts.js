@@ -0,0 +1,395 @@
+// lib/alerts.js - Webhook alert subscriptions
+// An API key registers webhook URLs with filters; every new opportunity a
+// refresh produces is matched against them and POSTed with an HMAC signature.
+// Failed deliveries are retried with backoff and every attempt is logged.
+
+import { createHmac, randomBytes } from 'crypto';
+import { lookup as dnsLookup } from 'dns/promises';
+import http from 'http';
+import https from 'https';
+import { BlockList, isIP } from 'net';
+import { isBookmakerAllowed } from './bookmakers.js';
+import { loadJson, saveJson } from './fileStore.js';
+
+export const SIGNATURE_HEADER = 'X-ArbitrageEdge-Signature';
+
+const DEFAULT_RETRY_DELAYS = [5 * 1000, 30 * 1000, 2 * 60 * 1000, 10 * 60 * 1000];
+
+// Webhooks may not reach the server's own network: loopback, private
+// (RFC 1918 / unique local), link-local (incl. the 169.254.169.254 cloud
+// metadata service), carrier-grade NAT and unspecified addresses
+const PRIVATE_NETWORKS = new BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8],
+  ['169.254.0.0', 16], ['172.16.0.0', 12], ['192.168.0.0', 16],
+]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10]]) {
+  PRIVATE_NETWORKS.addSubnet(network, prefix, 'ipv6');
+}
+
+/**
+ * Is an IP address on a loopback, private or link-local network?
+ * IPv4-mapped IPv6 addresses (::ffff:10.0.0.1) count as their IPv4 address.
+ */
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (family === 0) return false;
+  return PRIVATE_NETWORKS.check(address, family === 4 ? 'ipv4' : 'ipv6');
+}
+
+/**
+ * Is a URL hostname one webhooks must not be sent to? Catches IP literals
+ * and localhost; names that resolve to a private address are caught at
+ * delivery time, after DNS.
+ */
+function isPrivateHost(hostname) {
+  const host = hostname.replace(/^\[|\]$/g, '').toLowerCase();
+  return host === 'localhost' || host.endsWith('.localhost') || isPrivateAddress(host);
+}
+
+/**
+ * Sign a webhook body: HMAC-SHA256 over `${timestamp}.${body}`
+ * Sent as `t=<unix seconds>,v1=<hex digest>` so receivers can reject replays.
+ */
+export function signPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const digest = createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return `t=${timestamp},v1=${digest}`;
+}
+
+/**
+ * POST a webhook, connecting only to `init.address` (`{ address, family }`,
+ * the one checkDestination approved) so the host can't resolve elsewhere
+ * the second time round. fetch-like: resolves `{ status, ok }`. Redirects
+ * aren't followed: they could lead anywhere, checks included.
+ */
+export function postWebhook(url, { method = 'POST', headers = {}, body = '', signal, address }) {
+  const client = new URL(url).protocol === 'https:' ? https : http;
+  const lookup = (hostname, options, callback) => {
+    if (options.all) return callback(null, [address]);
+    callback(null, address.address, address.family);
+  };
+
+  return new Promise((resolve, reject) => {
+    const req = client.request(url, {
+      method,
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      signal,
+      lookup,
+    }, res => {
+      res.resume();
+      resolve({ status: res.statusCode, ok: res.statusCode >= 200 && res.statusCode < 300 });
+    });
+    req.on('error', reject);
+    req.end(body);
+  });
+}
+
+/**
+ * Does an opportunity pass an alert's filters?
+ * Bookmakers are matched by key or title, as in lib/bookmakers.js.
+ */
+export function matchesAlert(alert, sport, opportunity, now = Date.now()) {
+  if (!alert.active) return false;
+  if (alert.sports.length > 0 && !alert.sports.includes(sport)) return false;
+  if (opportunity.profit_percentage < alert.min_profit) return false;
+
+  if (alert.bookmakers.length > 0) {
+    const filter = { bookmakers: alert.bookmakers.map(b => b.toLowerCase()), exclude_bookmakers: [], regions: [] };
+    if (!opportunity.bets.every(bet => isBookmakerAllowed(bet, filter))) return false;
+  }
+
+  if (alert.max_minutes_to_start !== null) {
+    const start = Date.parse(opportunity.match?.start_time);
+    if (!Number.isFinite(start) || start - now > alert.max_minutes_to_start * 60 * 1000) return false;
+  }
+
+  return true;
+}
+
+/**
+ * Validate the body of a create/update request
+ * Returns `{ value }` with only the fields given, or `{ error }`.
+ */
+export function parseAlertInput(body = {}, { validSports, partial = false }) {
+  const value = {};
+
+  if (body.url !== undefined || !partial) {
+    let url;
+    try {
+      url = new URL(body.url);
+    } catch {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      return { error: 'url must be an absolute http(s) URL' };
+    }
+    if (isPrivateHost(url.hostname)) {
+      return { error: 'url must be a public host, not a loopback, private or link-local address' };
+    }
+    value.url = url.toString();
+  }
+
+  if (body.sports !== undefined) {
+    const sports = (Array.isArray(body.sports) ? body.sports : String(body.sports).split(','))
+      .map(s => String(s).trim().toLowerCase())
+      .filter(Boolean);
+    const invalid = sports.filter(sport => !validSports.includes(sport));
+    if (invalid.length > 0) return { error: `Invalid sport: ${invalid.join(', ')}` };
+    value.sports = sports;
+  }
+
+  if (body.min_profit !== undefined) {
+    const minProfit = parseFloat(body.min_profit);
+    if (!Number.isFinite(minProfit) || minProfit < 0) return { error: 'min_profit must be a number >= 0' };
+    value.min_profit = minProfit;
+  }
+
+  if (body.bookmakers !== undefined) {
+    if (!Array.isArray(body.bookmakers) || body.bookmakers.some(b => typeof b !== 'string')) {
+      return { error: 'bookmakers must be an array of bookmaker names' };
+    }
+    value.bookmakers = body.bookmakers.map(b => b.trim()).filter(Boolean);
+  }
+
+  if (body.max_minutes_to_start !== undefined) {
+    const minutes = body.max_minutes_to_start === null ? null : parseFloat(body.max_minutes_to_start);
+    if (minutes !== null && (!Number.isFinite(minutes) || minutes <= 0)) {
+      return { error: 'max_minutes_to_start must be a positive number or null' };
+    }
+    value.max_minutes_to_start = minutes;
+  }
+
+  if (body.active !== undefined) {
+    if (typeof body.active !== 'boolean') return { error: 'active must be a boolean' };
+    value.active = body.active;
+  }
+
+  return { value };
+}
+
+/**
+ * Create the alert store backed by a JSON file
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file (created on first write)
+ * @param {number} [options.logLimit] - Delivery log entries kept per alert
+ */
+export function createAlertStore({ file, logLimit = 100 }) {
+  const data = loadJson(file, { alerts: {}, deliveries: {} });
+  const alerts = new Map(Object.entries(data.alerts));
+  const deliveries = new Map(Object.entries(data.deliveries));
+
+  function persist() {
+    saveJson(file, {
+      alerts: Object.fromEntries(alerts),
+      deliveries: Object.fromEntries(deliveries),
+    });
+  }
+
+  // The signing secret is only ever shown when the alert is created
+  function publicView(alert) {
+    const { secret, api_key, ...rest } = alert;
+    return rest;
+  }
+
+  function create(apiKey, input) {
+    const now = new Date().toISOString();
+    const alert = {
+      id: `alr_${randomBytes(8).toString('hex')}`,
+      api_key: apiKey,
+      url: input.url,
+      sports: input.sports || [],
+      min_profit: input.min_profit ?? 0,
+      bookmakers: input.bookmakers || [],
+      max_minutes_to_start: input.max_minutes_to_start ?? null,
+      active: input.active ?? true,
+      secret: `whsec_${randomBytes(24).toString('hex')}`,
+      created_at: now,
+      updated_at: now,
+    };
+    alerts.set(alert.id, alert);
+    persist();
+    return alert;
+  }
+
+  /**
+   * An alert owned by an API key, or null
+   */
+  function get(apiKey, id) {
+    const alert = alerts.get(id);
+    return alert && alert.api_key === apiKey ? alert : null;
+  }
+
+  function list(apiKey) {
+    return [...alerts.values()].filter(alert => alert.api_key === apiKey);
+  }
+
+  function update(apiKey, id, changes) {
+    const alert = get(apiKey, id);
+    if (!alert) return null;
+    Object.assign(alert, changes, { updated_at: new Date().toISOString() });
+    persist();
+    return alert;
+  }
+
+  function remove(apiKey, id) {
+    if (!get(apiKey, id)) return false;
+    alerts.delete(id);
+    deliveries.delete(id);
+    persist();
+    return true;
+  }
+
+  /**
+   * Append a delivery attempt to an alert's log (newest first)
+   */
+  function logDelivery(alertId, entry) {
+    if (!alerts.has(alertId)) return;
+    const log = deliveries.get(alertId) || [];
+    log.unshift(entry);
+    deliveries.set(alertId, log.slice(0, logLimit));
+    persist();
+  }
+
+  function deliveriesFor(alertId) {
+    return deliveries.get(alertId) || [];
+  }
+
+  return {
+    create,
+    get,
+    list,
+    update,
+    remove,
+    active: () => [...alerts.values()].filter(alert => alert.active),
+    logDelivery,
+    deliveriesFor,
+    publicView,
+  };
+}
+
+/**
+ * Deliver matching opportunities to registered webhooks
+ *
+ * @param {object} options
+ * @param {object} options.store - Alert store
+ * @param {object} options.events - Opportunity service event emitter (see lib/opportunities.js)
+ * @param {number[]} [options.retryDelays] - Backoff before each retry (ms); its length is the retry count
+ * @param {number} [options.timeout] - Per-attempt request timeout (ms)
+ * @param {function} [options.fetch] - fetch-like `(url, init)` sending a webhook to
+ *   `init.address` (see postWebhook)
+ * @param {function} [options.lookup] - DNS lookup, `(hostname, { all: true }) => [{ address, family }]`
+ */
+export function createAlertDispatcher({
+  store,
+  events,
+  retryDelays = DEFAULT_RETRY_DELAYS,
+  timeout = 10 * 1000,
+  fetch = postWebhook,
+  lookup = dnsLookup,
+}) {
+  const pending = new Set();
+
+  /**
+   * Resolve a webhook's host; rejects when any address it resolves to is
+   * private, so a public name pointed at an internal address is refused too.
+   * Resolves the address to deliver to.
+   */
+  async function checkDestination(url) {
+    const { hostname } = new URL(url);
+    const host = hostname.replace(/^\[|\]$/g, '');
+    const addresses = isIP(host) ? [{ address: host, family: isIP(host) }] : await lookup(host, { all: true });
+    if (isPrivateHost(hostname) || addresses.some(({ address }) => isPrivateAddress(address))) {
+      throw Object.assign(new Error(`${hostname} resolves to a private address`), { blocked: true });
+    }
+    if (addresses.length === 0) throw new Error(`${hostname} did not resolve`);
+    return addresses[0];
+  }
+
+  async function attempt(alert, payload, attemptNumber) {
+    const body = JSON.stringify(payload);
+    const entry = {
+      id: `dlv_${randomBytes(8).toString('hex')}`,
+      delivery_id: payload.delivery_id,
+      opportunity_id: payload.opportunity.id,
+      attempt: attemptNumber,
+      at: new Date().toISOString(),
+    };
+
+    let blocked = false;
+    try {
+      // Delivered to the address just checked, never re-resolved
+      const address = await checkDestination(alert.url);
+      const response = await fetch(alert.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          [SIGNATURE_HEADER]: signPayload(alert.secret, body),
+        },
+        body,
+        address,
+        signal: AbortSignal.timeout(timeout),
+      });
+      entry.response_status = response.status;
+      entry.ok = response.ok;
+    } catch (error) {
+      entry.ok = false;
+      entry.error = error.message;
+      blocked = Boolean(error.blocked);
+    }
+
+    const willRetry = !entry.ok && !blocked && attemptNumber <= retryDelays.length;
+    entry.status = entry.ok ? 'delivered' : willRetry ? 'retrying' : 'failed';
+    store.logDelivery(alert.id, entry);
+
+    if (entry.ok) {
+      console.log(`🔔 Alert ${alert.id} delivered ${payload.opportunity.id}`);
+    } else if (willRetry) {
+      const timer = setTimeout(() => {
+        pending.delete(timer);
+        // The alert may have been deleted or paused while waiting
+        const current = store.active().find(a => a.id === alert.id);
+        if (current) attempt(current, payload, attemptNumber + 1);
+      }, retryDelays[attemptNumber - 1]);
+      timer.unref?.();
+      pending.add(timer);
+    } else {
+      console.log(`❌ Alert ${alert.id} gave up on ${payload.opportunity.id} after ${attemptNumber} attempts`);
+    }
+
+    return entry;
+  }
+
+  /**
+   * Send an event to every matching alert; resolves with the first attempts
+   */
+  function dispatch({ type, sport, opportunity, timestamp }) {
+    const matching = store.active().filter(alert => matchesAlert(alert, sport, opportunity));
+    return Promise.all(matching.map(alert => attempt(alert, {
+      delivery_id: `evt_${randomBytes(8).toString('hex')}`,
+      event: type,
+      alert_id: alert.id,
+      sport,
+      opportunity,
+      timestamp,
+    }, 1)));
+  }
+
+  const listener = event => {
+    if (event.type === 'opportunity.new') dispatch(event);
+  };
+
+  function start() {
+    events.on('opportunity', listener);
+  }
+
+  function stop() {
+    events.off('opportunity', listener);
+    for (const timer of pending) clearTimeout(timer);
+    pending.clear();
+  }
+
+  return { start, stop, dispatch };
+}
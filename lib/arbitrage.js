@@ -0,0 +1,445 @@
+// lib/arbitrage.js - Arbitrage calculator
+// One engine for any number of mutually exclusive outcomes (2-way, 3-way,
+// outrights, multi-runner markets). Prices are matched by outcome name,
+// never by position, so bookmakers may list outcomes in any order.
+// Exchanges take commission on winnings, so legs are compared and staked on
+// their odds after commission; exchange lay prices give back/lay arbs.
+
+/**
+ * Round to 2 decimal places (percentages and money)
+ */
+function round2(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Every outcome name priced by at least one bookmaker, in first-seen order
+ *
+ * @param {Array<{ bookmaker: string, prices: Object<string, number> }>} odds
+ */
+export function outcomesOf(odds) {
+  const names = new Set();
+  for (const entry of odds) {
+    for (const name of Object.keys(entry.prices)) names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * Decimal odds after commission on net winnings, e.g. 3.0 at 5% → 2.9
+ *
+ * @param {number} price - Decimal odds
+ * @param {number} [commission] - Commission in percent
+ */
+export function effectiveOdds(price, commission = 0) {
+  return 1 + (price - 1) * (1 - commission / 100);
+}
+
+/**
+ * A lay at `layPrice` expressed as a back of "the outcome loses"
+ * Laying risks a liability of (layPrice - 1) per unit of the backer's stake to
+ * win that stake less commission, so the liability returns 1 + (1 - c) / (layPrice - 1).
+ */
+export function layAsBackOdds(layPrice, commission = 0) {
+  return 1 + (1 - commission / 100) / (layPrice - 1);
+}
+
+/**
+ * Commission (percent) a bookmaker takes, by Odds API key or lower-cased title
+ */
+export function commissionFor(entry, commissions = {}) {
+  return commissions[entry.bookmaker_key] ?? commissions[entry.bookmaker?.toLowerCase()] ?? 0;
+}
+
+/**
+ * Back legs: one per bookmaker price of each outcome
+ * Decimal odds of 1.0 or less can never return a profit and are skipped.
+ */
+function backLegs(odds, outcomes, commissions) {
+  const legs = [];
+  for (const entry of odds) {
+    const commission = commissionFor(entry, commissions);
+    for (const outcome of outcomes) {
+      const price = entry.prices[outcome];
+      if (!(price > 1)) continue;
+      legs.push({
+        key: outcome,
+        outcome,
+        side: 'back',
+        bookmaker: entry.bookmaker,
+        bookmaker_key: entry.bookmaker_key,
+        odds: price,
+        commission,
+        net_odds: effectiveOdds(price, commission),
+        gross_odds: price,
+      });
+    }
+  }
+  return legs;
+}
+
+/**
+ * Lay legs on `outcome` from the exchanges that quote a lay price
+ */
+function layLegs(odds, outcome, commissions) {
+  const legs = [];
+  for (const entry of odds) {
+    const price = entry.lay_prices?.[outcome];
+    if (!(price > 1)) continue;
+    const commission = commissionFor(entry, commissions);
+    legs.push({
+      key: `lay:${outcome}`,
+      outcome,
+      side: 'lay',
+      bookmaker: entry.bookmaker,
+      bookmaker_key: entry.bookmaker_key,
+      odds: price,
+      commission,
+      net_odds: layAsBackOdds(price, commission),
+      gross_odds: layAsBackOdds(price),
+    });
+  }
+  return legs;
+}
+
+/**
+ * Best leg per key by odds after commission
+ */
+function bestLegs(legs) {
+  const best = new Map();
+  for (const leg of legs) {
+    if (!best.has(leg.key) || leg.net_odds > best.get(leg.key).net_odds) best.set(leg.key, leg);
+  }
+  return best;
+}
+
+/**
+ * Best available price per outcome across bookmakers
+ * Outcomes nobody prices are left out of the returned map.
+ *
+ * @returns {Map<string, { odds: number, bookmaker: string }>}
+ */
+export function bestPrices(odds, outcomes = outcomesOf(odds)) {
+  const best = new Map();
+  for (const [outcome, leg] of bestLegs(backLegs(odds, outcomes, {}))) {
+    best.set(outcome, { odds: leg.odds, bookmaker: leg.bookmaker });
+  }
+  return best;
+}
+
+/**
+ * Arbitrage over the best leg of each key
+ * Stakes are split on the net odds so every outcome returns the same after fees.
+ */
+function arbitrageFromLegs(legs, keys) {
+  const best = bestLegs(legs);
+  if (keys.some(key => !best.has(key))) return null;
+
+  const chosen = keys.map(key => best.get(key));
+  const totalImpliedProb = chosen.reduce((sum, leg) => sum + 1 / leg.net_odds, 0);
+  const grossImpliedProb = chosen.reduce((sum, leg) => sum + 1 / leg.gross_odds, 0);
+  const netProfit = round2(((1 / totalImpliedProb) - 1) * 100);
+
+  return {
+    exists: totalImpliedProb < 1.0,
+    profit_percentage: netProfit,
+    gross_profit_percentage: round2(((1 / grossImpliedProb) - 1) * 100),
+    net_profit_percentage: netProfit,
+    total_implied_probability: parseFloat(totalImpliedProb.toFixed(4)),
+    bets: chosen.map(leg => {
+      const impliedProb = 1 / leg.net_odds;
+      return {
+        outcome: leg.outcome,
+        side: leg.side,
+        bookmaker: leg.bookmaker,
+        bookmaker_key: leg.bookmaker_key,
+        odds: leg.odds,
+        commission: leg.commission,
+        effective_odds: parseFloat(leg.net_odds.toFixed(4)),
+        implied_probability: parseFloat(impliedProb.toFixed(4)),
+        stake_pct: round2((impliedProb / totalImpliedProb) * 100)
+      };
+    })
+  };
+}
+
+/**
+ * Calculate the arbitrage across mutually exclusive outcomes
+ * `profit_percentage` is net of each bookmaker's commission on winnings;
+ * `gross_profit_percentage` is the same legs at their raw prices.
+ *
+ * @param {Array<{ bookmaker: string, bookmaker_key?: string, prices: Object<string, number> }>} odds - Decimal prices per bookmaker
+ * @param {string[]} [outcomes] - The complete set of outcomes (defaults to every priced outcome)
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ * @returns {object|null} null when fewer than 2 outcomes or any outcome has no price
+ */
+export function calculateArbitrage(odds, outcomes = outcomesOf(odds), { commissions = {} } = {}) {
+  if (outcomes.length < 2) return null;
+  return arbitrageFromLegs(backLegs(odds, outcomes, commissions), outcomes);
+}
+
+/**
+ * Calculate a back/lay arbitrage on one outcome
+ * Backs the outcome at the best back price and lays it on an exchange
+ * (`lay_prices` on the odds entry); a lay wins whenever the outcome loses.
+ *
+ * @returns {object|null} null when nobody backs or lays the outcome
+ */
+export function calculateBackLayArbitrage(odds, outcome, { commissions = {} } = {}) {
+  const legs = [...backLegs(odds, [outcome], commissions), ...layLegs(odds, outcome, commissions)];
+  return arbitrageFromLegs(legs, [outcome, `lay:${outcome}`]);
+}
+
+/**
+ * Arbitrage of legs the caller has already picked
+ * One leg per outcome, or a back and a lay of the same outcome; nothing is
+ * matched by name, so the legs must cover every outcome between them.
+ *
+ * @param {Array<{ outcome: string, odds: number, bookmaker?: string, bookmaker_key?: string, side?: 'back'|'lay', commission?: number }>} bets
+ * @returns {object|null} null when fewer than 2 legs
+ */
+export function calculateLegsArbitrage(bets) {
+  if (bets.length < 2) return null;
+  const legs = bets.map((bet, i) => {
+    const commission = bet.commission ?? 0;
+    const lay = bet.side === 'lay';
+    return {
+      key: i,
+      outcome: bet.outcome,
+      side: lay ? 'lay' : 'back',
+      bookmaker: bet.bookmaker,
+      bookmaker_key: bet.bookmaker_key,
+      odds: bet.odds,
+      commission,
+      net_odds: lay ? layAsBackOdds(bet.odds, commission) : effectiveOdds(bet.odds, commission),
+      gross_odds: lay ? layAsBackOdds(bet.odds) : bet.odds,
+    };
+  });
+  return arbitrageFromLegs(legs, legs.map(leg => leg.key));
+}
+
+// Above this many combinations the split search narrows its candidates
+const MAX_STAKE_COMBINATIONS = 4096;
+
+/**
+ * What a leg's entered amount costs and returns per unit
+ * A back costs its stake; a lay's entered amount is the backer's stake and
+ * costs (odds - 1) of liability. Returns are after commission.
+ */
+function legUnits(bet) {
+  const cost = bet.side === 'lay' ? bet.odds - 1 : 1;
+  const net = bet.effective_odds ?? effectiveOdds(bet.odds, bet.commission || 0);
+  return { cost, net };
+}
+
+/**
+ * Amounts worth trying for one leg: multiples of `step` around the ideal,
+ * clamped to the bookmaker's limits (the limits win over rounding)
+ */
+function candidateAmounts(ideal, step, { min = 0, max = Infinity }, width) {
+  const clamp = value => Math.min(Math.max(value, min), max);
+  if (!step) return [clamp(ideal)];
+
+  const down = Math.floor(ideal / step) * step;
+  const up = Math.ceil(ideal / step) * step;
+  const around = width === 1 ? [Math.round(ideal / step) * step]
+    : width === 2 ? [down, up]
+    : [down - step, down, up, up + step];
+  const amounts = around.filter(value => value > 0);
+  return [...new Set((amounts.length > 0 ? amounts : [step]).map(clamp))];
+}
+
+/**
+ * Profit per winning leg of a set of leg amounts, plus the outlay
+ */
+function evaluateSplit(legs, amounts) {
+  const outlay = legs.reduce((sum, leg, i) => sum + amounts[i] * leg.cost, 0);
+  const profits = legs.map((leg, i) => amounts[i] * leg.cost * leg.net - outlay);
+  const worst = Math.min(...profits);
+  const best = Math.max(...profits);
+  return { outlay, profits, worst, best, yield: worst / outlay, spread: (best - worst) / outlay };
+}
+
+const EPSILON = 1e-9;
+
+/**
+ * Which of two scored splits a staking mode prefers
+ * equal / fixed_leg: highest worst-case profit as a share of the outlay (so
+ * staking more doesn't win by itself), then the most even profit.
+ * favor: the other outcomes closest to breaking even without losing, then
+ * the highest profit on the favored outcome.
+ * Ties go to the total closest to the ideal one.
+ */
+function preferSplit(a, b, { mode, target, outlay }) {
+  if (mode.type === 'favor') {
+    const othersFloor = score => Math.min(0, ...score.profits.filter((_, i) => i !== target));
+    const favored = score => score.profits[target] / score.outlay;
+    if (Math.abs(othersFloor(a) - othersFloor(b)) > EPSILON) return othersFloor(a) > othersFloor(b);
+    if (Math.abs(favored(a) - favored(b)) > EPSILON) return favored(a) > favored(b);
+  } else {
+    if (Math.abs(a.yield - b.yield) > EPSILON) return a.yield > b.yield;
+    if (Math.abs(a.spread - b.spread) > EPSILON) return a.spread < b.spread;
+  }
+  return Math.abs(a.outlay - outlay) < Math.abs(b.outlay - outlay);
+}
+
+/**
+ * Choose each leg's entered amount under rounding and stake limits
+ * Every combination of nearby rounded amounts is scored (see preferSplit);
+ * a fixed leg keeps exactly the amount it was given.
+ */
+function optimizeSplit(legs, ideal, step, limits, { mode, target }) {
+  const outlay = legs.reduce((sum, leg, i) => sum + ideal[i] * leg.cost, 0);
+  const width = 4 ** legs.length <= MAX_STAKE_COMBINATIONS ? 4
+    : 2 ** legs.length <= MAX_STAKE_COMBINATIONS ? 2 : 1;
+  const candidates = legs.map((leg, i) => mode.type === 'fixed_leg' && i === target
+    ? [ideal[i]]
+    : candidateAmounts(ideal[i], step, limits[leg.bookmaker_key] || {}, width));
+
+  let best = null;
+  const search = (i, amounts) => {
+    if (i === legs.length) {
+      const score = evaluateSplit(legs, amounts);
+      if (!best || preferSplit(score, best, { mode, target, outlay })) best = { ...score, amounts: [...amounts] };
+      return;
+    }
+    for (const amount of candidates[i]) {
+      amounts.push(amount);
+      search(i + 1, amounts);
+      amounts.pop();
+    }
+  };
+  search(0, []);
+
+  return best.amounts;
+}
+
+/**
+ * The leg a staking mode applies to, falling back to `equal` when it can't
+ * `favor` needs the outcome among the (back) legs and a real arb, so the
+ * favored outcome still profits once the rest break even; `fixed_leg` needs
+ * a leg at the bookmaker.
+ *
+ * @param {object[]} bets - An arbitrage's bets
+ * @param {object} [mode] - `{ type: 'equal' }`, `{ type: 'favor', outcome }` or
+ *   `{ type: 'fixed_leg', bookmaker, amount }` (see lib/staking.js)
+ * @returns {{ mode: object, target: number }} target is the leg index, -1 for equal
+ */
+export function resolveStakingMode(bets, mode) {
+  const equal = { mode: { type: 'equal' }, target: -1 };
+
+  if (mode?.type === 'favor') {
+    const name = mode.outcome.toLowerCase();
+    const target = bets.findIndex(bet => bet.side !== 'lay' &&
+      (bet.outcome.toLowerCase() === name || bet.outcome.toLowerCase().startsWith(`${name} `)));
+    if (target === -1) return equal;
+    const totalImplied = bets.reduce((sum, bet) => sum + 1 / legUnits(bet).net, 0);
+    return totalImplied < 1 ? { mode, target } : equal;
+  }
+
+  if (mode?.type === 'fixed_leg') {
+    const name = mode.bookmaker.toLowerCase();
+    const target = bets.findIndex(bet => [bet.bookmaker_key, bet.bookmaker].some(n => n?.toLowerCase() === name));
+    return target === -1 ? equal : { mode, target };
+  }
+
+  return equal;
+}
+
+/**
+ * Ideal entered amount per leg for a staking mode, before rounding
+ * equal: every outcome returns the same. favor: every other outcome returns
+ * exactly the total stake and the rest goes on the favored one. fixed_leg:
+ * the fixed leg's return sets every other leg, so the total follows from it.
+ * Legs over a bookmaker's max scale the split down (except a fixed leg's).
+ */
+function idealAmounts(legs, totalStake, { mode, target }, limits) {
+  let outlays;
+  if (mode.type === 'fixed_leg') {
+    const payout = mode.amount * legs[target].cost * legs[target].net;
+    outlays = legs.map((leg, i) => i === target ? mode.amount * leg.cost : payout / leg.net);
+  } else if (mode.type === 'favor') {
+    outlays = legs.map((leg, i) => i === target ? 0 : totalStake / leg.net);
+    outlays[target] = totalStake - outlays.reduce((sum, value) => sum + value, 0);
+  } else {
+    outlays = legs.map(leg => totalStake * leg.share);
+  }
+
+  if (mode.type !== 'fixed_leg') {
+    const scale = legs.reduce((factor, leg, i) => {
+      const max = limits[leg.bookmaker_key]?.max;
+      return max ? Math.min(factor, max * leg.cost / outlays[i]) : factor;
+    }, 1);
+    outlays = outlays.map(value => value * scale);
+  }
+
+  return outlays.map((value, i) => value / legs[i].cost);
+}
+
+/**
+ * Turn stake percentages into amounts and returns for a total stake
+ * A lay leg's `stake_amount` is its liability; `lay_stake` is the backer's
+ * stake to enter on the exchange. `net_return` is after commission and
+ * `profit_if_wins` is the net profit when that leg wins.
+ *
+ * `mode` picks the split (see resolveStakingMode): the equal-profit split by
+ * default, all the profit on one outcome, or one leg's stake fixed. With
+ * `rounding` every entered stake is a multiple of it (e.g. 1, 5, 10), and
+ * `limits` keeps each bookmaker's stake within `{ min, max }`; the split is
+ * then re-optimized for the mode.
+ *
+ * @param {object} [options]
+ * @param {number} [options.rounding] - Round entered stakes to this multiple
+ * @param {Object<string, { min?: number, max?: number }>} [options.limits] - Stake limits per bookmaker key
+ * @param {object} [options.mode] - Staking mode (default equal)
+ */
+export function calculateStakeAmounts(arbitrage, totalStake, { rounding = null, limits = {}, mode } = {}) {
+  const legs = arbitrage.bets.map(bet => ({ ...legUnits(bet), share: bet.stake_pct / 100, bookmaker_key: bet.bookmaker_key }));
+  const staking = resolveStakingMode(arbitrage.bets, mode);
+  const ideal = idealAmounts(legs, totalStake, staking, limits);
+
+  const constrained = rounding > 0 || arbitrage.bets.some(bet => limits[bet.bookmaker_key]);
+  const amounts = constrained
+    ? optimizeSplit(legs, ideal, rounding, limits, staking)
+    : ideal.map((amount, i) => round2(amount * legs[i].cost) / legs[i].cost);
+
+  const outlay = arbitrage.bets.reduce((sum, bet, i) => sum + (bet.side === 'lay' ? round2(amounts[i] * legs[i].cost) : round2(amounts[i])), 0);
+
+  return arbitrage.bets.map((bet, i) => {
+    const commission = bet.commission || 0;
+    const netReturn = amounts[i] * legs[i].cost * legs[i].net;
+
+    if (bet.side === 'lay') {
+      const liability = amounts[i] * legs[i].cost;
+      return {
+        ...bet,
+        stake_amount: round2(liability),
+        lay_stake: round2(amounts[i]),
+        potential_return: round2(liability + amounts[i]),
+        net_return: round2(liability + amounts[i] * (1 - commission / 100)),
+        profit_if_wins: round2(netReturn - outlay)
+      };
+    }
+
+    return {
+      ...bet,
+      stake_amount: round2(amounts[i]),
+      potential_return: round2(amounts[i] * bet.odds),
+      net_return: round2(netReturn),
+      profit_if_wins: round2(netReturn - outlay)
+    };
+  });
+}
+
+/**
+ * Total outlay and the worst/best profit of staked bets
+ */
+export function stakeSummary(bets) {
+  const profits = bets.map(bet => bet.profit_if_wins);
+  return {
+    total_stake: round2(bets.reduce((sum, bet) => sum + bet.stake_amount, 0)),
+    worst_case_profit: Math.min(...profits),
+    best_case_profit: Math.max(...profits),
+  };
+}
@@ -0,0 +1,234 @@
+// lib/backtest.js - Replay recorded odds through the arbitrage engine
+// Works on odds history events (see lib/oddsHistory.js). The market is
+// rebuilt at every moment a recorded price moved, arbs are detected the same
+// way a live scrape would, and each one is "placed" after a reaction latency
+// at the prices then on offer, to see what tuning min_profit or the
+// bookmaker set would have caught and earned.
+// Only back bets are replayed: the history records back prices, not exchange
+// lay prices, so back/lay arbs can't be rebuilt and are left out.
+
+import { finalizeMatches } from './providers/index.js';
+import { calculateLegsArbitrage, effectiveOdds } from './arbitrage.js';
+import { filterMatchesByBookmaker, parseBookmakerFilter, parseCommissions } from './bookmakers.js';
+import { findArbitrageOpportunities, rescaleOpportunity } from './opportunities.js';
+import { parseStakingOptions } from './staking.js';
+import { parseDateRange } from './stats.js';
+
+// The replay runs synchronously in the request, so its size is capped
+export const MAX_SNAPSHOTS = 2000;
+
+// What a backtest can't replay, reported with every result
+const EXCLUDED = { back_lay: 'Exchange lay prices are not recorded in the odds history' };
+
+/**
+ * Validate the body of a backtest request
+ * Returns `{ value }` or `{ error }`.
+ */
+export function parseBacktestInput(body = {}, { validSports }) {
+  const { value: range, error: rangeError } = parseDateRange(body);
+  if (rangeError) return { error: rangeError };
+
+  const sport = body.sport ? String(body.sport).toLowerCase() : null;
+  if (sport && !validSports.includes(sport)) return { error: `Invalid sport: ${body.sport}` };
+
+  const minProfit = body.min_profit === undefined ? 0 : parseFloat(body.min_profit);
+  if (!Number.isFinite(minProfit) || minProfit < 0) return { error: 'min_profit must be a number >= 0' };
+
+  const stake = body.stake === undefined ? 100 : Number(body.stake);
+  if (!(stake > 0)) return { error: 'stake must be a positive number' };
+
+  const latency = body.latency_seconds === undefined ? 0 : Number(body.latency_seconds);
+  if (!(latency >= 0)) return { error: 'latency_seconds must be a number >= 0' };
+
+  const { value: bookmakers, error: filterError } = parseBookmakerFilter(body);
+  if (filterError) return { error: filterError };
+
+  const { value: commissions, error: commissionError } = parseCommissions(body.commissions);
+  if (commissionError) return { error: commissionError };
+
+  const { value: staking, error: stakingError } = parseStakingOptions(body);
+  if (stakingError) return { error: stakingError };
+
+  return {
+    value: { ...range, sport, minProfit, stake, latency: latency * 1000, bookmakers, commissions: commissions || {}, staking }
+  };
+}
+
+/**
+ * A recorded bookmaker price at time `t`, or null when the book wasn't quoting
+ * Before a series' first point or after it was last seen there is no price.
+ */
+function priceAt(series, t) {
+  if (!series || Date.parse(series.points[0].at) > t || Date.parse(series.last_seen_at) < t) return null;
+  let price = null;
+  for (const point of series.points) {
+    if (Date.parse(point.at) > t) break;
+    price = point.price;
+  }
+  return price;
+}
+
+/**
+ * An odds history event as a normalized match at time `t`
+ */
+function matchAt(event, t) {
+  const markets = Object.values(event.markets).map(recorded => {
+    const outcomes = Object.keys(recorded.series);
+    const books = new Map();
+    for (const [outcome, byBook] of Object.entries(recorded.series)) {
+      for (const [bookmakerKey, series] of Object.entries(byBook)) {
+        const price = priceAt(series, t);
+        if (price === null) continue;
+        if (!books.has(bookmakerKey)) {
+          books.set(bookmakerKey, { bookmaker: series.bookmaker, bookmaker_key: bookmakerKey, prices: {} });
+        }
+        books.get(bookmakerKey).prices[outcome] = price;
+      }
+    }
+    return { market: recorded.market, line: recorded.line, outcomes, odds: [...books.values()] };
+  });
+
+  return {
+    event_id: event.event_id,
+    match_name: event.match_name,
+    sport: event.sport,
+    league: event.league,
+    league_key: event.league_key,
+    start_time: event.start_time,
+    markets
+  };
+}
+
+/**
+ * Place an opportunity's stakes at the prices on offer at time `t`
+ * Returns `{ status, bets, profit }`: `caught` when every leg is still quoted
+ * and the legs still make an arb, otherwise `gone` (a leg was pulled) or
+ * `moved` (prices moved the arb away), which are left unplaced.
+ */
+function place(event, opp, t) {
+  const recorded = Object.values(event.markets).find(m => m.market === opp.market && m.line === opp.line);
+  // Back bets only (see EXCLUDED): a leg's stake_amount is what it costs
+  const bets = opp.bets.map(bet => ({
+    ...bet,
+    detected_odds: bet.odds,
+    odds: priceAt(recorded?.series[bet.outcome]?.[bet.bookmaker_key], t)
+  }));
+
+  if (bets.some(bet => bet.odds === null)) return { status: 'gone', bets, profit: 0 };
+  if (!calculateLegsArbitrage(bets)?.exists) return { status: 'moved', bets, profit: 0 };
+
+  const totalStake = bets.reduce((sum, bet) => sum + bet.stake_amount, 0);
+  const worstReturn = Math.min(...bets.map(bet => bet.stake_amount * effectiveOdds(bet.odds, bet.commission)));
+  return { status: 'caught', bets, profit: parseFloat((worstReturn - totalStake).toFixed(2)) };
+}
+
+/**
+ * Replay recorded odds and report the arbs a strategy would have caught
+ * An arb is tried once per lifetime: from the moment it appears until it
+ * disappears. Its stakes are set at detection (rounding and limits
+ * applied); after `latency` it is placed at the prices then on offer, and
+ * its P&L is the guaranteed (worst-case) profit of those bets. Arbs whose
+ * event starts before they could be placed count as `started`.
+ * Returns `{ error }` instead when the range holds more than `maxSnapshots`
+ * price moves.
+ *
+ * @param {object[]} events - Odds history events
+ * @param {object} [options] - As returned by parseBacktestInput, plus `maxSnapshots`
+ */
+export function runBacktest(events, {
+  from = null,
+  to = null,
+  sport = null,
+  minProfit = 0,
+  stake = 100,
+  latency = 0,
+  bookmakers = null,
+  commissions = {},
+  staking = null,
+  maxSnapshots = MAX_SNAPSHOTS,
+} = {}) {
+  const replayed = events.filter(event => !sport || event.sport === sport);
+
+  // Every moment a recorded price moved is a new state of the market
+  const times = new Set();
+  for (const event of replayed) {
+    for (const recorded of Object.values(event.markets)) {
+      for (const byBook of Object.values(recorded.series)) {
+        for (const series of Object.values(byBook)) {
+          for (const point of series.points) {
+            const t = Date.parse(point.at);
+            if ((from === null || t >= from) && (to === null || t <= to)) times.add(t);
+          }
+        }
+      }
+    }
+  }
+  if (times.size > maxSnapshots) {
+    return { error: `The range holds ${times.size} price moves, more than the ${maxSnapshots} a backtest replays. Narrow from/to or pick a sport` };
+  }
+  const timeline = [...times].sort((a, b) => a - b);
+
+  const trades = [];
+  let active = new Set();
+
+  for (const t of timeline) {
+    const live = replayed.filter(event => !(Date.parse(event.start_time) <= t));
+    const matches = live.map(event => matchAt(event, t));
+    const allowed = finalizeMatches(bookmakers ? filterMatchesByBookmaker(matches, bookmakers) : matches);
+    const detected = findArbitrageOpportunities(allowed, minProfit, stake, { commissions })
+      .filter(opp => opp.type !== 'back_lay');
+
+    const seen = new Set();
+    for (const found of detected) {
+      seen.add(found.id);
+      if (active.has(found.id)) continue;
+
+      const opp = rescaleOpportunity(found, stake, staking || {});
+      const event = replayed.find(e => e.event_id === opp.match.event_id);
+      const placedAt = t + latency;
+      const started = Date.parse(event.start_time) <= placedAt;
+      const { status, bets, profit } = started
+        ? { status: 'started', bets: opp.bets.map(bet => ({ ...bet, detected_odds: bet.odds, odds: null })), profit: 0 }
+        : place(event, opp, placedAt);
+
+      trades.push({
+        id: opp.id,
+        match: opp.match.name,
+        league: opp.match.league,
+        market: opp.market,
+        line: opp.line,
+        detected_at: new Date(t).toISOString(),
+        placed_at: status === 'caught' ? new Date(placedAt).toISOString() : null,
+        profit_percentage: opp.profit_percentage,
+        status,
+        total_stake: status === 'caught' ? opp.total_stake : 0,
+        profit,
+        bets: bets.map(bet => ({
+          outcome: bet.outcome,
+          bookmaker: bet.bookmaker,
+          stake_amount: bet.stake_amount,
+          detected_odds: bet.detected_odds,
+          placed_odds: bet.odds
+        }))
+      });
+    }
+    active = seen;
+  }
+
+  const caught = trades.filter(trade => trade.status === 'caught');
+  const totalStaked = caught.reduce((sum, trade) => sum + trade.total_stake, 0);
+  const profit = caught.reduce((sum, trade) => sum + trade.profit, 0);
+  const missed = status => trades.filter(trade => trade.status === status).length;
+
+  return {
+    snapshots: timeline.length,
+    detected: trades.length,
+    caught: caught.length,
+    missed: { moved: missed('moved'), gone: missed('gone'), started: missed('started') },
+    total_staked: parseFloat(totalStaked.toFixed(2)),
+    profit: parseFloat(profit.toFixed(2)),
+    roi_percentage: totalStaked > 0 ? parseFloat((profit / totalStaked * 100).toFixed(2)) : null,
+    excluded: EXCLUDED,
+    trades
+  };
+}
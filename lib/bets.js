@@ -0,0 +1,326 @@
+// lib/bets.js - Ledger of the arb legs actually placed, per API key
+// A bet records the legs of an opportunity as they were really filled: the
+// bookmaker, the odds obtained and the stake, which may all differ from the
+// quote. Its expected profit is worked out from those fills, and once the
+// result is in, settling it gives the realized profit to compare against.
+
+import { randomBytes } from 'crypto';
+import { loadJson, saveJson } from './fileStore.js';
+import { commissionFor, effectiveOdds, layAsBackOdds } from './arbitrage.js';
+import { isAmbiguousPrice, toDecimalOdds } from './oddsFormat.js';
+
+/**
+ * Round to 2 decimal places (money)
+ */
+function round2(value) {
+  return parseFloat(value.toFixed(2));
+}
+
+/**
+ * Validate the legs of a create / add-legs request
+ * Each leg is `{ outcome, side?, bookmaker?, odds?, stake, requested_stake?, commission? }`;
+ * odds may be in any format (see lib/oddsFormat.js).
+ * Returns `{ value }` or `{ error }`.
+ */
+export function parseLegInput(legs, format = null) {
+  if (!Array.isArray(legs) || legs.length === 0) {
+    return { error: 'legs must be a non-empty array of { outcome, bookmaker, odds, stake }' };
+  }
+
+  const parsed = [];
+  for (const [i, leg] of legs.entries()) {
+    if (!leg || typeof leg.outcome !== 'string' || !leg.outcome.trim()) {
+      return { error: `legs[${i}].outcome is required` };
+    }
+    const side = leg.side ?? 'back';
+    if (!['back', 'lay'].includes(side)) return { error: `legs[${i}].side must be back or lay` };
+
+    const stake = Number(leg.stake);
+    if (!(stake > 0)) return { error: `legs[${i}].stake must be a positive amount` };
+
+    const requested = leg.requested_stake === undefined ? null : Number(leg.requested_stake);
+    if (requested !== null && !(requested > 0)) return { error: `legs[${i}].requested_stake must be a positive amount` };
+
+    const odds = leg.odds === undefined ? null : toDecimalOdds(leg.odds, format);
+    if (odds === null && !format && isAmbiguousPrice(leg.odds)) {
+      return { error: `legs[${i}].odds is ambiguous: ${leg.odds}. Sign American odds (+${leg.odds}) or set odds_format` };
+    }
+    if (leg.odds !== undefined && odds === null) return { error: `legs[${i}].odds is not a valid price: ${leg.odds}` };
+
+    const commission = leg.commission === undefined ? null : Number(leg.commission);
+    if (commission !== null && !(commission >= 0 && commission < 100)) {
+      return { error: `legs[${i}].commission must be a percentage from 0 to 100` };
+    }
+
+    parsed.push({
+      outcome: leg.outcome.trim(),
+      side,
+      bookmaker: typeof leg.bookmaker === 'string' && leg.bookmaker.trim() ? leg.bookmaker.trim() : null,
+      odds,
+      stake,
+      requested_stake: requested,
+      commission,
+    });
+  }
+  return { value: parsed };
+}
+
+/**
+ * Legs of an opportunity as filled, with the quote filled in for what wasn't given
+ * A leg's bookmaker and odds default to the quoted ones and its requested stake
+ * to the quoted stake. Returns `{ value }` or `{ error }` for a leg the
+ * opportunity doesn't have.
+ */
+export function fillLegs(opportunity, legs, commissions = {}, placedAt = new Date().toISOString()) {
+  const filled = [];
+  for (const [i, leg] of legs.entries()) {
+    const quoted = opportunity.bets.find(bet => bet.outcome === leg.outcome && (bet.side || 'back') === leg.side);
+    if (!quoted) {
+      const valid = opportunity.bets.map(bet => `${bet.side === 'lay' ? 'lay ' : ''}${bet.outcome}`);
+      return { error: `legs[${i}]: the opportunity has no ${leg.side} leg on ${leg.outcome}. Valid legs: ${valid.join(', ')}` };
+    }
+
+    const bookmaker = leg.bookmaker || quoted.bookmaker;
+    const sameBook = bookmaker.toLowerCase() === quoted.bookmaker.toLowerCase();
+    filled.push({
+      outcome: leg.outcome,
+      side: leg.side,
+      bookmaker,
+      odds: leg.odds ?? quoted.odds,
+      quoted_odds: quoted.odds,
+      stake: leg.stake,
+      requested_stake: leg.requested_stake ?? quoted.stake_amount,
+      commission: leg.commission ?? (sameBook ? quoted.commission ?? 0 : commissionFor({ bookmaker }, commissions)),
+      placed_at: placedAt,
+    });
+  }
+  return { value: filled };
+}
+
+/**
+ * Validate a settlement: `{ winner: "<outcome>" }` or `{ void: true }`
+ * On a back/lay bet any other outcome name settles it as its outcome losing.
+ * Returns `{ value: { winner, isVoid } }` or `{ error }`.
+ */
+export function parseSettlement(bet, body = {}) {
+  if (body.void === true) return { value: { winner: null, isVoid: true } };
+  const winner = typeof body.winner === 'string' ? body.winner.trim() : '';
+  if (!winner) return { error: 'winner (the outcome that won) or void: true is required' };
+
+  const backLay = bet.legs.some(leg => leg.side === 'lay') && bet.outcomes.length < 2;
+  if (!backLay && !bet.outcomes.includes(winner)) {
+    return { error: `Invalid winner: ${winner}. Valid options: ${bet.outcomes.join(', ')}` };
+  }
+  return { value: { winner, isVoid: false } };
+}
+
+/**
+ * What a leg costs, and pays back when it wins (after commission)
+ * A lay's stake is the backer's stake; it costs the liability.
+ */
+function legMoney(leg) {
+  if (leg.side === 'lay') {
+    const cost = leg.stake * (leg.odds - 1);
+    return { cost, payout: cost * layAsBackOdds(leg.odds, leg.commission) };
+  }
+  return { cost: leg.stake, payout: leg.stake * effectiveOdds(leg.odds, leg.commission) };
+}
+
+/**
+ * Does a leg win when `winner` wins? A lay wins whenever its outcome doesn't
+ */
+function legWins(leg, winner) {
+  return leg.side === 'lay' ? leg.outcome !== winner : leg.outcome === winner;
+}
+
+/**
+ * Profit of a bet's legs when `winner` wins
+ */
+function profitIf(bet, winner) {
+  return bet.legs.reduce((sum, leg) => {
+    const { cost, payout } = legMoney(leg);
+    return sum - cost + (legWins(leg, winner) ? payout : 0);
+  }, 0);
+}
+
+/**
+ * Results a bet can end in: each quoted outcome winning, plus "anything
+ * else" when a lay covers an outcome that isn't the only one
+ */
+function scenarios(bet) {
+  const outcomes = bet.outcomes;
+  return bet.legs.some(leg => leg.side === 'lay') && outcomes.length < 2 ? [...outcomes, null] : outcomes;
+}
+
+/**
+ * Stake, worst/best case profit and fill status of a bet from its legs
+ * `partial` means some quoted leg is missing or filled for less than requested.
+ */
+export function betTotals(bet) {
+  const cost = bet.legs.reduce((sum, leg) => sum + legMoney(leg).cost, 0);
+  const profits = scenarios(bet).map(winner => profitIf(bet, winner));
+
+  const unfilled = bet.quoted_legs.some(quoted => {
+    const legs = bet.legs.filter(leg => leg.outcome === quoted.outcome && leg.side === quoted.side);
+    const requested = Math.max(0, ...legs.map(leg => leg.requested_stake));
+    return legs.length === 0 || legs.reduce((sum, leg) => sum + leg.stake, 0) < requested;
+  });
+
+  return {
+    total_stake: round2(cost),
+    expected_profit: round2(Math.min(...profits)),
+    best_case_profit: round2(Math.max(...profits)),
+    fill: unfilled ? 'partial' : 'filled',
+  };
+}
+
+/**
+ * Profit of a bet when `winner` won, or 0 when it was void
+ */
+export function realizedProfit(bet, winner, isVoid = false) {
+  return isVoid ? 0 : round2(profitIf(bet, winner));
+}
+
+/**
+ * Create the bet ledger backed by a JSON file
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file (created on first write)
+ */
+export function createBetStore({ file }) {
+  const bets = new Map(Object.entries(loadJson(file, {})));
+
+  function persist() {
+    saveJson(file, Object.fromEntries(bets));
+  }
+
+  function publicView(bet) {
+    const { api_key, ...rest } = bet;
+    return { ...rest, ...betTotals(bet) };
+  }
+
+  /**
+   * Record the legs placed on an opportunity
+   */
+  function create(apiKey, opportunity, legs) {
+    const now = new Date().toISOString();
+    const bet = {
+      id: `bet_${randomBytes(8).toString('hex')}`,
+      api_key: apiKey,
+      opportunity_id: opportunity.id,
+      match: opportunity.match,
+      market: opportunity.market,
+      line: opportunity.line,
+      type: opportunity.type,
+      outcomes: [...new Set(opportunity.bets.map(bet => bet.outcome))],
+      quoted_legs: opportunity.bets.map(bet => ({
+        outcome: bet.outcome,
+        side: bet.side || 'back',
+        bookmaker: bet.bookmaker,
+        odds: bet.odds,
+        commission: bet.commission ?? 0,
+        stake_amount: bet.stake_amount,
+      })),
+      quoted_profit_percentage: opportunity.profit_percentage,
+      legs,
+      status: 'open',
+      winner: null,
+      realized_profit: null,
+      settled_at: null,
+      created_at: now,
+      updated_at: now,
+    };
+    bets.set(bet.id, bet);
+    persist();
+    return bet;
+  }
+
+  /**
+   * A bet owned by an API key, or null
+   */
+  function get(apiKey, id) {
+    const bet = bets.get(id);
+    return bet && bet.api_key === apiKey ? bet : null;
+  }
+
+  function list(apiKey) {
+    return [...bets.values()].filter(bet => bet.api_key === apiKey);
+  }
+
+  /**
+   * An open bet owned by an API key, or null; settled and void bets are closed
+   */
+  function getOpen(apiKey, id) {
+    const bet = get(apiKey, id);
+    return bet && bet.status === 'open' ? bet : null;
+  }
+
+  /**
+   * Add fills to an open bet, e.g. the rest of a partially matched leg
+   * Returns null when the bet doesn't exist or is already closed.
+   */
+  function addLegs(apiKey, id, legs) {
+    const bet = getOpen(apiKey, id);
+    if (!bet) return null;
+    bet.legs.push(...legs);
+    bet.updated_at = new Date().toISOString();
+    persist();
+    return bet;
+  }
+
+  /**
+   * Settle a bet on the outcome that won, or as void (every stake returned)
+   * Returns null when the bet doesn't exist or is already closed.
+   */
+  function settle(apiKey, id, { winner = null, isVoid = false }) {
+    const bet = getOpen(apiKey, id);
+    if (!bet) return null;
+    const now = new Date().toISOString();
+    Object.assign(bet, {
+      status: isVoid ? 'void' : 'settled',
+      winner: isVoid ? null : winner,
+      realized_profit: realizedProfit(bet, winner, isVoid),
+      settled_at: now,
+      updated_at: now,
+    });
+    persist();
+    return bet;
+  }
+
+  /**
+   * Realized vs expected profit over an API key's bets
+   * Expected profit is the worst case of the legs as filled; `slippage` is
+   * how much of the quoted profit the fills gave away.
+   */
+  function summary(apiKey) {
+    const views = list(apiKey).map(publicView);
+    const total = (group, field) => round2(group.reduce((sum, bet) => sum + bet[field], 0));
+    const closed = views.filter(bet => bet.status !== 'open');
+    const open = views.filter(bet => bet.status === 'open');
+    const quoted = round2(views.reduce((sum, bet) => sum + bet.total_stake * bet.quoted_profit_percentage / 100, 0));
+    const expected = total(views, 'expected_profit');
+
+    return {
+      bets: views.length,
+      partial: views.filter(bet => bet.fill === 'partial').length,
+      total_staked: total(views, 'total_stake'),
+      quoted_profit: quoted,
+      expected_profit: expected,
+      slippage: round2(quoted - expected),
+      settled: {
+        count: closed.length,
+        staked: total(closed, 'total_stake'),
+        expected_profit: total(closed, 'expected_profit'),
+        realized_profit: total(closed, 'realized_profit'),
+        difference: round2(total(closed, 'realized_profit') - total(closed, 'expected_profit')),
+      },
+      open: {
+        count: open.length,
+        staked: total(open, 'total_stake'),
+        expected_profit: total(open, 'expected_profit'),
+      },
+    };
+  }
+
+  return { create, get, list, addLegs, settle, summary, publicView };
+}
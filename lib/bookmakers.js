@@ -0,0 +1,179 @@
+// lib/bookmakers.js - Bookmaker catalogue and include/exclude filtering
+// The Odds API doesn't say which region a bookmaker belongs to in its odds
+// payload, so the catalogue below maps each bookmaker key to its regions
+// (see https://the-odds-api.com/sports-odds-data/bookmaker-apis.html).
+// It also holds the commission exchanges take on net winnings.
+
+export const BOOKMAKER_REGIONS = {
+  // United States
+  betmgm: ['us'],
+  betrivers: ['us'],
+  betus: ['us'],
+  bovada: ['us'],
+  draftkings: ['us'],
+  fanduel: ['us'],
+  lowvig: ['us'],
+  mybookieag: ['us', 'eu'],
+  betonlineag: ['us', 'eu'],
+  williamhill_us: ['us'],
+  ballybet: ['us2'],
+  betanysports: ['us2'],
+  betparx: ['us2'],
+  espnbet: ['us2'],
+  fliff: ['us2'],
+  hardrockbet: ['us2'],
+  windcreek: ['us2'],
+  // United Kingdom
+  bet365: ['uk'],
+  betfair_ex_uk: ['uk'],
+  betfair_sb_uk: ['uk'],
+  betvictor: ['uk'],
+  betway: ['uk'],
+  boylesports: ['uk'],
+  casumo: ['uk'],
+  coral: ['uk'],
+  grosvenor: ['uk'],
+  ladbrokes_uk: ['uk'],
+  leovegas: ['uk'],
+  livescorebet: ['uk'],
+  paddypower: ['uk'],
+  skybet: ['uk'],
+  smarkets: ['uk'],
+  unibet_uk: ['uk'],
+  virginbet: ['uk'],
+  sport888: ['uk', 'eu'],
+  matchbook: ['uk', 'eu'],
+  williamhill: ['uk', 'eu'],
+  // Europe
+  onexbet: ['eu'],
+  betclic: ['eu'],
+  betfair_ex_eu: ['eu'],
+  betsson: ['eu'],
+  coolbet: ['eu'],
+  everygame: ['eu'],
+  gtbets: ['eu'],
+  marathonbet: ['eu'],
+  nordicbet: ['eu'],
+  pinnacle: ['eu'],
+  suprabets: ['eu'],
+  tipico_de: ['eu'],
+  unibet_eu: ['eu'],
+  winamax_de: ['eu'],
+  winamax_fr: ['eu'],
+  // Australia
+  betfair_ex_au: ['au'],
+  betr_au: ['au'],
+  ladbrokes_au: ['au'],
+  neds: ['au'],
+  playup: ['au'],
+  pointsbetau: ['au'],
+  sportsbet: ['au'],
+  tab: ['au'],
+  tabtouch: ['au'],
+  unibet: ['au'],
+};
+
+export const REGIONS = ['us', 'us2', 'uk', 'eu', 'au'];
+
+// Standard commission on net winnings, in percent. Sportsbooks build their
+// margin into the price and take none.
+export const DEFAULT_COMMISSIONS = {
+  betfair_ex_uk: 5,
+  betfair_ex_eu: 5,
+  betfair_ex_au: 5,
+  matchbook: 2,
+  smarkets: 2,
+};
+
+function toList(value) {
+  if (value === undefined || value === null || value === '') return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(v => String(v).trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Parse bookmaker filter params (comma-separated strings or arrays)
+ * Bookmakers are matched by Odds API key or title, case-insensitively.
+ * Returns `{ value }` (null when no filter is set) or `{ error }`.
+ */
+export function parseBookmakerFilter({ bookmakers, exclude_bookmakers, regions } = {}) {
+  const filter = {
+    bookmakers: toList(bookmakers),
+    exclude_bookmakers: toList(exclude_bookmakers),
+    regions: toList(regions),
+  };
+
+  const invalid = filter.regions.filter(region => !REGIONS.includes(region));
+  if (invalid.length > 0) {
+    return { error: `Invalid region: ${invalid.join(', ')}. Valid options: ${REGIONS.join(', ')}` };
+  }
+
+  const empty = Object.values(filter).every(list => list.length === 0);
+  return { value: empty ? null : filter };
+}
+
+/**
+ * Combine a saved profile with per-request params; each param given overrides its profile field
+ */
+export function mergeBookmakerFilters(profile, override) {
+  if (!profile) return override;
+  if (!override) return profile;
+  const merged = { ...profile };
+  for (const [field, list] of Object.entries(override)) {
+    if (list.length > 0) merged[field] = list;
+  }
+  return merged;
+}
+
+/**
+ * Can the caller bet at this bookmaker under the filter?
+ */
+export function isBookmakerAllowed(entry, filter) {
+  const names = [entry.bookmaker_key, entry.bookmaker].filter(Boolean).map(n => n.toLowerCase());
+  const named = list => names.some(name => list.includes(name));
+
+  if (filter.bookmakers.length > 0 && !named(filter.bookmakers)) return false;
+  if (named(filter.exclude_bookmakers)) return false;
+  if (filter.regions.length > 0) {
+    const regions = BOOKMAKER_REGIONS[entry.bookmaker_key] || [];
+    if (!regions.some(region => filter.regions.includes(region))) return false;
+  }
+  return true;
+}
+
+/**
+ * Drop the odds of every bookmaker the filter excludes
+ * Markets left with fewer than 2 bookmakers are removed later by finalizeMatches.
+ */
+export function filterMatchesByBookmaker(matches, filter) {
+  return matches.map(match => ({
+    ...match,
+    markets: match.markets.map(market => ({
+      ...market,
+      odds: market.odds.filter(entry => isBookmakerAllowed(entry, filter)),
+    })),
+  }));
+}
+
+/**
+ * Parse a commission table: `"betfair_ex_uk:2,matchbook:1.5"` or `{ key: percent }`
+ * Returns `{ value }` (null when empty) or `{ error }`.
+ */
+export function parseCommissions(input) {
+  if (input === undefined || input === null || input === '') return { value: null };
+
+  const pairs = typeof input === 'object' && !Array.isArray(input)
+    ? Object.entries(input)
+    : toList(input).map(pair => pair.split(':'));
+
+  const table = {};
+  for (const [key, percent] of pairs) {
+    const value = Number(percent);
+    if (!key || percent === undefined || percent === '' || !(value >= 0 && value < 100)) {
+      return { error: `Invalid commission: ${key}:${percent ?? ''}. Use bookmaker:percent, e.g. betfair_ex_uk:2` };
+    }
+    table[String(key).trim().toLowerCase()] = value;
+  }
+
+  return { value: Object.keys(table).length > 0 ? table : null };
+}
@@ -0,0 +1,159 @@
+// lib/calculator.js - Arbitrage and stakes for odds the caller brings
+// Same engine and staking options as the opportunity routes, but the odds come
+// from the request body instead of a scrape (e.g. a book the provider doesn't
+// cover).
+
+import { calculateArbitrage, calculateLegsArbitrage, commissionFor } from './arbitrage.js';
+import { rescaleOpportunity } from './opportunities.js';
+import { ODDS_FORMATS, isAmbiguousPrice, toDecimalOdds } from './oddsFormat.js';
+
+const MAX_LEGS = 20;
+const MAX_PRICES_PER_OUTCOME = 50;
+
+/**
+ * A price as decimal odds, or `{ error }` naming the field it came from
+ */
+function parsePrice(input, format, label) {
+  const price = toDecimalOdds(input, format);
+  if (price === null && !format && isAmbiguousPrice(input)) {
+    return { error: `${label} is ambiguous: ${input}. Sign American odds (+${input}) or set odds_format` };
+  }
+  if (price === null) {
+    return { error: `${label} is not valid ${format || 'decimal, American or fractional'} odds: ${input}` };
+  }
+  return { value: price };
+}
+
+function checkFormat(format) {
+  return format && !ODDS_FORMATS.includes(format)
+    ? `Invalid odds_format: ${format}. Use one of: ${ODDS_FORMATS.join(', ')}`
+    : null;
+}
+
+/**
+ * Parse the calculator's `legs`: `[{ outcome, odds, bookmaker?, side?, commission? }]`
+ * Odds are read like parseOutcomes prices; `side` is back (default) or lay;
+ * `commission` is in percent (null when not given).
+ * Returns `{ value }` or `{ error }`.
+ */
+export function parseLegs(input, format = null) {
+  const formatError = checkFormat(format);
+  if (formatError) return { error: formatError };
+  if (!Array.isArray(input) || input.length < 2 || input.length > MAX_LEGS) {
+    return { error: `legs must be an array of 2 to ${MAX_LEGS} bets` };
+  }
+
+  const legs = [];
+  for (const [i, leg] of input.entries()) {
+    const label = `legs[${i}]`;
+    if (!leg || typeof leg !== 'object') return { error: `${label} must be an object` };
+
+    const outcome = typeof leg.outcome === 'string' ? leg.outcome.trim() : '';
+    if (!outcome) return { error: `${label}.outcome is required` };
+
+    const { value: odds, error: priceError } = parsePrice(leg.odds, format, `${label}.odds`);
+    if (priceError) return { error: priceError };
+
+    const side = leg.side ?? 'back';
+    if (side !== 'back' && side !== 'lay') return { error: `${label}.side must be back or lay` };
+
+    const commission = leg.commission === undefined || leg.commission === null ? null : Number(leg.commission);
+    if (commission !== null && !(commission >= 0 && commission < 100)) {
+      return { error: `${label}.commission must be a percentage from 0 to 100` };
+    }
+
+    const bookmaker = leg.bookmaker ? String(leg.bookmaker).trim() : `Leg ${i + 1}`;
+    legs.push({
+      outcome,
+      odds,
+      side,
+      commission,
+      bookmaker,
+      bookmaker_key: String(leg.bookmaker_key || bookmaker).toLowerCase(),
+    });
+  }
+  return { value: legs };
+}
+
+/**
+ * Parse `/api/calculate` outcomes into odds entries for the engine
+ * Each outcome is `{ name, odds: [{ bookmaker, price }] }`, or
+ * `{ name, bookmaker, price }` for a single price. Prices may be decimal,
+ * American or fractional (`format`, or detected per price: "+150", "5/2");
+ * without a format an unsigned "150" is rejected as ambiguous.
+ * Returns `{ value: { outcomes, odds } }` or `{ error }`.
+ */
+export function parseOutcomes(input, format = null) {
+  const formatError = checkFormat(format);
+  if (formatError) return { error: formatError };
+  if (!Array.isArray(input) || input.length < 2 || input.length > MAX_LEGS) {
+    return { error: `outcomes must be an array of 2 to ${MAX_LEGS} outcomes` };
+  }
+
+  const names = [];
+  const byBookmaker = new Map();
+  for (const [i, outcome] of input.entries()) {
+    const label = `outcomes[${i}]`;
+    const name = typeof outcome?.name === 'string' ? outcome.name.trim() : '';
+    if (!name) return { error: `${label}.name is required` };
+    if (names.includes(name)) return { error: `${label}.name is a duplicate: ${name}` };
+    names.push(name);
+
+    const prices = Array.isArray(outcome.odds) ? outcome.odds : [{ bookmaker: outcome.bookmaker, price: outcome.price ?? outcome.odds }];
+    if (prices.length === 0 || prices.length > MAX_PRICES_PER_OUTCOME) {
+      return { error: `${label}.odds must list 1 to ${MAX_PRICES_PER_OUTCOME} prices` };
+    }
+
+    for (const [j, entry] of prices.entries()) {
+      const { value: price, error: priceError } = parsePrice(entry?.price, format, `${label}.odds[${j}].price`);
+      if (priceError) return { error: priceError };
+      const bookmaker = entry.bookmaker ? String(entry.bookmaker).trim() : 'Unknown';
+      const key = String(entry.bookmaker_key || bookmaker).toLowerCase();
+      if (!byBookmaker.has(key)) byBookmaker.set(key, { bookmaker, bookmaker_key: key, prices: {} });
+      byBookmaker.get(key).prices[name] = price;
+    }
+  }
+
+  return { value: { outcomes: names, odds: [...byBookmaker.values()] } };
+}
+
+/**
+ * Stake an arbitrage for a total stake with the given staking options
+ * Legs that don't form an arb still get staked; `exists` says whether they do.
+ */
+function stakeArbitrage(arbitrage, stake, staking) {
+  const { exists, total_implied_probability, ...record } = arbitrage;
+  return {
+    exists,
+    total_implied_probability,
+    ...rescaleOpportunity(record, stake, staking),
+  };
+}
+
+/**
+ * Stake `legs` for a total stake with the given staking options
+ * A leg without its own commission takes its bookmaker's from `commissions`.
+ *
+ * @param {object[]} legs - Parsed legs (see parseLegs)
+ * @param {number} stake - Total stake
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ * @param {object} [options.staking] - `{ rounding, limits, mode }` (see lib/staking.js)
+ */
+export function calculateStakes(legs, stake, { commissions = {}, staking = {} } = {}) {
+  const priced = legs.map(leg => ({ ...leg, commission: leg.commission ?? commissionFor(leg, commissions) }));
+  return stakeArbitrage(calculateLegsArbitrage(priced), stake, staking);
+}
+
+/**
+ * Best arbitrage across the caller's prices, staked like an opportunity
+ *
+ * @param {{ outcomes: string[], odds: object[] }} market - Parsed outcomes (see parseOutcomes)
+ * @param {number} stake - Total stake
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ * @param {object} [options.staking] - `{ rounding, limits, mode }` (see lib/staking.js)
+ */
+export function calculateOddsArbitrage({ outcomes, odds }, stake, { commissions = {}, staking = {} } = {}) {
+  return stakeArbitrage(calculateArbitrage(odds, outcomes, { commissions }), stake, staking);
+}
@@ -0,0 +1,126 @@
+// lib/catalogue.js - Live league catalogue
+// Syncs the provider's /sports list and groups the active leagues under our
+// sports by key prefix, so `soccer` covers every soccer league in season
+// instead of one hard-coded key that goes stale.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+/**
+ * Create a league catalogue over a provider
+ *
+ * @param {object} options
+ * @param {object} options.provider - Odds provider; syncing needs `fetchSports()`
+ * @param {object} options.sports - Sport → config map (see lib/sports.js)
+ * @param {number} [options.ttl] - How long a sync is trusted (ms)
+ * @param {string[]} [options.leagues] - Only these league keys, `prefix_*` for every key with that
+ *   prefix (default: every active league)
+ * @param {boolean} [options.includeOutrights] - Keep futures-only leagues (e.g. `*_winner`)
+ */
+export function createSportsCatalogue({ provider, sports, ttl = 6 * HOUR_MS, leagues: allowlist = null, includeOutrights = false }) {
+  const state = { leagues: null, synced_at: null, error: null };
+  let syncing = null;
+
+  /**
+   * Group provider sports into our sports' active leagues
+   */
+  function groupLeagues(providerSports) {
+    const grouped = Object.fromEntries(Object.keys(sports).map(sport => [sport, []]));
+
+    for (const entry of providerSports) {
+      if (!entry.active) continue;
+      if (entry.has_outrights && !includeOutrights) continue;
+      if (allowlist && !allowlist.some(key => key.endsWith('*') ? entry.key.startsWith(key.slice(0, -1)) : key === entry.key)) continue;
+
+      const sport = Object.keys(sports).find(s => entry.key.startsWith(sports[s].league_prefix));
+      if (!sport) continue;
+
+      grouped[sport].push({
+        key: entry.key,
+        title: entry.title,
+        description: entry.description || entry.title,
+        group: entry.group,
+      });
+    }
+
+    return grouped;
+  }
+
+  /**
+   * Fetch the provider's sports list; the previous catalogue is kept on failure
+   */
+  function sync() {
+    if (typeof provider.fetchSports !== 'function') return Promise.resolve(status());
+    if (syncing) return syncing;
+
+    syncing = (async () => {
+      try {
+        const { sports: providerSports, error } = await provider.fetchSports();
+        if (error || !providerSports?.length) {
+          state.error = error || 'Provider returned no sports';
+          console.log(`⚠️ League catalogue sync failed: ${state.error}`);
+        } else {
+          state.leagues = groupLeagues(providerSports);
+          state.error = null;
+          const total = Object.values(state.leagues).reduce((sum, list) => sum + list.length, 0);
+          console.log(`📚 League catalogue synced: ${total} active leagues`);
+        }
+      } catch (error) {
+        state.error = error.message;
+        console.error('❌ League catalogue sync error:', error.message);
+      }
+      // Failed syncs are retried after the ttl too, not on every scrape
+      state.synced_at = Date.now();
+      return status();
+    })();
+
+    syncing.finally(() => { syncing = null; }).catch(() => {});
+    return syncing;
+  }
+
+  function isFresh() {
+    return state.synced_at !== null && Date.now() - state.synced_at < ttl;
+  }
+
+  /**
+   * Sync only if the last sync is older than the ttl
+   */
+  async function ensureFresh() {
+    return isFresh() ? status() : sync();
+  }
+
+  /**
+   * Leagues a sport covers: synced list, or its static keys before the first sync
+   */
+  function leaguesFor(sport) {
+    const config = sports[sport];
+    if (!config) return [];
+    if (state.leagues) return state.leagues[sport];
+    return [config.api_key, ...(config.fallback_keys || [])].map(key => ({
+      key,
+      title: config.display_name,
+      description: config.display_name,
+      group: null,
+    }));
+  }
+
+  /**
+   * Provider config for a sport, syncing first if the catalogue is stale
+   * Once synced the config lists every active league to fetch.
+   */
+  async function configFor(sport) {
+    await ensureFresh();
+    const config = sports[sport];
+    if (!config || !state.leagues) return config;
+    return { ...config, leagues: state.leagues[sport] };
+  }
+
+  function status() {
+    return {
+      source: state.leagues ? 'provider' : 'static',
+      synced_at: state.synced_at ? new Date(state.synced_at).toISOString() : null,
+      error: state.error,
+    };
+  }
+
+  return { sync, ensureFresh, configFor, leaguesFor, status };
+}
@@ -0,0 +1,30 @@
+// lib/fileStore.js - Minimal JSON file persistence for the embedded stores
+// Writes go to a temp file first and are renamed into place so a crash
+// mid-write never leaves a truncated store behind.
+
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Read a JSON file, returning `fallback` if it is missing or unreadable
+ */
+export function loadJson(file, fallback) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      console.error(`⚠️ Could not read ${file}: ${error.message}`);
+    }
+    return fallback;
+  }
+}
+
+/**
+ * Atomically write a value as JSON
+ */
+export function saveJson(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(data));
+  fs.renameSync(tmp, file);
+}
@@ -0,0 +1,159 @@
+// lib/markets.js - Market layer for The Odds API bookmaker payloads
+// Turns one game's bookmaker markets into comparable odds sets: one per
+// market and line, so totals/spreads are only ever compared like-for-like.
+// Outright (futures) markets are parsed too but not requested by default,
+// since The Odds API only offers them on outright sport keys.
+// Exchange lay prices (`h2h_lay`) ride along on the exchange's h2h entry.
+// Alternate lines (`alternate_totals`, `alternate_spreads`) join the main
+// market's groups, one more line each.
+
+// Markets scanned unless configured otherwise
+export const DEFAULT_MARKETS = ['h2h', 'totals', 'spreads'];
+
+// Alternate line markets → the market whose lines they add to
+export const ALTERNATE_MARKETS = { alternate_totals: 'totals', alternate_spreads: 'spreads' };
+
+export const SUPPORTED_MARKETS = [...DEFAULT_MARKETS, 'outrights', 'h2h_lay', ...Object.keys(ALTERNATE_MARKETS)];
+
+// Lay markets → the back market whose entries carry their prices
+const LAY_MARKETS = { h2h_lay: 'h2h' };
+
+/**
+ * Format a handicap/total point with an explicit sign (e.g. -3.5, +3.5)
+ */
+function signed(point) {
+  return point > 0 ? `+${point}` : `${point}`;
+}
+
+/**
+ * h2h: home/away (and draw) prices from one bookmaker
+ */
+function parseH2H(game, market, { hasDraw }) {
+  const outcomes = hasDraw
+    ? [game.home_team, 'Draw', game.away_team]
+    : [game.home_team, game.away_team];
+
+  const prices = {};
+  for (const name of outcomes) {
+    const outcome = market.outcomes.find(o => o.name === name);
+    if (outcome) prices[name] = parseFloat(outcome.price);
+  }
+  if (!prices[game.home_team] || !prices[game.away_team]) return [];
+
+  return [{ line: null, outcomes, prices }];
+}
+
+/**
+ * totals: Over/Under pairs that share the same point
+ */
+function parseTotals(game, market) {
+  const entries = [];
+  for (const over of market.outcomes.filter(o => o.name === 'Over')) {
+    const under = market.outcomes.find(o => o.name === 'Under' && o.point === over.point);
+    if (!under || typeof over.point !== 'number') continue;
+
+    const overName = `Over ${over.point}`;
+    const underName = `Under ${over.point}`;
+    entries.push({
+      line: over.point,
+      outcomes: [overName, underName],
+      prices: { [overName]: parseFloat(over.price), [underName]: parseFloat(under.price) },
+    });
+  }
+  return entries;
+}
+
+/**
+ * spreads: home handicap paired with the mirrored away handicap
+ * The line is the home team's point (e.g. -3.5 means home gives 3.5).
+ */
+function parseSpreads(game, market) {
+  const entries = [];
+  for (const home of market.outcomes.filter(o => o.name === game.home_team)) {
+    const away = market.outcomes.find(o => o.name === game.away_team && o.point === -home.point);
+    if (!away || typeof home.point !== 'number') continue;
+
+    const homeName = `${game.home_team} ${signed(home.point)}`;
+    const awayName = `${game.away_team} ${signed(away.point)}`;
+    entries.push({
+      line: home.point,
+      outcomes: [homeName, awayName],
+      prices: { [homeName]: parseFloat(home.price), [awayName]: parseFloat(away.price) },
+    });
+  }
+  return entries;
+}
+
+/**
+ * outrights: futures/multi-runner markets, one outcome per runner
+ * The outcome set is completed across bookmakers in parseGameMarkets.
+ */
+function parseOutrights(game, market) {
+  const prices = {};
+  for (const outcome of market.outcomes) {
+    prices[outcome.name] = parseFloat(outcome.price);
+  }
+  return [{ line: null, outcomes: null, prices }];
+}
+
+const PARSERS = {
+  h2h: parseH2H,
+  totals: parseTotals,
+  spreads: parseSpreads,
+  outrights: parseOutrights,
+};
+
+/**
+ * Parse every supported market of a game into odds sets keyed by market + line
+ * By default only sets priced by at least 2 bookmakers are returned, since
+ * arbitrage needs prices from different books.
+ *
+ * Exchange lay prices are added to the exchange's back entry as `lay_prices`;
+ * alternate totals/spreads are grouped with the main totals/spreads lines.
+ *
+ * @returns {Array<{ market: string, line: number|null, outcomes: string[], odds: Array<{ bookmaker: string, bookmaker_key: string, prices: Object<string, number>, lay_prices?: Object<string, number> }> }>}
+ */
+export function parseGameMarkets(game, { hasDraw = false, markets = DEFAULT_MARKETS, minBookmakers = 2 } = {}) {
+  const groups = new Map();
+  const lays = [];
+
+  for (const bookmaker of game.bookmakers || []) {
+    for (const market of bookmaker.markets || []) {
+      if (LAY_MARKETS[market.key]) {
+        if (markets.includes(market.key) && market.outcomes) lays.push({ bookmaker, market });
+        continue;
+      }
+      const marketKey = ALTERNATE_MARKETS[market.key] || market.key;
+      const parse = PARSERS[marketKey];
+      if (!parse || !markets.includes(market.key) || !market.outcomes) continue;
+
+      for (const { line, outcomes, prices } of parse(game, market, { hasDraw })) {
+        const key = `${marketKey}:${line}`;
+        if (!groups.has(key)) {
+          groups.set(key, { market: marketKey, line, outcomes: outcomes || [], odds: [] });
+        }
+        const group = groups.get(key);
+        // A line a bookmaker lists as both main and alternate counts once
+        if (bookmaker.key && group.odds.some(entry => entry.bookmaker_key === bookmaker.key)) continue;
+        // Outrights: every runner any bookmaker prices is part of the field
+        if (!outcomes) {
+          for (const name of Object.keys(prices)) {
+            if (!group.outcomes.includes(name)) group.outcomes.push(name);
+          }
+        }
+        group.odds.push({ bookmaker: bookmaker.title, bookmaker_key: bookmaker.key, prices });
+      }
+    }
+  }
+
+  // Lay prices only count where the exchange also quotes the back market
+  for (const { bookmaker, market } of lays) {
+    const back = LAY_MARKETS[market.key];
+    for (const { line, prices } of PARSERS[back](game, market, { hasDraw })) {
+      const entry = groups.get(`${back}:${line}`)?.odds.find(o => o.bookmaker_key === bookmaker.key);
+      if (entry) entry.lay_prices = prices;
+    }
+  }
+
+  return [...groups.values()].filter(group => group.odds.length >= minBookmakers);
+}
@@ -0,0 +1,191 @@
+// lib/middles.js - Middle detection on totals and spreads
+// Two books on different lines can leave a window where both bets win, e.g.
+// Over 220.5 at one book and Under 223.5 at another: any total of 221-223
+// pays both. Outside the window one bet wins and the other loses, so a middle
+// risks a small, known loss for a shot at winning both.
+
+import { createHash } from 'crypto';
+import { commissionFor, effectiveOdds } from './arbitrage.js';
+
+// Rough standard deviation of the final total / margin per sport, used to
+// estimate how often a window hits (a normal model centred on the main line)
+const RESULT_SPREAD = {
+  basketball: { totals: 18, spreads: 12 },
+  nfl: { totals: 10, spreads: 13.5 },
+  mlb: { totals: 4.5, spreads: 4 },
+  soccer: { totals: 1.7, spreads: 1.8 },
+  tennis: { totals: 5.5, spreads: 5.5 },
+};
+
+// Only these markets have lines to middle
+const MIDDLE_MARKETS = ['totals', 'spreads'];
+
+/**
+ * Standard normal CDF (Abramowitz-Stegun 7.1.26, plenty for an estimate)
+ */
+function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(z) / Math.SQRT2);
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Estimated chance the result lands strictly inside `(from, to)`
+ * The result is modelled as normal around `center` with the sport's spread.
+ */
+export function hitProbability(from, to, center, sigma) {
+  return normalCdf((to - center) / sigma) - normalCdf((from - center) / sigma);
+}
+
+/**
+ * Stable middle ID from the event, market and both legs
+ */
+export function middleId(match, market, legs) {
+  const eventKey = match.event_id || `${match.match_name}|${match.start_time}`;
+  const key = legs.map(leg => `${leg.outcome}@${leg.bookmaker}`).join('|');
+  const digest = createHash('sha256')
+    .update(`${match.sport}|${eventKey}|${market}|${key}`)
+    .digest('hex');
+  return `mid_${digest.slice(0, 16)}`;
+}
+
+/**
+ * Best two prices (at different books) per line for one side of a market
+ * `side` is the outcome index: totals [Over, Under], spreads [home, away].
+ */
+function bestBySide(lines, side, commissions) {
+  return lines.map(market => {
+    const outcome = market.outcomes[side];
+    const prices = market.odds
+      .filter(entry => entry.prices[outcome] > 1)
+      .map(entry => {
+        const commission = commissionFor(entry, commissions);
+        return {
+          outcome,
+          line: market.line,
+          bookmaker: entry.bookmaker,
+          bookmaker_key: entry.bookmaker_key,
+          odds: entry.prices[outcome],
+          commission,
+          net_odds: effectiveOdds(entry.prices[outcome], commission),
+        };
+      })
+      .sort((a, b) => b.net_odds - a.net_odds);
+    return prices.slice(0, 2);
+  });
+}
+
+/**
+ * Middle window of two lines, or null when the lines leave none
+ * Totals: Over `a` and Under `b` both win for totals between a and b.
+ * Spreads (lines are the home team's point): home at `a` wins when the home
+ * margin beats -a, away at `b` when it stays under -b.
+ */
+function windowOf(market, a, b) {
+  const [from, to] = market === 'totals' ? [a, b] : [-a, -b];
+  return to > from ? { from, to, width: parseFloat((to - from).toFixed(2)) } : null;
+}
+
+/**
+ * Line most books price, where the result distribution is centred
+ */
+function mainLine(lines) {
+  return lines.reduce((main, market) => market.odds.length > main.odds.length ? market : main).line;
+}
+
+/**
+ * Find middles across the lines of each match's totals and spreads
+ * Stakes split so either single winner returns the same, which makes that
+ * return minus the stake the worst case. Only middles losing at most
+ * `maxLoss` percent of the stake in the worst case are returned, best
+ * expected profit first.
+ *
+ * @param {object[]} matches - Normalized matches, including single-book lines
+ * @param {object} [options]
+ * @param {number} [options.maxLoss] - Largest worst-case loss, in percent of the stake
+ * @param {number} [options.stake] - Total stake
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ */
+export function findMiddles(matches, { maxLoss = 5, stake = 100, commissions = {} } = {}) {
+  const middles = [];
+
+  for (const match of matches) {
+    for (const market of MIDDLE_MARKETS) {
+      const lines = match.markets.filter(m => m.market === market && typeof m.line === 'number');
+      if (lines.length < 2) continue;
+
+      const sigma = RESULT_SPREAD[match.sport]?.[market] ?? RESULT_SPREAD.basketball[market];
+      const center = market === 'totals' ? mainLine(lines) : -mainLine(lines);
+      const firsts = bestBySide(lines, 0, commissions);
+      const seconds = bestBySide(lines, 1, commissions);
+
+      for (let i = 0; i < lines.length; i++) {
+        for (let j = 0; j < lines.length; j++) {
+          const window = windowOf(market, lines[i].line, lines[j].line);
+          if (!window) continue;
+
+          // Best pair of prices at two different books
+          let legs = null;
+          for (const first of firsts[i]) {
+            for (const second of seconds[j]) {
+              if (first.bookmaker_key === second.bookmaker_key) continue;
+              const implied = 1 / first.net_odds + 1 / second.net_odds;
+              if (!legs || implied < legs.implied) legs = { implied, pair: [first, second] };
+            }
+          }
+          if (!legs) continue;
+
+          const singleReturn = stake / legs.implied;
+          const worstCase = singleReturn - stake;
+          if (-worstCase / stake * 100 > maxLoss) continue;
+
+          const bothWin = 2 * singleReturn - stake;
+          const probability = hitProbability(window.from, window.to, center, sigma);
+          const bets = legs.pair.map(leg => {
+            const stakeAmount = stake / leg.net_odds / legs.implied;
+            return {
+              outcome: leg.outcome,
+              line: leg.line,
+              bookmaker: leg.bookmaker,
+              bookmaker_key: leg.bookmaker_key,
+              odds: leg.odds,
+              commission: leg.commission,
+              effective_odds: parseFloat(leg.net_odds.toFixed(4)),
+              stake_amount: parseFloat(stakeAmount.toFixed(2)),
+              net_return: parseFloat(singleReturn.toFixed(2))
+            };
+          });
+
+          middles.push({
+            id: middleId(match, market, bets),
+            type: 'middle',
+            match: {
+              event_id: match.event_id,
+              name: match.match_name,
+              sport: match.sport,
+              league: match.league,
+              league_key: match.league_key,
+              start_time: match.start_time
+            },
+            market,
+            window,
+            total_stake: stake,
+            worst_case_profit: parseFloat(worstCase.toFixed(2)),
+            worst_case_loss_percentage: parseFloat((-worstCase / stake * 100).toFixed(2)),
+            middle_profit: parseFloat(bothWin.toFixed(2)),
+            hit_probability: parseFloat(probability.toFixed(4)),
+            expected_profit: parseFloat((probability * bothWin + (1 - probability) * worstCase).toFixed(2)),
+            bets,
+            detected_at: new Date().toISOString()
+          });
+        }
+      }
+    }
+  }
+
+  // Best expected profit first
+  middles.sort((a, b) => b.expected_profit - a.expected_profit);
+
+  return middles;
+}
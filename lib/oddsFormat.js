@@ -0,0 +1,121 @@
+// lib/oddsFormat.js - Decimal, American and fractional odds
+// Everything inside the engine is decimal; other formats are converted at the
+// edges, on the way in from a request and on the way out in responses.
+
+export const ODDS_FORMATS = ['decimal', 'american', 'fractional'];
+
+/**
+ * Round converted odds to 4 decimal places (e.g. -110 → 1.9091)
+ */
+function round4(value) {
+  return parseFloat(value.toFixed(4));
+}
+
+/**
+ * Is a price unreadable without a format? An unsigned whole number from 100
+ * up ("150") is as likely American odds missing their `+` as decimal odds.
+ */
+export function isAmbiguousPrice(input) {
+  const text = String(input ?? '').trim();
+  return /^\d+$/.test(text) && Number(text) >= 100;
+}
+
+/**
+ * Which format a raw price is written in, or null when it's ambiguous
+ * `5/2` and `evens` are fractional, a leading `+` or `-` is American,
+ * anything else is decimal.
+ */
+function detectFormat(input) {
+  const text = String(input).trim().toLowerCase();
+  if (text.includes('/') || text === 'evens' || text === 'evs') return 'fractional';
+  if (text.startsWith('+') || text.startsWith('-')) return 'american';
+  if (isAmbiguousPrice(text)) return null;
+  return 'decimal';
+}
+
+/**
+ * Convert a price to decimal odds
+ *
+ * @param {number|string} input - e.g. 2.5, "+150", -200, "5/2", "evens"
+ * @param {string} [format] - decimal, american or fractional; detected from the price when omitted
+ * @returns {number|null} Decimal odds above 1.0, or null when the price isn't valid
+ *   (or is ambiguous without a format, see isAmbiguousPrice)
+ */
+export function toDecimalOdds(input, format = null) {
+  if (input === undefined || input === null || input === '') return null;
+  const text = String(input).trim().toLowerCase();
+
+  switch (format || detectFormat(input)) {
+    case 'fractional': {
+      if (text === 'evens' || text === 'evs') return 2;
+      const [numerator, denominator, ...rest] = text.split('/').map(Number);
+      if (rest.length > 0 || !(numerator > 0) || !(denominator > 0)) return null;
+      return round4(1 + numerator / denominator);
+    }
+    case 'american': {
+      const value = Number(text);
+      if (!Number.isFinite(value) || Math.abs(value) < 100) return null;
+      return round4(value > 0 ? 1 + value / 100 : 1 + 100 / -value);
+    }
+    case 'decimal': {
+      const value = Number(text);
+      return value > 1 ? value : null;
+    }
+    default:
+      return null;
+  }
+}
+
+/**
+ * Parse the `odds_format` query param (default decimal)
+ * Returns `{ value }` or `{ error }`.
+ */
+export function parseOddsFormat(input) {
+  if (input === undefined || input === null || input === '') return { value: 'decimal' };
+  const format = String(input).trim().toLowerCase();
+  if (!ODDS_FORMATS.includes(format)) {
+    return { error: `Invalid odds_format: ${input}. Use one of: ${ODDS_FORMATS.join(', ')}` };
+  }
+  return { value: format };
+}
+
+/**
+ * Closest fraction to `value` with a denominator up to `maxDenominator`
+ * Walks the continued fraction expansion, so 1.1 → 11/10 and 0.9091 → 10/11.
+ */
+function toFraction(value, maxDenominator = 100) {
+  let [prevNum, num] = [0, 1];
+  let [prevDen, den] = [1, 0];
+  let rest = value;
+  for (;;) {
+    const whole = Math.floor(rest);
+    const nextDen = whole * den + prevDen;
+    if (nextDen > maxDenominator) break;
+    [prevNum, num] = [num, whole * num + prevNum];
+    [prevDen, den] = [den, nextDen];
+    if (rest - whole < 1e-9) break;
+    rest = 1 / (rest - whole);
+  }
+  return [num, den];
+}
+
+/**
+ * Show decimal odds in a format
+ * American odds are signed strings ("+110", "-105"), fractional odds are
+ * "numerator/denominator" ("11/10", "1/1"); decimal odds stay numbers.
+ *
+ * @param {number} decimal - Decimal odds above 1.0
+ * @param {string} [format] - decimal, american or fractional
+ */
+export function formatOdds(decimal, format = 'decimal') {
+  if (format === 'american') {
+    return decimal >= 2
+      ? `+${Math.round((decimal - 1) * 100)}`
+      : `-${Math.round(100 / (decimal - 1))}`;
+  }
+  if (format === 'fractional') {
+    const [numerator, denominator] = toFraction(decimal - 1);
+    return `${numerator}/${denominator}`;
+  }
+  return decimal;
+}
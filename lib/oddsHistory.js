@@ -0,0 +1,313 @@
+// lib/oddsHistory.js - Time series of every bookmaker's prices per event
+// Each scrape appends a point per event/market/outcome/bookmaker whenever the
+// price differs from the last one recorded, so a series is the price's line
+// movement: the first point is the opening price, the last the current one.
+//
+// On disk the history is append-only JSON Lines, one file per sport and UTC
+// day (`<dir>/<sport>/<YYYY-MM-DD>.jsonl`), so a scrape only appends what
+// changed. A file is deleted once every event it mentions is past retention.
+
+import fs from 'fs';
+import path from 'path';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Key of one market line inside an event, e.g. `totals|220.5` or `h2h|`
+ */
+function marketKey(market, line) {
+  return `${market}|${line ?? ''}`;
+}
+
+/**
+ * Key of one bookmaker's series of an event, for tracking which are quoting
+ */
+function seriesKey(eventId, key, outcome, bookmakerKey) {
+  return `${eventId}|${key}|${outcome}|${bookmakerKey}`;
+}
+
+/**
+ * Percentage change from `from` to `to`, 2 decimal places
+ */
+function changePercentage(from, to) {
+  return parseFloat(((to - from) / from * 100).toFixed(2));
+}
+
+/**
+ * Create an odds history backed by a directory of JSON Lines files
+ *
+ * Lines are `{ type, event_id, at, ... }`:
+ * - `event`: the event's details, first thing in each file that mentions it
+ * - `price`: a new point of one series (market, line, outcome, bookmaker)
+ * - `seen`: the event was in a scrape; every series not `gone` was quoting
+ * - `gone` / `back`: a series dropped out of the scrapes / returned
+ *
+ * @param {object} options
+ * @param {string} options.dir - Directory of the history files (created on first write)
+ * @param {number} [options.retention] - How long events are kept after they start (ms)
+ */
+export function createOddsHistory({ dir, retention = 7 * DAY_MS } = {}) {
+  const events = new Map();
+  // Series missing from their event's latest scrape (see seriesKey)
+  const gone = new Set();
+  // File → ids of the events it mentions
+  const files = new Map();
+
+  function seriesFor(event, { market, line, outcome, bookmaker_key, bookmaker }) {
+    const recorded = event.markets[marketKey(market, line)] ||= { market, line: line ?? null, series: {} };
+    const byBook = recorded.series[outcome] ||= {};
+    return byBook[bookmaker_key] ||= { bookmaker, points: [] };
+  }
+
+  function apply(entry) {
+    if (entry.type === 'event') {
+      if (!events.has(entry.event_id)) {
+        const { type, at, ...details } = entry;
+        events.set(entry.event_id, { ...details, first_recorded_at: at, last_recorded_at: at, markets: {} });
+      }
+      return;
+    }
+
+    const event = events.get(entry.event_id);
+    if (!event) return;
+    if (entry.type === 'seen') {
+      event.last_recorded_at = entry.at;
+      for (const [key, recorded] of Object.entries(event.markets)) {
+        for (const [outcome, byBook] of Object.entries(recorded.series)) {
+          for (const [bookKey, series] of Object.entries(byBook)) {
+            if (!gone.has(seriesKey(event.event_id, key, outcome, bookKey))) series.last_seen_at = entry.at;
+          }
+        }
+      }
+      return;
+    }
+
+    const key = seriesKey(event.event_id, marketKey(entry.market, entry.line), entry.outcome, entry.bookmaker_key);
+    if (entry.type === 'gone') {
+      gone.add(key);
+      return;
+    }
+    gone.delete(key);
+    const series = seriesFor(event, entry);
+    if (entry.type === 'price') series.points.push({ at: entry.at, price: entry.price });
+    series.last_seen_at = entry.at;
+  }
+
+  function load() {
+    let sports = [];
+    try {
+      sports = fs.readdirSync(dir);
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`⚠️ Could not read ${dir}: ${error.message}`);
+      return;
+    }
+
+    // Days sort by name; replay them in order across sports
+    const all = sports.flatMap(sport => {
+      try {
+        return fs.readdirSync(path.join(dir, sport))
+          .filter(name => name.endsWith('.jsonl'))
+          .map(name => ({ day: name, file: path.join(dir, sport, name) }));
+      } catch {
+        return [];
+      }
+    }).sort((a, b) => a.day.localeCompare(b.day));
+
+    for (const { file } of all) {
+      const ids = new Set();
+      for (const line of fs.readFileSync(file, 'utf8').split('\n')) {
+        if (!line.trim()) continue;
+        try {
+          const entry = JSON.parse(line);
+          ids.add(entry.event_id);
+          apply(entry);
+        } catch {
+          // A line cut short by a crash mid-append
+        }
+      }
+      files.set(file, ids);
+    }
+  }
+
+  function prune(now) {
+    for (const [id, event] of events) {
+      const startTime = Date.parse(event.start_time);
+      const endedAt = Number.isFinite(startTime) ? startTime : Date.parse(event.last_recorded_at);
+      if (now - endedAt > retention) {
+        events.delete(id);
+        for (const key of gone) {
+          if (key.startsWith(`${id}|`)) gone.delete(key);
+        }
+      }
+    }
+
+    for (const [file, ids] of files) {
+      if ([...ids].some(id => events.has(id))) continue;
+      fs.rmSync(file, { force: true });
+      files.delete(file);
+    }
+  }
+
+  load();
+  prune(Date.now());
+
+  /**
+   * Record the prices of a scrape for one sport
+   * Matches without an event id can't be looked up again and are skipped.
+   * Returns how many price points were added.
+   */
+  function recordScrape(sport, matches, scrapedAt = Date.now()) {
+    const scrapedIso = new Date(scrapedAt).toISOString();
+    const file = path.join(dir, sport, `${scrapedIso.slice(0, 10)}.jsonl`);
+    const ids = files.get(file) || new Set();
+    const lines = [];
+    let added = 0;
+
+    const append = entry => {
+      if (!ids.has(entry.event_id)) {
+        const event = events.get(entry.event_id);
+        const { markets, first_recorded_at, last_recorded_at, ...details } = event;
+        ids.add(entry.event_id);
+        lines.push({ type: 'event', at: first_recorded_at, ...details });
+      }
+      lines.push(entry);
+      apply(entry);
+    };
+
+    for (const match of matches) {
+      if (!match.event_id) continue;
+      if (!events.has(match.event_id)) {
+        apply({
+          type: 'event',
+          event_id: match.event_id,
+          at: scrapedIso,
+          sport,
+          match_name: match.match_name,
+          league: match.league ?? null,
+          league_key: match.league_key ?? null,
+          start_time: match.start_time ?? null,
+        });
+      }
+      const event = events.get(match.event_id);
+      const quoted = new Set();
+
+      for (const market of match.markets) {
+        const key = marketKey(market.market, market.line);
+        for (const entry of market.odds) {
+          for (const outcome of market.outcomes) {
+            const price = entry.prices[outcome];
+            if (!(price > 1)) continue;
+
+            const bookKey = entry.bookmaker_key || entry.bookmaker.toLowerCase();
+            const quotedKey = seriesKey(match.event_id, key, outcome, bookKey);
+            quoted.add(quotedKey);
+            const where = {
+              event_id: match.event_id,
+              at: scrapedIso,
+              market: market.market,
+              line: market.line ?? null,
+              outcome,
+              bookmaker_key: bookKey,
+              bookmaker: entry.bookmaker,
+            };
+            const last = event.markets[key]?.series[outcome]?.[bookKey]?.points.at(-1);
+            if (last?.price !== price) {
+              append({ type: 'price', ...where, price });
+              added++;
+            } else if (gone.has(quotedKey)) {
+              append({ type: 'back', ...where });
+            }
+          }
+        }
+      }
+
+      // Series quoted before but missing now stopped at their last sighting
+      for (const [key, recorded] of Object.entries(event.markets)) {
+        for (const [outcome, byBook] of Object.entries(recorded.series)) {
+          for (const bookKey of Object.keys(byBook)) {
+            const missingKey = seriesKey(match.event_id, key, outcome, bookKey);
+            if (quoted.has(missingKey) || gone.has(missingKey)) continue;
+            append({ type: 'gone', event_id: match.event_id, at: scrapedIso, market: recorded.market, line: recorded.line, outcome, bookmaker_key: bookKey });
+          }
+        }
+      }
+
+      append({ type: 'seen', event_id: match.event_id, at: scrapedIso });
+    }
+
+    if (lines.length > 0) {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.appendFileSync(file, lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+      files.set(file, ids);
+    }
+    prune(scrapedAt);
+    return added;
+  }
+
+  /**
+   * Line movement for one event, or null when it was never recorded
+   * Per market line and outcome, each bookmaker's opening and current price,
+   * how far it moved and when it last moved, plus the full series. A book
+   * still quoting its opening price after the others moved is the slow one.
+   *
+   * @param {string} eventId
+   * @param {object} [options]
+   * @param {string} [options.market] - Only this market (h2h, totals, spreads, ...)
+   * @param {number} [options.line] - Only this line
+   * @param {function} [options.allowed] - `(entry) => boolean`, which bookmakers to include
+   */
+  function history(eventId, { market = null, line = null, allowed = () => true } = {}) {
+    const event = events.get(eventId);
+    if (!event) return null;
+
+    const markets = Object.values(event.markets)
+      .filter(m => (!market || m.market === market) && (line === null || m.line === line))
+      .map(m => ({
+        market: m.market,
+        line: m.line,
+        outcomes: Object.entries(m.series).map(([outcome, byBook]) => {
+          const bookmakers = Object.entries(byBook)
+            .filter(([bookmaker_key, series]) => allowed({ bookmaker_key, bookmaker: series.bookmaker }))
+            .map(([bookmaker_key, series]) => {
+              const opening = series.points[0];
+              const current = series.points.at(-1);
+              return {
+                bookmaker: series.bookmaker,
+                bookmaker_key,
+                opening,
+                current,
+                change: parseFloat((current.price - opening.price).toFixed(4)),
+                change_percentage: changePercentage(opening.price, current.price),
+                moves: series.points.length - 1,
+                last_moved_at: series.points.length > 1 ? current.at : null,
+                last_seen_at: series.last_seen_at,
+                history: series.points
+              };
+            });
+          return { outcome, bookmakers };
+        }).filter(outcome => outcome.bookmakers.length > 0)
+      }))
+      .filter(m => m.outcomes.length > 0);
+
+    return {
+      event_id: event.event_id,
+      sport: event.sport,
+      match: event.match_name,
+      league: event.league,
+      league_key: event.league_key,
+      start_time: event.start_time,
+      first_recorded_at: event.first_recorded_at,
+      last_recorded_at: event.last_recorded_at,
+      markets
+    };
+  }
+
+  /**
+   * Every recorded event, as stored (for replaying, see lib/backtest.js)
+   */
+  function list() {
+    return [...events.values()];
+  }
+
+  return { recordScrape, history, list };
+}
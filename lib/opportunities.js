@@ -0,0 +1,557 @@
+// lib/opportunities.js - Scrape → detect → cache → persist pipeline
+// Everything between an odds provider and the HTTP routes lives here, so the
+// same pipeline can back the API, tests, or an internal tool.
+
+import { createHash } from 'crypto';
+import { EventEmitter } from 'events';
+import { finalizeMatches } from './providers/index.js';
+import { calculateArbitrage, calculateBackLayArbitrage, calculateStakeAmounts, resolveStakingMode, stakeSummary } from './arbitrage.js';
+import { filterMatchesByBookmaker, isBookmakerAllowed } from './bookmakers.js';
+import { formatStakingMode } from './staking.js';
+import { findValueBets } from './value.js';
+import { findMiddles } from './middles.js';
+
+/**
+ * Re-scale an opportunity's stakes to a different total stake
+ * `staking` (`{ rounding, limits, mode }`, see calculateStakeAmounts) rounds
+ * the stakes, keeps them within bookmaker limits and picks the split;
+ * `total_stake` is then what the bets actually cost. `staking_mode` is the
+ * mode applied, which is `equal` when the requested one doesn't fit the arb.
+ * `guaranteed_profit` is the arb's theoretical profit on `stake` only for an
+ * unconstrained equal split; otherwise it is the worst case of the bets.
+ */
+export function rescaleOpportunity(opp, stake, staking = {}) {
+  const bets = calculateStakeAmounts(opp, stake, staking);
+  const { total_stake, worst_case_profit, best_case_profit } = stakeSummary(bets);
+  const { mode } = resolveStakingMode(opp.bets, staking.mode);
+  const equal = mode.type === 'equal';
+  const constrained = staking.rounding > 0 || Object.keys(staking.limits || {}).length > 0;
+  const theoretical = equal && !constrained;
+  return {
+    ...opp,
+    total_stake: theoretical ? stake : total_stake,
+    guaranteed_profit: theoretical ? (stake * opp.profit_percentage / 100).toFixed(2) : worst_case_profit.toFixed(2),
+    worst_case_profit,
+    best_case_profit,
+    staking_mode: formatStakingMode(mode),
+    bets
+  };
+}
+
+/**
+ * Build a stable opportunity ID from what makes an arb unique
+ * The same event, market, outcomes and bookmakers always map to the same ID,
+ * so an arb keeps its ID across scrapes for as long as it lasts.
+ */
+export function opportunityId(match, market, line, bets) {
+  const legs = bets
+    .map(bet => `${bet.side === 'lay' ? 'lay ' : ''}${bet.outcome}@${bet.bookmaker}`)
+    .sort()
+    .join('|');
+  const eventKey = match.event_id || `${match.match_name}|${match.start_time}`;
+  const digest = createHash('sha256')
+    .update(`${match.sport}|${eventKey}|${market}|${line ?? ''}|${legs}`)
+    .digest('hex');
+  return `arb_${digest.slice(0, 16)}`;
+}
+
+/**
+ * Opportunity record for an arbitrage found on a match market
+ */
+function toOpportunity(match, market, arbitrage, stake, type) {
+  return rescaleOpportunity({
+    id: opportunityId(match, market.market, market.line, arbitrage.bets),
+    type,
+    match: {
+      event_id: match.event_id,
+      name: match.match_name,
+      sport: match.sport,
+      league: match.league,
+      league_key: match.league_key,
+      start_time: match.start_time
+    },
+    market: market.market,
+    line: market.line,
+    profit_percentage: arbitrage.profit_percentage,
+    gross_profit_percentage: arbitrage.gross_profit_percentage,
+    net_profit_percentage: arbitrage.net_profit_percentage,
+    bets: arbitrage.bets,
+    detected_at: new Date().toISOString()
+  }, stake);
+}
+
+/**
+ * Find arbitrage opportunities from odds data
+ * Profit is net of commission; markets with exchange lay prices are also
+ * checked for back/lay arbs on each outcome (type `back_lay`).
+ *
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ */
+export function findArbitrageOpportunities(matches, minProfit = 0, stake = 100, { commissions = {} } = {}) {
+  const opportunities = [];
+  const worthTaking = arbitrage => arbitrage && arbitrage.exists && arbitrage.profit_percentage >= minProfit;
+
+  for (const match of matches) {
+    for (const market of match.markets) {
+      const arbitrage = calculateArbitrage(market.odds, market.outcomes, { commissions });
+      if (worthTaking(arbitrage)) {
+        opportunities.push(toOpportunity(match, market, arbitrage, stake, 'arbitrage'));
+      }
+
+      if (!market.odds.some(entry => entry.lay_prices)) continue;
+      for (const outcome of market.outcomes) {
+        const backLay = calculateBackLayArbitrage(market.odds, outcome, { commissions });
+        if (worthTaking(backLay)) {
+          opportunities.push(toOpportunity(match, market, backLay, stake, 'back_lay'));
+        }
+      }
+    }
+  }
+
+  // Sort by profit percentage (highest first)
+  opportunities.sort((a, b) => b.profit_percentage - a.profit_percentage);
+
+  return opportunities;
+}
+
+/**
+ * Find near-arbitrages: markets whose best prices leave a small margin
+ * `margin_percentage` is how far the best prices' implied probabilities add
+ * up over 100% (after commission), so a market at 0.4% is 0.4% of price
+ * movement away from flipping into an arb. Markets that already are arbs are
+ * left to findArbitrageOpportunities.
+ *
+ * @param {number} maxMargin - Only markets with a margin up to this, in percent
+ * @param {object} [options]
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ */
+export function findNearArbitrages(matches, maxMargin, { commissions = {} } = {}) {
+  const nearArbs = [];
+
+  for (const match of matches) {
+    for (const market of match.markets) {
+      const arbitrage = calculateArbitrage(market.odds, market.outcomes, { commissions });
+      if (!arbitrage || arbitrage.exists) continue;
+
+      const totalImplied = arbitrage.bets.reduce((sum, bet) => sum + 1 / bet.effective_odds, 0);
+      const margin = (totalImplied - 1) * 100;
+      if (margin > maxMargin) continue;
+
+      nearArbs.push({
+        type: 'near_arb',
+        match: {
+          event_id: match.event_id,
+          name: match.match_name,
+          sport: match.sport,
+          league: match.league,
+          league_key: match.league_key,
+          start_time: match.start_time
+        },
+        market: market.market,
+        line: market.line,
+        margin_percentage: parseFloat(margin.toFixed(2)),
+        total_implied_probability: arbitrage.total_implied_probability,
+        best_prices: arbitrage.bets.map(bet => ({
+          outcome: bet.outcome,
+          bookmaker: bet.bookmaker,
+          bookmaker_key: bet.bookmaker_key,
+          odds: bet.odds,
+          effective_odds: bet.effective_odds
+        }))
+      });
+    }
+  }
+
+  // Closest to flipping first
+  nearArbs.sort((a, b) => a.margin_percentage - b.margin_percentage);
+
+  return nearArbs;
+}
+
+/**
+ * Compare two snapshots of a sport's opportunities
+ * Returns `opportunity.new` for ids only in `next`, `opportunity.updated` for
+ * ids whose profit or prices moved, and `opportunity.expired` for ids gone.
+ */
+export function diffOpportunities(previous, next) {
+  const before = new Map(previous.map(opp => [opp.id, opp]));
+  const events = [];
+
+  const prices = opp => opp.bets.map(bet => `${bet.outcome}@${bet.bookmaker}=${bet.odds}`).join('|');
+
+  for (const opp of next) {
+    const old = before.get(opp.id);
+    before.delete(opp.id);
+    if (!old) {
+      events.push({ type: 'opportunity.new', opportunity: opp });
+    } else if (old.profit_percentage !== opp.profit_percentage || prices(old) !== prices(opp)) {
+      events.push({ type: 'opportunity.updated', opportunity: opp });
+    }
+  }
+
+  for (const opp of before.values()) {
+    events.push({ type: 'opportunity.expired', opportunity: opp });
+  }
+
+  return events;
+}
+
+/**
+ * Filter a snapshot's opportunities by minimum profit and re-scale stakes
+ */
+function selectOpportunities(opportunities, minProfit, stake, staking = null) {
+  let selected = opportunities;
+  if (minProfit > 0) {
+    selected = selected.filter(opp => opp.profit_percentage >= minProfit);
+  }
+  if (stake !== 100 || staking) {
+    selected = selected.map(opp => rescaleOpportunity(opp, stake, staking || {}));
+  }
+  return selected;
+}
+
+/**
+ * Create the opportunity service
+ *
+ * @param {object} options
+ * @param {object} options.provider - Odds provider (see lib/providers/index.js)
+ * @param {object} options.sportsConfig - Sport → provider config map
+ * @param {object} options.cache - `{ data: {}, duration }` in-memory cache
+ * @param {object} options.store - Opportunity store (see lib/opportunityStore.js)
+ * @param {object} [options.history] - Odds history (see lib/oddsHistory.js); every scrape's
+ *   prices are appended to it
+ * @param {boolean} [options.refreshOnRequest] - Scrape when a request finds the cache
+ *   expired. Turned off when a background scheduler keeps the snapshots fresh.
+ * @param {object} [options.quota] - Quota tracker; on-request scrapes stop while a sport is paused
+ * @param {number} [options.quotaRecheck] - While paused, how often to re-read the quota
+ *   through the provider's free sports list (ms)
+ * @param {object} [options.catalogue] - League catalogue (see lib/catalogue.js); without it
+ *   each sport is fetched from its static keys in sportsConfig
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ *   (see DEFAULT_COMMISSIONS in lib/bookmakers.js)
+ * @returns The service; `events` emits an `opportunity` event `{ type, sport, opportunity, timestamp }`
+ *   for every change a refresh brings (see diffOpportunities)
+ */
+export function createOpportunityService({
+  provider,
+  sportsConfig,
+  cache,
+  store,
+  history = null,
+  refreshOnRequest = true,
+  quota = null,
+  quotaRecheck = 15 * 60 * 1000,
+  catalogue = null,
+  commissions = {},
+}) {
+  // Refreshes in progress, so a request and the scheduler never scrape twice
+  const inFlight = new Map();
+  let quotaCheckedAt = 0;
+  const events = new EventEmitter();
+  events.setMaxListeners(0);
+
+  /**
+   * Check if cached data is still valid
+   */
+  function isCacheValid(sport) {
+    const cached = cache.data[sport];
+    if (!cached) return false;
+    return (Date.now() - cached.timestamp) < cache.duration;
+  }
+
+  /**
+   * Scrape odds for a sport from the configured provider(s)
+   */
+  async function scrapeOddsForSport(sport) {
+    if (!sportsConfig[sport]) {
+      console.log(`❌ Unknown sport: ${sport}`);
+      return { matches: [], error: `Unknown sport: ${sport}` };
+    }
+    const sportConfig = catalogue ? await catalogue.configFor(sport) : sportsConfig[sport];
+
+    const result = await provider.fetchMatches(sport, sportConfig);
+
+    // Need at least 2 bookmakers on a market to find arbitrage; middles pair
+    // lines across books, so they also get the lines only one book prices
+    const matches = finalizeMatches(result.matches || []);
+    console.log(`✅ Processed ${matches.length} matches with 2+ bookmakers for ${sport}`);
+
+    return { ...result, matches, allMatches: result.matches || [] };
+  }
+
+  /**
+   * Scrape a sport and replace its snapshot
+   * Resolves `{ snapshot }` on success or `{ error }` when nothing was scraped,
+   * in which case the previous snapshot is kept.
+   */
+  function refreshSport(sport) {
+    if (inFlight.has(sport)) return inFlight.get(sport);
+
+    const refresh = (async () => {
+      const scrapeResult = await scrapeOddsForSport(sport);
+      const matches = scrapeResult.matches || [];
+
+      console.log(`📊 Scraped ${matches.length} matches for ${sport}`);
+
+      // If no matches and there's an error, return it
+      if (matches.length === 0 && scrapeResult.error) {
+        return { error: scrapeResult.error };
+      }
+
+      // Line movement per bookmaker, single-book lines included
+      history?.recordScrape(sport, scrapeResult.allMatches || matches);
+
+      // Find arbitrage opportunities (default stake, filtered per request)
+      const detected = findArbitrageOpportunities(matches, 0, 100, { commissions });
+
+      // Persist so IDs handed out can be looked up later, and pick up
+      // each opportunity's first_seen_at/last_seen_at lifecycle
+      const scrapedAt = Date.now();
+      const opportunities = store.recordScrape(sport, detected, scrapedAt);
+      const previous = cache.data[sport]?.opportunities || [];
+      const snapshot = {
+        opportunities,
+        matches,
+        allMatches: scrapeResult.allMatches || matches,
+        timestamp: scrapedAt,
+        matchesScraped: matches.length
+      };
+      cache.data[sport] = snapshot;
+
+      console.log(`💾 Cached ${opportunities.length} opportunities for ${sport}`);
+
+      const timestamp = new Date(snapshot.timestamp).toISOString();
+      for (const change of diffOpportunities(previous, opportunities)) {
+        const opportunity = change.type === 'opportunity.expired'
+          ? (store.get(change.opportunity.id) || change.opportunity)
+          : change.opportunity;
+        events.emit('opportunity', { type: change.type, sport, opportunity, timestamp });
+      }
+
+      return { snapshot };
+    })();
+
+    inFlight.set(sport, refresh);
+    refresh.finally(() => inFlight.delete(sport)).catch(() => {});
+    return refresh;
+  }
+
+  /**
+   * A snapshot's matches, narrowed to the bookmakers a request allows
+   */
+  function matchesFor(snapshot, bookmakers) {
+    return bookmakers
+      ? finalizeMatches(filterMatchesByBookmaker(snapshot.matches, bookmakers))
+      : snapshot.matches;
+  }
+
+  /**
+   * Predicate for records (opportunities, near-arbs) in a league, by key or title
+   */
+  function leagueFilter(league) {
+    return record => !league || [record.match.league_key, record.match.league]
+      .some(name => name?.toLowerCase() === league.toLowerCase());
+  }
+
+  /**
+   * Near-arbitrages of a snapshot for one request (see findNearArbitrages)
+   * Same bookmaker, league and commission handling as opportunitiesFrom.
+   */
+  function nearArbsFrom(snapshot, { bookmakers = null, league = null, commissions: rates = null, maxMargin } = {}) {
+    return findNearArbitrages(matchesFor(snapshot, bookmakers), maxMargin, { commissions: { ...commissions, ...rates } })
+      .filter(leagueFilter(league));
+  }
+
+  /**
+   * Middles of a snapshot for one request (see lib/middles.js)
+   * Built from every line, including those only one bookmaker prices.
+   */
+  function middlesFrom(snapshot, stake, { bookmakers = null, league = null, commissions: rates = null, middles: { maxLoss } = {} } = {}) {
+    const lines = snapshot.allMatches || snapshot.matches;
+    const matches = bookmakers ? filterMatchesByBookmaker(lines, bookmakers) : lines;
+    return findMiddles(matches, { maxLoss, stake, commissions: { ...commissions, ...rates } })
+      .filter(leagueFilter(league));
+  }
+
+  /**
+   * Opportunities of a snapshot for one request
+   * With a bookmaker filter the arbitrage is recomputed from the snapshot's
+   * matches over the allowed books only, since the best price of a market may
+   * sit at a book the caller can't use. Per-request commission rates recompute
+   * it the same way. Recomputed arbs are stored too (see recordDerived), so
+   * their ids resolve like any other; lifecycle fields are carried over when
+   * the same arb (same legs) was also found in the snapshot.
+   */
+  function opportunitiesFrom(sport, snapshot, minProfit, stake, { bookmakers = null, league = null, commissions: rates = null, staking = null } = {}) {
+    const inLeague = leagueFilter(league);
+
+    if (!bookmakers && !rates) {
+      return selectOpportunities(snapshot.opportunities.filter(inLeague), minProfit, stake, staking);
+    }
+
+    const found = findArbitrageOpportunities(matchesFor(snapshot, bookmakers), 0, 100, { commissions: { ...commissions, ...rates } });
+    const recorded = store.recordDerived(sport, found, snapshot.timestamp);
+    const detected = found.map((opp, i) => ({
+      ...opp,
+      first_seen_at: recorded[i].first_seen_at,
+      last_seen_at: recorded[i].last_seen_at,
+    }));
+    return selectOpportunities(detected.filter(inLeague), minProfit, stake, staking);
+  }
+
+  /**
+   * While a sport is paused no paid call reports the quota, so re-read it
+   * now and then from the free sports list; the pause lifts once it resets
+   */
+  async function recheckQuota(sport) {
+    if (quota?.policyFor(sport).mode !== 'paused' || typeof provider.fetchSports !== 'function') return;
+    if (Date.now() - quotaCheckedAt < quotaRecheck) return;
+    quotaCheckedAt = Date.now();
+    // A catalogue sync is the same call, and keeps the leagues current too
+    await (catalogue ? catalogue.sync() : provider.fetchSports());
+  }
+
+  /**
+   * Latest snapshot of a sport, scraping on demand if needed
+   * Resolves `{ snapshot, fromCache, cacheAge?, scraped? }`, or `{ error, message? }`
+   * when there's no snapshot to serve.
+   */
+  async function snapshotFor(sport) {
+    // Validate sport
+    if (!sportsConfig[sport]) {
+      console.log(`❌ Invalid sport: ${sport}`);
+      return { error: 'Invalid sport' };
+    }
+
+    // Serve the latest snapshot (background refresh keeps it current). A
+    // stale snapshot beats spending the last of the upstream quota.
+    const cached = cache.data[sport];
+    await recheckQuota(sport);
+    const quotaPaused = quota?.policyFor(sport).mode === 'paused';
+    if (cached && (!refreshOnRequest || quotaPaused || isCacheValid(sport))) {
+      const cacheAge = Math.round((Date.now() - cached.timestamp) / 60000);
+      console.log(`✅ Using cached data for ${sport} (${cacheAge} min old)`);
+      return { snapshot: cached, fromCache: true, cacheAge };
+    }
+
+    // Check if a data source is configured
+    if (!provider.isConfigured()) {
+      console.log(`⚠️ ${provider.name} not configured`);
+      return {
+        error: 'API not configured',
+        message: `${provider.name} is not configured. Please contact the API administrator.`
+      };
+    }
+
+    if (quotaPaused) {
+      console.log(`⏸️ Not scraping ${sport}: Odds API quota below pause threshold`);
+      return {
+        error: 'Quota exhausted',
+        message: `${provider.name} request quota is nearly used up; refreshes are paused until it resets.`
+      };
+    }
+
+    // Scrape fresh data
+    console.log(`🔄 Cache expired/empty for ${sport}, scraping from ${provider.name}...`);
+
+    const { snapshot, error } = await refreshSport(sport);
+    if (error) return { error, message: error, fromCache: false };
+    return { snapshot, fromCache: false, scraped: true };
+  }
+
+  /**
+   * Get opportunities from the latest snapshot, scraping on demand if needed
+   *
+   * @param {object} [options]
+   * @param {object} [options.bookmakers] - Bookmaker filter (see lib/bookmakers.js)
+   * @param {string} [options.league] - Only this league (key or title)
+   * @param {Object<string, number>} [options.commissions] - Commission rates overriding the service's
+   * @param {object} [options.staking] - Stake rounding, limits and mode `{ rounding, limits, mode }`
+   * @param {number} [options.maxMargin] - Also return `nearArbs`: markets within this margin (percent)
+   * @param {object} [options.middles] - Also return `middles`: `{ maxLoss }` worst-case loss in percent
+   */
+  async function getOpportunities(sport, minProfit = 0, stake = 100, options = {}) {
+    try {
+      const { snapshot, error, message, ...source } = await snapshotFor(sport.toLowerCase());
+      if (error) {
+        return { opportunities: [], error, ...(message && { message }), ...source };
+      }
+
+      const opportunities = opportunitiesFrom(sport.toLowerCase(), snapshot, minProfit, stake, options);
+      if (source.scraped) console.log(`💰 Found ${opportunities.length} arbitrage opportunities`);
+
+      return {
+        opportunities,
+        ...(options.maxMargin != null && { nearArbs: nearArbsFrom(snapshot, options) }),
+        ...(options.middles && { middles: middlesFrom(snapshot, stake, options) }),
+        ...source,
+        ...(source.scraped && { matchesAnalyzed: snapshot.matchesScraped }),
+        dataAge: Math.round((Date.now() - snapshot.timestamp) / 1000)
+      };
+
+    } catch (error) {
+      console.error(`❌ Error in getOpportunities:`, error);
+      return {
+        opportunities: [],
+        error: error.message
+      };
+    }
+  }
+
+  /**
+   * Get positive-EV prices from the latest snapshot (see lib/value.js)
+   * The fair line comes from every book on the market, so a sharp book the
+   * bookmaker filter excludes still sets it; only allowed books are flagged.
+   *
+   * @param {object} [options]
+   * @param {string} [options.sharp] - Bookmaker key for the fair line, or 'consensus'
+   * @param {number} [options.minEv] - Minimum EV in percent
+   * @param {object} [options.bookmakers] - Bookmaker filter (see lib/bookmakers.js)
+   * @param {string} [options.league] - Only this league (key or title)
+   * @param {Object<string, number>} [options.commissions] - Commission rates overriding the service's
+   */
+  async function getValueBets(sport, { sharp, minEv = 0, bookmakers = null, league = null, commissions: rates = null } = {}) {
+    try {
+      const { snapshot, error, message, ...source } = await snapshotFor(sport.toLowerCase());
+      if (error) {
+        return { valueBets: [], error, ...(message && { message }), ...source };
+      }
+
+      const valueBets = findValueBets(snapshot.matches, {
+        sharp,
+        minEv,
+        commissions: { ...commissions, ...rates },
+        allowed: bookmakers ? entry => isBookmakerAllowed(entry, bookmakers) : undefined
+      }).filter(leagueFilter(league));
+
+      return {
+        valueBets,
+        ...source,
+        dataAge: Math.round((Date.now() - snapshot.timestamp) / 1000)
+      };
+
+    } catch (error) {
+      console.error(`❌ Error in getValueBets:`, error);
+      return {
+        valueBets: [],
+        error: error.message
+      };
+    }
+  }
+
+  return {
+    provider,
+    cache,
+    store,
+    history,
+    events,
+    catalogue,
+    sports: Object.keys(sportsConfig),
+    scrapeOddsForSport,
+    refreshSport,
+    recheckQuota,
+    getOpportunities,
+    getValueBets,
+  };
+}
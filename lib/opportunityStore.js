@@ -0,0 +1,142 @@
+// lib/opportunityStore.js - Persistent store of every detected opportunity
+// Keyed by the opportunity `arb_…` id so an id handed to a client can be
+// looked up again long after the in-memory cache has moved on.
+
+import { loadJson, saveJson } from './fileStore.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Create an opportunity store backed by a JSON file
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file (created on first write)
+ * @param {number} [options.ttl] - Expiry for opportunities without a start time (ms)
+ * @param {number} [options.retention] - How long expired/vanished records are kept (ms)
+ */
+export function createOpportunityStore({ file, ttl = 30 * 60 * 1000, retention = 7 * DAY_MS } = {}) {
+  const records = new Map(Object.entries(loadJson(file, {})));
+
+  function persist() {
+    saveJson(file, Object.fromEntries(records));
+  }
+
+  function statusOf(record, now = Date.now()) {
+    if (Date.parse(record.expires_at) <= now) return 'expired';
+    if (record.vanished_at) return 'vanished';
+    return 'active';
+  }
+
+  function prune(now) {
+    for (const [id, record] of records) {
+      const endedAt = Math.min(Date.parse(record.expires_at), Date.parse(record.vanished_at || record.expires_at));
+      if (now - endedAt > retention) records.delete(id);
+    }
+  }
+
+  /**
+   * Store an opportunity seen at `scrapedAt`, carrying over its lifecycle
+   * An arb that comes back after vanishing starts a new lifetime; the ones
+   * before it are kept in `occurrences` (oldest first) for the stats.
+   */
+  function upsert(sport, opp, scrapedAt, extra = {}) {
+    const scrapedIso = new Date(scrapedAt).toISOString();
+    const startTime = Date.parse(opp.match?.start_time);
+    const expiresAt = Number.isFinite(startTime) ? startTime : scrapedAt + ttl;
+    const existing = records.get(opp.id);
+    // A vanished arb that reappears starts a new lifetime. A derived one is
+    // marked vanished by every scrape (it isn't in the scrape's set), so one
+    // recomputed from that same scrape carries on.
+    const carriesOn = existing && (!existing.vanished_at || (existing.derived && existing.vanished_at === scrapedIso));
+    const firstSeenAt = carriesOn ? existing.first_seen_at : scrapedIso;
+    const occurrences = existing?.occurrences || [];
+
+    const record = {
+      ...opp,
+      sport,
+      occurrences: existing && !carriesOn
+        ? [...occurrences, { first_seen_at: existing.first_seen_at, last_seen_at: existing.last_seen_at, lifetime_seconds: existing.lifetime_seconds }]
+        : occurrences,
+      first_seen_at: firstSeenAt,
+      last_seen_at: scrapedIso,
+      lifetime_seconds: Math.round((scrapedAt - Date.parse(firstSeenAt)) / 1000),
+      expires_at: new Date(expiresAt).toISOString(),
+      vanished_at: null,
+      ...extra,
+    };
+    records.set(opp.id, record);
+    return record;
+  }
+
+  /**
+   * Record the result of a scrape for one sport
+   * Opportunities of that sport missing from the new set are marked vanished.
+   * Returns the opportunities with their first_seen_at/last_seen_at lifecycle.
+   */
+  function recordScrape(sport, opportunities, scrapedAt = Date.now()) {
+    const seen = new Set();
+    const recorded = [];
+
+    for (const opp of opportunities) {
+      seen.add(opp.id);
+      recorded.push(upsert(sport, opp, scrapedAt));
+    }
+    const scrapedIso = new Date(scrapedAt).toISOString();
+
+    for (const record of records.values()) {
+      if (record.sport === sport && !seen.has(record.id) && !record.vanished_at) {
+        record.vanished_at = scrapedIso;
+      }
+    }
+
+    prune(scrapedAt);
+    persist();
+    return recorded;
+  }
+
+  /**
+   * Record opportunities recomputed from a scrape for one request (a
+   * bookmaker filter or commission rates of its own), so their ids can be
+   * looked up too. Nothing else is marked vanished; the next scrape of the
+   * sport does that. Records still active, or vanished by the scrape they
+   * are recomputed from, keep their lifecycle; new ones are flagged
+   * `derived` so stats can leave them out.
+   * Returns the opportunities with their lifecycle.
+   */
+  function recordDerived(sport, opportunities, scrapedAt = Date.now()) {
+    let changed = false;
+    const recorded = opportunities.map(opp => {
+      const existing = records.get(opp.id);
+      if (existing && !existing.vanished_at && Date.parse(existing.last_seen_at) >= scrapedAt) {
+        return existing;
+      }
+      changed = true;
+      return upsert(sport, opp, scrapedAt, { derived: true });
+    });
+
+    if (changed) {
+      prune(Date.now());
+      persist();
+    }
+    return recorded;
+  }
+
+  /**
+   * Look up an opportunity by id, with its current status
+   */
+  function get(id) {
+    const record = records.get(id);
+    if (!record) return null;
+    return { ...record, status: statusOf(record) };
+  }
+
+  /**
+   * Every stored opportunity, with its current status
+   */
+  function list() {
+    const now = Date.now();
+    return [...records.values()].map(record => ({ ...record, status: statusOf(record, now) }));
+  }
+
+  return { recordScrape, recordDerived, get, list, statusOf };
+}
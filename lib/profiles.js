@@ -0,0 +1,45 @@
+// lib/profiles.js - Per-API-key saved preferences
+// One document per API key, split into named sections (e.g. `bookmakers`)
+// so each feature owns its own settings.
+
+import { loadJson, saveJson } from './fileStore.js';
+
+/**
+ * Create a profile store backed by a JSON file
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file (created on first write)
+ */
+export function createProfileStore({ file }) {
+  const profiles = new Map(Object.entries(loadJson(file, {})));
+
+  function persist() {
+    saveJson(file, Object.fromEntries(profiles));
+  }
+
+  /**
+   * A section of an API key's profile, or null if never saved
+   */
+  function get(apiKey, section) {
+    return profiles.get(apiKey)?.[section] ?? null;
+  }
+
+  function set(apiKey, section, value) {
+    const profile = profiles.get(apiKey) || {};
+    profile[section] = { ...value, updated_at: new Date().toISOString() };
+    profiles.set(apiKey, profile);
+    persist();
+    return profile[section];
+  }
+
+  function clear(apiKey, section) {
+    const profile = profiles.get(apiKey);
+    if (!profile?.[section]) return false;
+    delete profile[section];
+    if (Object.keys(profile).length === 0) profiles.delete(apiKey);
+    persist();
+    return true;
+  }
+
+  return { get, set, clear };
+}
@@ -0,0 +1,187 @@
+// lib/providers/index.js - Odds provider registry
+//
+// A provider is any object with:
+//   name                           - Human-readable source name
+//   isConfigured()                 - Whether it can serve data at all
+//   fetchMatches(sport, config)    - Resolves { matches, error, apiKeyUsed? }; when
+//                                    config.leagues is set, every listed league is fetched
+//                                    (The Odds API: as far as its quota allows)
+//   fetchSports()                  - Optional: resolves { sports, error } in The Odds
+//                                    API /sports shape, for the league catalogue
+//
+// Matches use the normalized model built in normalize.js. Several providers
+// can be combined; their bookmakers are merged into the same match.
+
+import { DEFAULT_MARKETS, SUPPORTED_MARKETS } from '../markets.js';
+import { createTheOddsApiProvider } from './theOddsApi.js';
+import { createFixtureProvider } from './fixture.js';
+
+export { createTheOddsApiProvider, createFixtureProvider };
+
+/**
+ * Key that identifies the same real-world event across providers
+ * Provider event ids differ, so teams + kick-off date are used instead.
+ */
+function eventKey(match) {
+  const day = (match.start_time || '').slice(0, 10);
+  return `${match.home_team}|${match.away_team}|${day}`.toLowerCase();
+}
+
+/**
+ * Merge match lists from several providers into one list
+ * The first provider to price a bookmaker on a market wins, so list the most
+ * trusted provider first.
+ */
+export function mergeMatches(matchLists) {
+  const merged = new Map();
+
+  for (const matches of matchLists) {
+    for (const match of matches) {
+      const key = eventKey(match);
+      const existing = merged.get(key);
+      if (!existing) {
+        merged.set(key, {
+          ...match,
+          markets: match.markets.map(m => ({ ...m, outcomes: [...m.outcomes], odds: [...m.odds] })),
+          sources: [...match.sources],
+        });
+        continue;
+      }
+
+      for (const source of match.sources) {
+        if (!existing.sources.includes(source)) existing.sources.push(source);
+      }
+
+      for (const market of match.markets) {
+        const target = existing.markets.find(m => m.market === market.market && m.line === market.line);
+        if (!target) {
+          existing.markets.push({ ...market, outcomes: [...market.outcomes], odds: [...market.odds] });
+          continue;
+        }
+        for (const outcome of market.outcomes) {
+          if (!target.outcomes.includes(outcome)) target.outcomes.push(outcome);
+        }
+        for (const entry of market.odds) {
+          if (!target.odds.some(o => o.bookmaker === entry.bookmaker)) target.odds.push(entry);
+        }
+      }
+    }
+  }
+
+  return [...merged.values()];
+}
+
+/**
+ * Keep only markets priced by 2+ bookmakers, and matches that still have one
+ */
+export function finalizeMatches(matches) {
+  return matches
+    .map(match => ({ ...match, markets: match.markets.filter(m => m.odds.length >= 2) }))
+    .filter(match => match.markets.length > 0);
+}
+
+/**
+ * Combine several providers into one
+ */
+export function createCompositeProvider(providers) {
+  if (providers.length === 1) return providers[0];
+
+  async function fetchMatches(sport, sportConfig) {
+    const results = await Promise.allSettled(
+      providers.map(provider => provider.fetchMatches(sport, sportConfig))
+    );
+
+    const matchLists = [];
+    const errors = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        errors.push(`${providers[i].name}: ${result.reason?.message || result.reason}`);
+      } else if (result.value.error && result.value.matches.length === 0) {
+        errors.push(`${providers[i].name}: ${result.value.error}`);
+      } else {
+        matchLists.push(result.value.matches);
+      }
+    });
+
+    const matches = mergeMatches(matchLists);
+    return { matches, error: matches.length === 0 && errors.length > 0 ? errors.join('; ') : null };
+  }
+
+  /**
+   * Union of every provider's league list
+   */
+  async function fetchSports() {
+    const listing = providers.filter(p => typeof p.fetchSports === 'function');
+    const results = await Promise.allSettled(listing.map(p => p.fetchSports()));
+
+    const sports = new Map();
+    const errors = [];
+    results.forEach((result, i) => {
+      if (result.status === 'rejected') {
+        errors.push(`${listing[i].name}: ${result.reason?.message || result.reason}`);
+      } else if (result.value.error) {
+        errors.push(`${listing[i].name}: ${result.value.error}`);
+      } else {
+        for (const entry of result.value.sports) {
+          if (!sports.has(entry.key)) sports.set(entry.key, entry);
+        }
+      }
+    });
+
+    return { sports: [...sports.values()], error: sports.size === 0 && errors.length > 0 ? errors.join('; ') : null };
+  }
+
+  return {
+    name: providers.map(p => p.name).join(' + '),
+    isConfigured: () => providers.some(p => p.isConfigured()),
+    fetchMatches,
+    fetchSports,
+  };
+}
+
+/**
+ * Build the provider from environment variables
+ *
+ * ODDS_PROVIDERS  - Comma-separated list: the-odds-api, fixture (default the-odds-api)
+ * ODDS_API_KEY    - The Odds API key
+ * ODDS_MARKETS    - Markets to scan (default h2h,totals,spreads)
+ * ODDS_ALTERNATE_SPORTS - Sports to fetch alternate_* markets for (one extra request per game)
+ * ODDS_REGIONS    - Bookmaker regions to fetch (default us,uk,eu)
+ * FIXTURES_DIR    - Directory for the fixture provider (default ./fixtures)
+ * RECORD_FIXTURES_DIR - Save live Odds API responses here for later replay
+ *
+ * @param {object} [env]
+ * @param {object} [options]
+ * @param {object} [options.quota] - Quota tracker for The Odds API (see lib/quota.js)
+ */
+export function createProviderFromEnv(env = process.env, { quota = null } = {}) {
+  const markets = (env.ODDS_MARKETS || DEFAULT_MARKETS.join(','))
+    .split(',')
+    .map(m => m.trim())
+    .filter(m => SUPPORTED_MARKETS.includes(m));
+
+  const names = (env.ODDS_PROVIDERS || 'the-odds-api')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+
+  const providers = names.map(name => {
+    switch (name) {
+      case 'the-odds-api':
+        return createTheOddsApiProvider({
+          apiKey: env.ODDS_API_KEY,
+          regions: env.ODDS_REGIONS || undefined,
+          markets,
+          alternateSports: (env.ODDS_ALTERNATE_SPORTS || '').split(',').map(sport => sport.trim()).filter(Boolean),
+          recordDir: env.RECORD_FIXTURES_DIR || null,
+          quota,
+        });
+      case 'fixture':
+        return createFixtureProvider({ dir: env.FIXTURES_DIR || './fixtures', markets });
+      default:
+        throw new Error(`Unknown odds provider: ${name}`);
+    }
+  });
+
+  return createCompositeProvider(providers);
+}
@@ -0,0 +1,41 @@
+// lib/providers/normalize.js - The Odds API game shape → normalized match model
+// Shared by every adapter that speaks The Odds API JSON format (live or recorded).
+
+import { parseGameMarkets } from '../markets.js';
+
+/**
+ * Convert provider games into normalized matches
+ * Markets are kept even with a single bookmaker so that other providers can
+ * add their books to the same market before the 2+ bookmaker rule applies.
+ * `league` is the `{ key, title }` the games belong to (default: the sport's main league).
+ */
+export function gamesToMatches(games, { sport, sportConfig, league, markets, source }) {
+  const matches = [];
+  const leagueKey = league?.key ?? sportConfig.api_key;
+  const leagueTitle = league?.title ?? sportConfig.display_name;
+
+  for (const game of games) {
+    // One odds set per market + line (h2h, each totals point, each spread)
+    const gameMarkets = parseGameMarkets(game, {
+      hasDraw: sportConfig.has_draw,
+      markets,
+      minBookmakers: 1,
+    });
+    if (gameMarkets.length === 0) continue;
+
+    matches.push({
+      event_id: game.id,
+      match_name: `${game.home_team} vs ${game.away_team}`,
+      home_team: game.home_team,
+      away_team: game.away_team,
+      start_time: game.commence_time,
+      sport,
+      league: leagueTitle,
+      league_key: leagueKey,
+      markets: gameMarkets,
+      sources: [source],
+    });
+  }
+
+  return matches;
+}
@@ -0,0 +1,214 @@
+// lib/providers/theOddsApi.js - The Odds API adapter
+// See https://the-odds-api.com/liveapi/guides/v4/ for the response format.
+
+import path from 'path';
+import { saveJson } from '../fileStore.js';
+import { DEFAULT_MARKETS, ALTERNATE_MARKETS } from '../markets.js';
+import { gamesToMatches } from './normalize.js';
+
+export const ODDS_API_BASE = 'https://api.the-odds-api.com/v4';
+
+/**
+ * Create a provider that fetches live odds from The Odds API
+ *
+ * @param {object} options
+ * @param {string} options.apiKey - The Odds API key
+ * @param {string} [options.baseUrl] - API base URL
+ * @param {string} [options.regions] - Bookmaker regions to request
+ * @param {string[]} [options.markets] - Markets to request (each counts against quota).
+ *   Alternate lines are fetched per game, one extra call per game.
+ * @param {string[]} [options.alternateSports] - Sports to fetch alternate lines for (default none)
+ * @param {string} [options.recordDir] - If set, every successful response is saved here as a fixture
+ * @param {object} [options.quota] - Quota tracker fed each response's usage headers (see lib/quota.js)
+ */
+export function createTheOddsApiProvider({
+  apiKey,
+  baseUrl = ODDS_API_BASE,
+  regions = 'us,uk,eu',
+  markets = DEFAULT_MARKETS,
+  alternateSports = [],
+  recordDir = null,
+  quota = null,
+} = {}) {
+  const name = 'The Odds API';
+  const featured = markets.filter(market => !ALTERNATE_MARKETS[market]);
+  const alternates = markets.filter(market => ALTERNATE_MARKETS[market]);
+
+  /**
+   * Merge each game's alternate lines into its bookmakers
+   * The bulk /odds endpoint only serves featured markets, so alternate lines
+   * take one /events/{id}/odds call per game. They are extras: once the
+   * quota is slowed or paused the remaining games keep their main lines, as
+   * does a game whose call failed.
+   */
+  async function addAlternateLines(sport, sportKey, games) {
+    for (const [i, game] of games.entries()) {
+      if (quota && quota.policyFor(sport).mode !== 'normal') {
+        console.log(`   ⏸️ ${sportKey}: skipped alternate lines for ${games.length - i} games to save Odds API quota`);
+        return;
+      }
+      try {
+        const url = `${baseUrl}/sports/${sportKey}/events/${game.id}/odds`;
+        const response = await fetch(url + '?' + new URLSearchParams({
+          apiKey,
+          regions,
+          markets: alternates.join(','),
+          oddsFormat: 'decimal'
+        }));
+        quota?.record(sport, response.headers);
+
+        if (!response.ok) {
+          console.log(`   ⚠️ ${game.id} alternate lines: ${response.status} - ${response.statusText}`);
+          continue;
+        }
+
+        const event = await response.json();
+        game.bookmakers = game.bookmakers || [];
+        for (const bookmaker of event.bookmakers || []) {
+          const existing = game.bookmakers.find(b => b.key === bookmaker.key);
+          if (existing) existing.markets = [...(existing.markets || []), ...bookmaker.markets];
+          else game.bookmakers.push(bookmaker);
+        }
+      } catch (error) {
+        console.error(`   ❌ ${game.id} alternate lines error:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Fetch one sport key's games; null if it has none or the request failed
+   */
+  async function fetchGames(sport, sportKey) {
+    try {
+      console.log(`   Trying API key: ${sportKey}`);
+      const url = `${baseUrl}/sports/${sportKey}/odds`;
+
+      const response = await fetch(url + '?' + new URLSearchParams({
+        apiKey,
+        regions,
+        markets: featured.join(','),
+        oddsFormat: 'decimal'
+      }));
+
+      // Every call counts, including fallback keys that find nothing
+      quota?.record(sport, response.headers);
+
+      if (!response.ok) {
+        console.log(`   ⚠️ ${sportKey}: ${response.status} - ${response.statusText}`);
+        return null;
+      }
+
+      const games = await response.json();
+
+      if (!games || games.length === 0) {
+        console.log(`   ⚠️ ${sportKey}: No games found`);
+        return null;
+      }
+
+      console.log(`   ✅ ${sportKey}: Found ${games.length} games`);
+
+      if (alternates.length > 0 && alternateSports.includes(sport)) await addAlternateLines(sport, sportKey, games);
+
+      if (recordDir) {
+        saveJson(path.join(recordDir, `${sportKey}.json`), games);
+      }
+
+      return games;
+
+    } catch (error) {
+      console.error(`   ❌ ${sportKey} error:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * May another paid request be made for one of a sport's leagues?
+   * Paused: no. Slowed: only for its main league (the static `api_key`, or
+   * the first listed), so a refresh still covers that while the budget
+   * lasts. The remaining credits come from the last response, so this is
+   * checked again before every league.
+   */
+  function leagueAllowed(sport, sportConfig, league) {
+    const mode = quota?.policyFor(sport).mode ?? 'normal';
+    if (mode === 'paused') return false;
+    if (mode !== 'slow') return true;
+    const main = sportConfig.leagues.find(l => l.key === sportConfig.api_key) || sportConfig.leagues[0];
+    return league.key === main.key;
+  }
+
+  async function fetchMatches(sport, sportConfig) {
+    console.log(`🔍 Scraping ${sportConfig.display_name} from ${name}...`);
+
+    if (!apiKey) {
+      console.log('❌ ODDS_API_KEY not set in Railway environment variables');
+      return { matches: [], error: 'ODDS_API_KEY not configured. Add it in Railway Variables.' };
+    }
+
+    const noEvents = `No active events found for ${sport}. Season may be off or no matches scheduled.`;
+
+    const quotaLow = `${name} request quota is nearly used up; skipped the rest of ${sport}.`;
+
+    // Synced catalogue: every active league of the sport, one request each
+    if (sportConfig.leagues) {
+      const matches = [];
+      const leaguesFetched = [];
+      const leaguesSkipped = [];
+      for (const league of sportConfig.leagues) {
+        if (!leagueAllowed(sport, sportConfig, league)) {
+          leaguesSkipped.push(league.key);
+          continue;
+        }
+        const games = await fetchGames(sport, league.key);
+        if (!games) continue;
+        leaguesFetched.push(league.key);
+        matches.push(...gamesToMatches(games, { sport, sportConfig, league, markets, source: name }));
+      }
+      if (leaguesSkipped.length > 0) {
+        console.log(`⏸️ ${sport}: skipped ${leaguesSkipped.length} leagues to save Odds API quota`);
+      }
+      if (leaguesFetched.length > 0) return { matches, error: null, leaguesFetched, leaguesSkipped };
+      return { matches: [], error: leaguesSkipped.length > 0 ? quotaLow : noEvents };
+    }
+
+    // Static config: try main API key and fallbacks
+    const keysToTry = [sportConfig.api_key, ...(sportConfig.fallback_keys || [])];
+
+    for (const sportKey of keysToTry) {
+      if (quota?.policyFor(sport).mode === 'paused') return { matches: [], error: quotaLow };
+      const games = await fetchGames(sport, sportKey);
+      if (!games) continue;
+
+      const league = { key: sportKey, title: sportConfig.display_name };
+      const matches = gamesToMatches(games, { sport, sportConfig, league, markets, source: name });
+      return { matches, error: null, apiKeyUsed: sportKey };
+    }
+
+    // All keys failed
+    return { matches: [], error: noEvents };
+  }
+
+  /**
+   * List in-season sports/leagues (free - doesn't count against quota)
+   */
+  async function fetchSports() {
+    if (!apiKey) return { sports: [], error: 'ODDS_API_KEY not configured' };
+
+    try {
+      const response = await fetch(`${baseUrl}/sports?` + new URLSearchParams({ apiKey }));
+      quota?.sync(response.headers);
+      if (!response.ok) {
+        return { sports: [], error: `${response.status} - ${response.statusText}` };
+      }
+      return { sports: await response.json(), error: null };
+    } catch (error) {
+      return { sports: [], error: error.message };
+    }
+  }
+
+  return {
+    name,
+    isConfigured: () => Boolean(apiKey),
+    fetchMatches,
+    fetchSports,
+  };
+}
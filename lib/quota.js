@@ -0,0 +1,112 @@
+// lib/quota.js - The Odds API quota tracking
+// Every Odds API response carries x-requests-remaining / x-requests-used /
+// x-requests-last headers. The tracker keeps the latest values plus per-sport
+// usage, and turns the remaining budget into a refresh policy per sport.
+// Free calls (the sports list) carry the headers too, which is how a pause
+// finds out the quota has reset: see recheckQuota in lib/opportunities.js.
+
+/**
+ * Create a quota tracker
+ *
+ * @param {object} [options]
+ * @param {number} [options.slowBelow] - Slow refreshes when fewer credits remain
+ * @param {number} [options.pauseBelow] - Pause refreshes when fewer credits remain
+ * @param {number} [options.slowFactor] - Interval multiplier while slowed
+ * @param {Object<string, { slowBelow?: number, pauseBelow?: number }>} [options.sports] - Per-sport thresholds
+ */
+export function createQuotaTracker({ slowBelow = 500, pauseBelow = 50, slowFactor = 4, sports = {} } = {}) {
+  const state = {
+    remaining: null,
+    used: null,
+    last_cost: null,
+    updated_at: null,
+    by_sport: {},
+  };
+
+  function header(headers, name) {
+    const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+    return value === null || value === undefined ? null : parseFloat(value);
+  }
+
+  function thresholdsFor(sport) {
+    const overrides = sports[sport] || {};
+    return {
+      slowBelow: overrides.slowBelow ?? slowBelow,
+      pauseBelow: overrides.pauseBelow ?? pauseBelow,
+    };
+  }
+
+  /**
+   * Refresh policy for a sport given the remaining budget
+   *
+   * @returns {{ mode: 'normal'|'slow'|'paused', factor: number }}
+   */
+  function policyFor(sport) {
+    if (state.remaining === null) return { mode: 'normal', factor: 1 };
+    const limits = thresholdsFor(sport);
+    if (state.remaining < limits.pauseBelow) return { mode: 'paused', factor: Infinity };
+    if (state.remaining < limits.slowBelow) return { mode: 'slow', factor: slowFactor };
+    return { mode: 'normal', factor: 1 };
+  }
+
+  function applyHeaders(headers) {
+    const remaining = header(headers, 'x-requests-remaining');
+    const used = header(headers, 'x-requests-used');
+    if (remaining !== null) state.remaining = remaining;
+    if (used !== null) state.used = used;
+    state.updated_at = new Date().toISOString();
+  }
+
+  /**
+   * Record the quota headers of one upstream call
+   */
+  function record(sport, headers) {
+    const cost = header(headers, 'x-requests-last');
+    const before = policyFor(sport).mode;
+
+    applyHeaders(headers);
+    if (cost !== null) state.last_cost = cost;
+
+    const usage = state.by_sport[sport] || (state.by_sport[sport] = { calls: 0, credits_used: 0, last_call_at: null });
+    usage.calls++;
+    usage.credits_used += cost || 0;
+    usage.last_call_at = state.updated_at;
+
+    const after = policyFor(sport).mode;
+    if (after !== before) {
+      console.log(`⚠️ Odds API quota: ${state.remaining} credits left, ${sport} refreshes now ${after}`);
+    }
+  }
+
+  /**
+   * Record the quota headers of a free call, which counts against no sport
+   */
+  function sync(headers) {
+    const tracked = Object.keys(state.by_sport);
+    const before = tracked.map(sport => policyFor(sport).mode);
+
+    applyHeaders(headers);
+
+    const changed = tracked.filter((sport, i) => policyFor(sport).mode !== before[i]);
+    for (const sport of changed) {
+      console.log(`✅ Odds API quota: ${state.remaining} credits left, ${sport} refreshes now ${policyFor(sport).mode}`);
+    }
+  }
+
+  /**
+   * Current quota state, with the policy each tracked sport is under
+   */
+  function snapshot() {
+    const policies = {};
+    for (const sport of new Set([...Object.keys(state.by_sport), ...Object.keys(sports)])) {
+      policies[sport] = policyFor(sport).mode;
+    }
+    return {
+      ...JSON.parse(JSON.stringify(state)),
+      thresholds: { slow_below: slowBelow, pause_below: pauseBelow, slow_factor: slowFactor, sports },
+      policies,
+    };
+  }
+
+  return { record, sync, policyFor, snapshot };
+}
@@ -0,0 +1,124 @@
+// lib/scheduler.js - Background odds refresh
+// Keeps every sport's snapshot fresh so requests never wait on the upstream
+// fetch. Each sport runs on its own timer: a base cadence, a faster one while
+// a match is about to start, and random jitter so sports don't refresh in lockstep.
+// When a quota tracker is given, sports slow down or pause as the budget runs low.
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Create a refresh scheduler over an opportunity service
+ *
+ * @param {object} options
+ * @param {object} options.service - Opportunity service (see lib/opportunities.js)
+ * @param {string[]} [options.sports] - Sports to refresh (default: all the service knows)
+ * @param {number} [options.interval] - Base refresh interval (ms)
+ * @param {Object<string, number>} [options.intervals] - Per-sport base interval overrides (ms)
+ * @param {number} [options.nearStartInterval] - Interval while a match starts within nearStartWindow (ms)
+ * @param {number} [options.nearStartWindow] - How close to commence_time counts as "near" (ms)
+ * @param {number} [options.jitter] - Random ± fraction applied to each delay (0.1 = ±10%)
+ * @param {number} [options.stagger] - Delay between each sport's first refresh on start (ms)
+ * @param {object} [options.quota] - Quota tracker deciding when to slow or pause (see lib/quota.js)
+ */
+export function createRefreshScheduler({
+  service,
+  sports = service.sports,
+  interval = 10 * MINUTE_MS,
+  intervals = {},
+  nearStartInterval = 2 * MINUTE_MS,
+  nearStartWindow = 60 * MINUTE_MS,
+  jitter = 0.1,
+  stagger = 2000,
+  quota = null,
+  random = Math.random,
+}) {
+  const timers = new Map();
+  const state = {};
+  let running = false;
+
+  for (const sport of sports) {
+    state[sport] = { last_refresh_at: null, next_refresh_at: null, last_error: null, quota_mode: 'normal' };
+  }
+
+  /**
+   * Is any match of the sport's latest snapshot about to start?
+   */
+  function hasMatchStartingSoon(sport, now) {
+    const matches = service.cache.data[sport]?.matches || [];
+    return matches.some(match => {
+      const start = Date.parse(match.start_time);
+      return start > now && start - now <= nearStartWindow;
+    });
+  }
+
+  /**
+   * Delay until a sport's next refresh
+   */
+  function nextDelay(sport, now = Date.now()) {
+    let delay = intervals[sport] ?? interval;
+    if (hasMatchStartingSoon(sport, now)) {
+      delay = Math.min(delay, nearStartInterval);
+    }
+    // Paused sports are re-checked at the normal cadence
+    const policy = quota?.policyFor(sport);
+    if (policy?.mode === 'slow') {
+      delay *= policy.factor;
+    }
+    const spread = (random() * 2 - 1) * jitter;
+    return Math.max(1000, Math.round(delay * (1 + spread)));
+  }
+
+  function schedule(sport, delay) {
+    if (!running) return;
+    const timer = setTimeout(() => tick(sport), delay);
+    timer.unref?.();
+    timers.set(sport, timer);
+    state[sport].next_refresh_at = new Date(Date.now() + delay).toISOString();
+  }
+
+  async function tick(sport) {
+    await service.recheckQuota?.(sport);
+    const mode = quota?.policyFor(sport).mode || 'normal';
+    state[sport].quota_mode = mode;
+    if (mode === 'paused') {
+      console.log(`⏸️ Skipping ${sport} refresh: Odds API quota below pause threshold`);
+      schedule(sport, nextDelay(sport));
+      return;
+    }
+
+    try {
+      const { error } = await service.refreshSport(sport);
+      state[sport].last_error = error || null;
+    } catch (error) {
+      console.error(`❌ Scheduled refresh failed for ${sport}:`, error.message);
+      state[sport].last_error = error.message;
+    }
+    state[sport].last_refresh_at = new Date().toISOString();
+    schedule(sport, nextDelay(sport));
+  }
+
+  /**
+   * Start refreshing; the first refresh of each sport is staggered
+   */
+  function start() {
+    if (running) return;
+    running = true;
+    sports.forEach((sport, i) => schedule(sport, i * stagger));
+    console.log(`⏱️ Background refresh started for ${sports.length} sports (every ${Math.round(interval / 1000)}s)`);
+  }
+
+  function stop() {
+    running = false;
+    for (const timer of timers.values()) clearTimeout(timer);
+    timers.clear();
+  }
+
+  /**
+   * Per-sport refresh status
+   */
+  function status() {
+    return { running, sports: JSON.parse(JSON.stringify(state)) };
+  }
+
+  return { start, stop, status, nextDelay, tick };
+}
@@ -0,0 +1,35 @@
+// lib/sports.js - Sports catalogue
+// Sport keys are The Odds API keys, see
+// https://the-odds-api.com/sports-odds-data/sports-apis.html for all of them.
+//
+// Each sport covers every active league whose key starts with its
+// `league_prefix`; the live league list is synced by lib/catalogue.js. The
+// `api_key`/`fallback_keys` leagues are only used until a sync succeeds.
+
+export const SPORTS_CONFIG = {
+  soccer: { api_key: 'soccer_epl', league_prefix: 'soccer_', has_draw: true, display_name: 'Soccer - Premier League' },
+  basketball: { api_key: 'basketball_nba', league_prefix: 'basketball_', has_draw: false, display_name: 'NBA Basketball' },
+  tennis: { api_key: 'tennis_atp_aus_open', league_prefix: 'tennis_', has_draw: false, display_name: 'Tennis - ATP',
+            fallback_keys: ['tennis_wta_aus_open', 'tennis_atp_us_open', 'tennis_wta_us_open'] },
+  nfl: { api_key: 'americanfootball_nfl', league_prefix: 'americanfootball_', has_draw: false, display_name: 'NFL' },
+  mlb: { api_key: 'baseball_mlb', league_prefix: 'baseball_', has_draw: false, display_name: 'MLB Baseball' },
+};
+
+export const SUPPORTED_SPORTS = ['soccer', 'basketball', 'tennis', 'nfl', 'mlb'];
+
+// Leagues fetched unless ODDS_LEAGUES says otherwise. Each league costs one
+// Odds API request per refresh, so only the majors; a trailing `*` matches
+// every key with that prefix (tennis keys are per tournament).
+export const DEFAULT_LEAGUES = [
+  'soccer_epl', 'soccer_spain_la_liga', 'soccer_italy_serie_a', 'soccer_usa_mls', 'soccer_uefa_champs_league',
+  'basketball_nba', 'tennis_atp_*', 'americanfootball_nfl', 'baseball_mlb',
+];
+
+// The leagues DEFAULT_LEAGUES fetches, as advertised in the API docs
+export const SPORT_NAMES = {
+  soccer: 'Soccer (Premier League, La Liga, Serie A, MLS, Champions League)',
+  basketball: 'Basketball (NBA)',
+  tennis: 'Tennis (ATP tournaments)',
+  nfl: 'American Football (NFL)',
+  mlb: 'Baseball (MLB)',
+};
@@ -0,0 +1,123 @@
+// lib/staking.js - Per-request staking options
+// Stakes to the cent get accounts flagged for arbing and many bookmakers cap
+// stakes, so callers can round stakes and set per-bookmaker min/max limits.
+// A staking mode changes the split itself: equal profit (default), all the
+// profit on one outcome, or one leg's stake fixed.
+// The split itself is worked out in calculateStakeAmounts (lib/arbitrage.js).
+
+function toNumber(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : NaN;
+}
+
+/**
+ * Parse `stake_limits`: `"bet365:5:500,pinnacle::2000"` (bookmaker:min:max,
+ * either bound may be empty) or `{ bet365: { min: 5, max: 500 } }`
+ */
+function parseLimits(input) {
+  if (typeof input === 'object' && !Array.isArray(input)) {
+    const invalid = Object.entries(input).find(([, limit]) => !limit || typeof limit !== 'object' || Array.isArray(limit));
+    if (invalid) {
+      return { error: `Invalid stake limit for ${invalid[0]}: expected { min, max }, e.g. { "bet365": { "min": 5, "max": 500 } }` };
+    }
+  }
+
+  const entries = typeof input === 'object' && !Array.isArray(input)
+    ? Object.entries(input).map(([key, { min, max }]) => [key, min, max])
+    : (Array.isArray(input) ? input : String(input).split(','))
+      .map(entry => String(entry).trim())
+      .filter(Boolean)
+      .map(entry => entry.split(':'));
+
+  const limits = {};
+  for (const [key, rawMin, rawMax] of entries) {
+    const min = toNumber(rawMin);
+    const max = toNumber(rawMax);
+    const valid = key && (min !== null || max !== null)
+      && !Number.isNaN(min) && !Number.isNaN(max)
+      && (min === null || min >= 0) && (max === null || max > 0)
+      && (min === null || max === null || min <= max);
+    if (!valid) {
+      return { error: `Invalid stake limit: ${[key, rawMin, rawMax].map(v => v ?? '').join(':')}. Use bookmaker:min:max, e.g. bet365:5:500` };
+    }
+
+    limits[String(key).trim().toLowerCase()] = {
+      ...(min !== null && { min }),
+      ...(max !== null && { max }),
+    };
+  }
+  return { limits };
+}
+
+/**
+ * Parse `staking_mode`: `equal`, `favor:<outcome>` or `fixed_leg:<bookmaker>=<amount>`
+ */
+export function parseStakingMode(input) {
+  const text = String(input).trim();
+  if (text.toLowerCase() === 'equal') return { mode: { type: 'equal' } };
+
+  const [type, ...rest] = text.split(':');
+  const argument = rest.join(':').trim();
+  if (type.toLowerCase() === 'favor' && argument) {
+    return { mode: { type: 'favor', outcome: argument } };
+  }
+  if (type.toLowerCase() === 'fixed_leg') {
+    const [bookmaker, rawAmount] = argument.split('=').map(part => part?.trim());
+    const amount = toNumber(rawAmount);
+    if (bookmaker && amount > 0) return { mode: { type: 'fixed_leg', bookmaker: bookmaker.toLowerCase(), amount } };
+  }
+
+  return { error: `Invalid staking_mode: ${input}. Use equal, favor:<outcome> or fixed_leg:<bookmaker>=<amount>` };
+}
+
+/**
+ * Staking mode as the `staking_mode` string it was parsed from
+ */
+export function formatStakingMode(mode) {
+  if (mode?.type === 'favor') return `favor:${mode.outcome}`;
+  if (mode?.type === 'fixed_leg') return `fixed_leg:${mode.bookmaker}=${mode.amount}`;
+  return 'equal';
+}
+
+/**
+ * Parse staking params (query string or saved profile)
+ * `round_to` rounds every stake to that multiple (e.g. 1, 5, 10).
+ * Returns `{ value: { rounding, limits, mode } }` (null when nothing is set) or `{ error }`.
+ */
+export function parseStakingOptions({ round_to, stake_limits, staking_mode } = {}) {
+  const rounding = toNumber(round_to);
+  if (Number.isNaN(rounding) || (rounding !== null && rounding <= 0)) {
+    return { error: `Invalid round_to: ${round_to}. Use a positive amount, e.g. 1, 5 or 10` };
+  }
+
+  let limits = {};
+  if (stake_limits !== undefined && stake_limits !== null && stake_limits !== '') {
+    const parsed = parseLimits(stake_limits);
+    if (parsed.error) return { error: parsed.error };
+    limits = parsed.limits;
+  }
+
+  let mode = null;
+  if (staking_mode !== undefined && staking_mode !== null && staking_mode !== '') {
+    const parsed = parseStakingMode(staking_mode);
+    if (parsed.error) return { error: parsed.error };
+    mode = parsed.mode;
+  }
+
+  if (rounding === null && Object.keys(limits).length === 0 && !mode) return { value: null };
+  return { value: { rounding, limits, mode } };
+}
+
+/**
+ * Combine saved staking options with per-request ones; each param given overrides its saved field
+ */
+export function mergeStakingOptions(saved, override) {
+  if (!saved) return override;
+  if (!override) return saved;
+  return {
+    rounding: override.rounding ?? saved.rounding,
+    limits: Object.keys(override.limits).length > 0 ? override.limits : saved.limits,
+    mode: override.mode ?? saved.mode ?? null,
+  };
+}
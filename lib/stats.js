@@ -0,0 +1,125 @@
+// lib/stats.js - Aggregate stats over the detected opportunities
+// Works on opportunity store records (see lib/opportunityStore.js): how often
+// arbs show up per sport, league and bookmaker pair, how long they last and
+// how much they pay.
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Parse `from` / `to` (ISO dates or date-times); a date-only `to` covers that whole day
+ * Returns `{ value: { from, to } }` (ms timestamps or null) or `{ error }`.
+ */
+export function parseDateRange({ from, to } = {}) {
+  const range = { from: null, to: null };
+
+  for (const [field, input] of [['from', from], ['to', to]]) {
+    if (input === undefined || input === '') continue;
+    const time = Date.parse(input);
+    if (!Number.isFinite(time)) {
+      return { error: `Invalid ${field}: ${input}. Use an ISO date like 2030-01-15 or 2030-01-15T18:00:00Z` };
+    }
+    range[field] = field === 'to' && DATE_ONLY.test(input) ? time + DAY_MS - 1 : time;
+  }
+
+  if (range.from !== null && range.to !== null && range.from > range.to) {
+    return { error: 'from must be before to' };
+  }
+  return { value: range };
+}
+
+/**
+ * Median of a list of numbers (null when empty)
+ */
+function median(values) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+/**
+ * Bookmakers an opportunity is placed at, e.g. "DraftKings + FanDuel"
+ */
+function bookmakerPair(record) {
+  return [...new Set(record.bets.map(bet => bet.bookmaker))].sort().join(' + ');
+}
+
+/**
+ * Count, profit and lifetime of a group of records
+ */
+function summarize(records) {
+  const profits = records.map(record => record.profit_percentage);
+  return {
+    count: records.length,
+    average_profit_percentage: profits.length
+      ? parseFloat((profits.reduce((sum, p) => sum + p, 0) / profits.length).toFixed(2))
+      : null,
+    max_profit_percentage: profits.length ? Math.max(...profits) : null,
+    median_lifetime_seconds: median(records.map(record => record.lifetime_seconds)),
+  };
+}
+
+/**
+ * Summaries per value of `keyOf`, most opportunities first
+ */
+function groupBy(records, field, keyOf) {
+  const groups = new Map();
+  for (const record of records) {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(record);
+  }
+  return [...groups.entries()]
+    .map(([key, group]) => ({ [field]: key, ...summarize(group) }))
+    .sort((a, b) => b.count - a.count);
+}
+
+/**
+ * Every lifetime of a record as a record of its own: the earlier
+ * `occurrences` of an arb that vanished and came back, then the current one
+ */
+function lifetimes(record) {
+  return [...(record.occurrences || []), record].map(lifetime => ({
+    ...record,
+    first_seen_at: lifetime.first_seen_at,
+    lifetime_seconds: lifetime.lifetime_seconds,
+  }));
+}
+
+/**
+ * Stats over opportunity records first seen within a date range
+ * Each lifetime of an arb counts as one occurrence, so an arb that keeps
+ * coming back counts every time. Lifetimes are as observed: from the first
+ * to the last scrape an opportunity was seen in. Times of day are UTC hours.
+ * Arbs only found under one request's bookmaker filter or commissions
+ * (`derived`) are left out.
+ *
+ * @param {object[]} records - Opportunity store records
+ * @param {object} [options]
+ * @param {number} [options.from] - Earliest first_seen_at (ms)
+ * @param {number} [options.to] - Latest first_seen_at (ms)
+ * @param {string} [options.sport] - Only this sport
+ */
+export function opportunityStats(records, { from = null, to = null, sport = null } = {}) {
+  const selected = records.flatMap(lifetimes).filter(record => {
+    if (record.derived) return false;
+    const seenAt = Date.parse(record.first_seen_at);
+    if (from !== null && seenAt < from) return false;
+    if (to !== null && seenAt > to) return false;
+    return !sport || record.sport === sport;
+  });
+
+  const byHour = Array.from({ length: 24 }, (_, hour) => ({ hour, count: 0 }));
+  for (const record of selected) {
+    byHour[new Date(record.first_seen_at).getUTCHours()].count++;
+  }
+
+  return {
+    ...summarize(selected),
+    by_sport: groupBy(selected, 'sport', record => record.sport),
+    by_league: groupBy(selected, 'league', record => record.match?.league_key || record.match?.league || 'unknown'),
+    by_bookmaker_pair: groupBy(selected, 'bookmakers', bookmakerPair),
+    by_hour: byHour,
+  };
+}
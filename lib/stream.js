@@ -0,0 +1,229 @@
+// lib/stream.js - Real-time opportunity stream (Server-Sent Events + WebSocket)
+// Relays the opportunity service's change events to subscribed clients, so
+// bots see a new arb as soon as a refresh lands instead of polling.
+
+import { randomBytes } from 'crypto';
+import { WebSocketServer } from 'ws';
+import { loadJson, saveJson } from './fileStore.js';
+
+export const STREAM_PATH = '/api/stream';
+export const STREAM_WS_PATH = '/api/stream/ws';
+
+/**
+ * Time-boxed stream passes bought with a single x402 payment
+ *
+ * @param {object} options
+ * @param {string} options.file - Path of the JSON file passes are kept in
+ * @param {number} [options.duration] - How long a pass is valid (ms)
+ */
+export function createStreamPasses({ file, duration = 60 * 60 * 1000 }) {
+  const passes = new Map(Object.entries(loadJson(file, {})));
+
+  function prune(now = Date.now()) {
+    for (const [token, pass] of passes) {
+      if (Date.parse(pass.expires_at) <= now) passes.delete(token);
+    }
+  }
+
+  /**
+   * Issue a new pass, valid from now
+   */
+  function issue({ authMethod } = {}) {
+    prune();
+    const now = Date.now();
+    const pass = {
+      token: `sp_${randomBytes(16).toString('hex')}`,
+      issued_at: new Date(now).toISOString(),
+      expires_at: new Date(now + duration).toISOString(),
+      auth_method: authMethod || null,
+    };
+    passes.set(pass.token, pass);
+    saveJson(file, Object.fromEntries(passes));
+    return pass;
+  }
+
+  /**
+   * The pass for a token, or null if unknown or expired
+   */
+  function check(token) {
+    const pass = passes.get(token);
+    if (!pass || Date.parse(pass.expires_at) <= Date.now()) return null;
+    return pass;
+  }
+
+  return { issue, check, duration };
+}
+
+/**
+ * Create the opportunity stream
+ *
+ * @param {object} options
+ * @param {object} options.service - Opportunity service (see lib/opportunities.js)
+ * @param {function} options.authorize - `({ headers, query }) => { authMethod, expiresAt } | null`;
+ *   connections are closed at `expiresAt` (ms, null for no limit)
+ * @param {number} [options.heartbeat] - Keep-alive interval (ms)
+ */
+export function createOpportunityStream({ service, authorize, heartbeat = 25 * 1000 }) {
+  const clients = new Set();
+  let sequence = 0;
+
+  /**
+   * Parse the `sports` query param; all sports when absent
+   */
+  function parseSports(value) {
+    if (!value) return { sports: service.sports };
+    const sports = String(value).split(',').map(s => s.trim().toLowerCase()).filter(Boolean);
+    const invalid = sports.filter(sport => !service.sports.includes(sport));
+    if (invalid.length > 0) return { error: `Invalid sport: ${invalid.join(', ')}` };
+    return { sports };
+  }
+
+  /**
+   * Events a new subscriber starts with: the latest snapshot of each sport
+   */
+  function snapshotEvents(sports) {
+    return sports.map(sport => {
+      const cached = service.cache.data[sport];
+      return {
+        type: 'snapshot',
+        sport,
+        opportunities: cached?.opportunities || [],
+        data_age_seconds: cached ? Math.round((Date.now() - cached.timestamp) / 1000) : null,
+      };
+    });
+  }
+
+  /**
+   * Register a subscriber; `send(type, id, data)` delivers one event
+   */
+  function subscribe(sports, send) {
+    const client = { sports: new Set(sports), send };
+    clients.add(client);
+
+    for (const event of snapshotEvents(sports)) {
+      send(event.type, ++sequence, event);
+    }
+
+    const listener = event => {
+      if (client.sports.has(event.sport)) send(event.type, ++sequence, event);
+    };
+    service.events.on('opportunity', listener);
+
+    return () => {
+      service.events.off('opportunity', listener);
+      clients.delete(client);
+    };
+  }
+
+  /**
+   * Run `end` when a connection's access expires; returns a function that cancels it
+   */
+  function expireAt(expiresAt, end) {
+    if (expiresAt === null || expiresAt === undefined) return () => {};
+    const timer = setTimeout(end, Math.max(0, expiresAt - Date.now()));
+    timer.unref?.();
+    return () => clearTimeout(timer);
+  }
+
+  /**
+   * Express handler for GET /api/stream (Server-Sent Events)
+   */
+  function handleSse(req, res) {
+    const access = authorize({ headers: req.headers, query: req.query });
+    if (!access) {
+      return res.status(401).json({
+        success: false,
+        error: 'Stream access requires an API key (X-API-Key header) or a stream pass (?token=) from GET /api/stream/pass',
+      });
+    }
+
+    const { sports, error } = parseSports(req.query.sports);
+    if (error) {
+      return res.status(400).json({ success: false, error, valid_options: service.sports });
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no',
+    });
+    res.flushHeaders();
+    res.write('retry: 5000\n\n');
+
+    const unsubscribe = subscribe(sports, (type, id, data) => {
+      res.write(`id: ${id}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    });
+    const keepAlive = setInterval(() => res.write(': ping\n\n'), heartbeat);
+    keepAlive.unref?.();
+    const stop = () => {
+      clearInterval(keepAlive);
+      cancelExpiry();
+      unsubscribe();
+    };
+    const cancelExpiry = expireAt(access.expiresAt, () => {
+      stop();
+      res.end(`event: pass.expired\ndata: ${JSON.stringify({ type: 'pass.expired', timestamp: new Date().toISOString() })}\n\n`);
+    });
+
+    console.log(`📡 SSE client subscribed to ${sports.join(', ')} (${access.authMethod})`);
+
+    req.on('close', stop);
+  }
+
+  let wss = null;
+
+  /**
+   * Accept WebSocket upgrades on /api/stream/ws for an HTTP server
+   */
+  function attach(server) {
+    wss = wss || new WebSocketServer({ noServer: true });
+
+    server.on('upgrade', (req, socket, head) => {
+      const url = new URL(req.url, 'http://localhost');
+      if (url.pathname !== STREAM_WS_PATH) return socket.destroy();
+
+      const query = Object.fromEntries(url.searchParams);
+      const access = authorize({ headers: req.headers, query });
+      const { sports, error } = parseSports(query.sports);
+      if (!access || error) {
+        socket.write(`HTTP/1.1 ${access ? '400 Bad Request' : '401 Unauthorized'}\r\nConnection: close\r\n\r\n`);
+        return socket.destroy();
+      }
+
+      wss.handleUpgrade(req, socket, head, ws => {
+        const unsubscribe = subscribe(sports, (type, id, data) => {
+          ws.send(JSON.stringify({ id, event: type, data }));
+        });
+        const keepAlive = setInterval(() => ws.ping(), heartbeat);
+        keepAlive.unref?.();
+        // 1008 (policy violation): the pass no longer grants access
+        const cancelExpiry = expireAt(access.expiresAt, () => ws.close(1008, 'Stream pass expired'));
+
+        console.log(`📡 WebSocket client subscribed to ${sports.join(', ')} (${access.authMethod})`);
+
+        ws.on('close', () => {
+          clearInterval(keepAlive);
+          cancelExpiry();
+          unsubscribe();
+        });
+      });
+    });
+
+    return server;
+  }
+
+  /**
+   * Disconnect every WebSocket client
+   */
+  function close() {
+    for (const ws of wss?.clients || []) ws.terminate();
+  }
+
+  return {
+    handleSse,
+    attach,
+    close,
+    clientCount: () => clients.size,
+  };
+}
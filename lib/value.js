@@ -0,0 +1,137 @@
+// lib/value.js - Positive expected value (value bet) detection
+// A sharp bookmaker's prices (Pinnacle by default), or the consensus of every
+// book on the market, give a no-vig fair probability per outcome. Any other
+// price paying more than that fair price is a value bet: it doesn't lock in a
+// profit like an arb, but wins over many bets.
+
+import { createHash } from 'crypto';
+import { commissionFor, effectiveOdds } from './arbitrage.js';
+
+export const DEFAULT_SHARP_BOOK = 'pinnacle';
+
+/**
+ * No-vig probabilities from one bookmaker's prices on every outcome
+ * The margin is removed proportionally: each implied probability is divided
+ * by their sum. Returns null unless every outcome is priced above 1.0.
+ */
+export function noVigProbabilities(prices, outcomes) {
+  if (outcomes.some(outcome => !(prices[outcome] > 1))) return null;
+  const implied = outcomes.map(outcome => 1 / prices[outcome]);
+  const total = implied.reduce((sum, p) => sum + p, 0);
+  return Object.fromEntries(outcomes.map((outcome, i) => [outcome, implied[i] / total]));
+}
+
+/**
+ * Fair probabilities for a market
+ * With a sharp book on the market, its no-vig line; otherwise (or with
+ * `sharp: 'consensus'`) the average no-vig line of every book pricing all
+ * outcomes.
+ *
+ * @returns {{ probabilities: Object<string, number>, source: string, books: number }|null}
+ */
+export function fairProbabilities(market, { sharp = DEFAULT_SHARP_BOOK } = {}) {
+  if (sharp !== 'consensus') {
+    const entry = market.odds.find(e => [e.bookmaker_key, e.bookmaker?.toLowerCase()].includes(sharp));
+    const probabilities = entry && noVigProbabilities(entry.prices, market.outcomes);
+    if (probabilities) return { probabilities, source: entry.bookmaker_key || sharp, books: 1 };
+  }
+
+  const lines = market.odds
+    .map(entry => noVigProbabilities(entry.prices, market.outcomes))
+    .filter(Boolean);
+  if (lines.length < 2) return null;
+
+  const probabilities = Object.fromEntries(market.outcomes.map(outcome =>
+    [outcome, lines.reduce((sum, line) => sum + line[outcome], 0) / lines.length]));
+  return { probabilities, source: 'consensus', books: lines.length };
+}
+
+/**
+ * Kelly criterion: the share of a bankroll to stake at decimal `odds` when the
+ * outcome's true probability is `probability` (0 or less means don't bet)
+ */
+export function kellyFraction(probability, odds) {
+  const b = odds - 1;
+  return (b * probability - (1 - probability)) / b;
+}
+
+/**
+ * Stable value bet ID: same event, market, outcome and bookmaker → same ID
+ */
+export function valueBetId(match, market, line, outcome, bookmaker) {
+  const eventKey = match.event_id || `${match.match_name}|${match.start_time}`;
+  const digest = createHash('sha256')
+    .update(`${match.sport}|${eventKey}|${market}|${line ?? ''}|${outcome}@${bookmaker}`)
+    .digest('hex');
+  return `ev_${digest.slice(0, 16)}`;
+}
+
+/**
+ * Find prices with positive expected value against the fair line
+ * EV and Kelly use the odds after commission. The sharp book's own prices are
+ * never flagged; with `allowed` only bookmakers the caller can bet at are.
+ *
+ * @param {object[]} matches - Normalized matches
+ * @param {object} [options]
+ * @param {string} [options.sharp] - Bookmaker key for the fair line, or 'consensus'
+ * @param {number} [options.minEv] - Minimum EV in percent
+ * @param {Object<string, number>} [options.commissions] - Bookmaker key → commission in percent
+ * @param {function} [options.allowed] - `(entry) => boolean`, which bookmakers to flag
+ */
+export function findValueBets(matches, { sharp = DEFAULT_SHARP_BOOK, minEv = 0, commissions = {}, allowed = () => true } = {}) {
+  const valueBets = [];
+
+  for (const match of matches) {
+    for (const market of match.markets) {
+      const fair = fairProbabilities(market, { sharp });
+      if (!fair) continue;
+
+      for (const entry of market.odds) {
+        if (fair.source !== 'consensus' && entry.bookmaker_key === fair.source) continue;
+        if (!allowed(entry)) continue;
+        const commission = commissionFor(entry, commissions);
+
+        for (const outcome of market.outcomes) {
+          const price = entry.prices[outcome];
+          if (!(price > 1)) continue;
+          const probability = fair.probabilities[outcome];
+          const netOdds = effectiveOdds(price, commission);
+          const ev = (probability * netOdds - 1) * 100;
+          if (ev <= 0 || ev < minEv) continue;
+
+          valueBets.push({
+            id: valueBetId(match, market.market, market.line, outcome, entry.bookmaker),
+            type: 'value_bet',
+            match: {
+              event_id: match.event_id,
+              name: match.match_name,
+              sport: match.sport,
+              league: match.league,
+              league_key: match.league_key,
+              start_time: match.start_time
+            },
+            market: market.market,
+            line: market.line,
+            outcome,
+            bookmaker: entry.bookmaker,
+            bookmaker_key: entry.bookmaker_key,
+            odds: price,
+            commission,
+            effective_odds: parseFloat(netOdds.toFixed(4)),
+            fair_probability: parseFloat(probability.toFixed(4)),
+            fair_odds: parseFloat((1 / probability).toFixed(3)),
+            fair_source: fair.source,
+            ev_percentage: parseFloat(ev.toFixed(2)),
+            kelly_fraction: parseFloat(kellyFraction(probability, netOdds).toFixed(4)),
+            detected_at: new Date().toISOString()
+          });
+        }
+      }
+    }
+  }
+
+  // Highest EV first
+  valueBets.sort((a, b) => b.ev_percentage - a.ev_percentage);
+
+  return valueBets;
+}
@@ -0,0 +1,161 @@
+// server.js - Starts the ArbitrageEdge API from environment variables
+// Loaded by bootstrap.js after the crypto polyfill is in place.
+
+import { config } from 'dotenv';
+import { HTTPFacilitatorClient } from '@x402/core/server';
+import { facilitator } from '@coinbase/x402';
+import { createApp } from './api.js';
+import { createProviderFromEnv } from './lib/providers/index.js';
+import { createQuotaTracker } from './lib/quota.js';
+import { parseCommissions } from './lib/bookmakers.js';
+import { DEFAULT_LEAGUES } from './lib/sports.js';
+
+config();
+
+const PORT = process.env.PORT || 3000;
+const payTo = process.env.WALLET_ADDRESS;
+
+// Custom facilitator (self-hosted or test) - skips CDP authentication
+const FACILITATOR_URL = process.env.X402_FACILITATOR_URL;
+
+// Validate required env vars
+if (!payTo || (!FACILITATOR_URL && (!process.env.CDP_API_KEY_ID || !process.env.CDP_API_KEY_SECRET))) {
+  console.error('❌ Missing required env vars: CDP_API_KEY_ID, CDP_API_KEY_SECRET, WALLET_ADDRESS');
+  console.error('   Get CDP credentials from: https://portal.cdp.coinbase.com/projects');
+  process.exit(1);
+}
+
+// API Keys for backward compatibility (Apify actor, etc.)
+const apiKeys = [
+  process.env.API_KEY_1 || 'demo_key_12345',
+  process.env.API_KEY_2,
+  process.env.API_KEY_3,
+].filter(Boolean);
+
+// Admin keys for /api/admin/* (quota and other operator views)
+const adminKeys = (process.env.ADMIN_API_KEYS || '').split(',').map(k => k.trim()).filter(Boolean);
+
+// Odds API quota - slow down, then pause, refreshes as the monthly budget runs out
+const number = value => (value ? parseFloat(value) : undefined);
+const quotaOptions = {
+  slowBelow: number(process.env.ODDS_QUOTA_SLOW_BELOW),
+  pauseBelow: number(process.env.ODDS_QUOTA_PAUSE_BELOW),
+  slowFactor: number(process.env.ODDS_QUOTA_SLOW_FACTOR),
+  // e.g. ODDS_QUOTA_SPORT_THRESHOLDS=tennis:2000:400 (sport:slow_below:pause_below)
+  sports: Object.fromEntries(
+    (process.env.ODDS_QUOTA_SPORT_THRESHOLDS || '')
+      .split(',')
+      .filter(Boolean)
+      .map(entry => {
+        const [sport, slowBelow, pauseBelow] = entry.split(':');
+        return [sport.trim(), { slowBelow: number(slowBelow), pauseBelow: number(pauseBelow) }];
+      })
+  ),
+};
+for (const key of Object.keys(quotaOptions)) {
+  if (quotaOptions[key] === undefined) delete quotaOptions[key];
+}
+const quota = createQuotaTracker(quotaOptions);
+
+// Exchange commission overrides, e.g. BOOKMAKER_COMMISSIONS=betfair_ex_uk:2,smarkets:0
+const { value: commissions, error: commissionError } = parseCommissions(process.env.BOOKMAKER_COMMISSIONS);
+if (commissionError) {
+  console.error(`❌ BOOKMAKER_COMMISSIONS: ${commissionError}`);
+  process.exit(1);
+}
+
+// Leagues to fetch: every league is one paid Odds API request per refresh
+const leagueAllowlist = value => {
+  if (!value) return DEFAULT_LEAGUES;
+  if (value.trim() === 'all') return null;
+  return value.split(',').map(l => l.trim()).filter(Boolean);
+};
+
+// Odds provider(s) - The Odds API by default, see lib/providers/index.js
+const provider = createProviderFromEnv(process.env, { quota });
+
+// Background refresh - enabled by REFRESH_INTERVAL_SECONDS, otherwise odds
+// are scraped on request when the 30-minute cache expires
+const seconds = value => (value ? parseFloat(value) * 1000 : undefined);
+const refresh = process.env.REFRESH_INTERVAL_SECONDS
+  ? {
+      interval: seconds(process.env.REFRESH_INTERVAL_SECONDS),
+      nearStartInterval: seconds(process.env.REFRESH_NEAR_START_SECONDS),
+      nearStartWindow: seconds(process.env.REFRESH_NEAR_START_WINDOW_SECONDS),
+      jitter: process.env.REFRESH_JITTER ? parseFloat(process.env.REFRESH_JITTER) : undefined,
+      // e.g. REFRESH_SPORT_INTERVALS=basketball:300,mlb:1800 (seconds)
+      intervals: Object.fromEntries(
+        (process.env.REFRESH_SPORT_INTERVALS || '')
+          .split(',')
+          .filter(Boolean)
+          .map(entry => {
+            const [sport, value] = entry.split(':');
+            return [sport.trim(), seconds(value)];
+          })
+      ),
+    }
+  : null;
+
+// Drop unset values so the scheduler defaults apply
+if (refresh) {
+  for (const key of Object.keys(refresh)) {
+    if (refresh[key] === undefined) delete refresh[key];
+  }
+}
+
+const app = createApp({
+  provider,
+  payTo,
+  apiKeys,
+  adminKeys,
+  facilitatorClient: new HTTPFacilitatorClient(FACILITATOR_URL ? { url: FACILITATOR_URL } : facilitator),
+  dataDir: process.env.DATA_DIR || './data',
+  retentionDays: number(process.env.DATA_RETENTION_DAYS),
+  baseUrl: process.env.BASE_URL,
+  refresh,
+  // ODDS_LEAGUES=soccer_epl,soccer_spain_la_liga limits each sport to these
+  // leagues (default: the majors in DEFAULT_LEAGUES, `all` for every active one)
+  catalogue: {
+    leagues: leagueAllowlist(process.env.ODDS_LEAGUES),
+    includeOutrights: (process.env.ODDS_MARKETS || '').includes('outrights'),
+  },
+  stream: {
+    passPrice: process.env.STREAM_PASS_PRICE || undefined,
+    passMinutes: number(process.env.STREAM_PASS_MINUTES),
+  },
+  quota,
+  commissions: commissions || {},
+});
+
+const server = app.listen(PORT, () => {
+  const oddsApiStatus = provider.isConfigured() ? '✅ Connected' : '⚠️ Not configured';
+  const cacheMinutes = app.locals.opportunities.cache.duration / 60000;
+  const refreshMode = refresh
+    ? `Background refresh every ${refresh.interval / 1000}s`
+    : `Cache: ${cacheMinutes} minutes`;
+
+  console.log(`
+============================================
+🎯 ArbitrageEdge API with x402
+============================================
+💰 Pricing: $0.03 USDC per sport query
+💳 Network: Base Mainnet (eip155:8453)
+💵 Wallet: ${payTo}
+🔑 API Keys: ${apiKeys.length} configured
+
+📊 Data Source: ${provider.name}
+   Status: ${oddsApiStatus}
+   ${refreshMode}
+
+🌐 Server: http://localhost:${PORT}
+📡 API: http://localhost:${PORT}/api
+💚 Health: http://localhost:${PORT}/health
+📡 Stream: http://localhost:${PORT}/api/stream (SSE), ws://localhost:${PORT}/api/stream/ws
+============================================
+  `);
+
+  app.locals.scheduler?.start();
+});
+
+// WebSocket stream shares the HTTP server
+app.locals.stream.attach(server);
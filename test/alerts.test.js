@@ -0,0 +1,229 @@
+// test/alerts.test.js - Webhook alert subscriptions and signed delivery
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHmac } from 'crypto';
+import http from 'http';
+import { once } from 'events';
+import { setTimeout as sleep } from 'timers/promises';
+import request from 'supertest';
+import { matchesAlert, signPayload, parseAlertInput, isPrivateAddress, postWebhook } from '../lib/alerts.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+const OTHER_KEY = 'other_key_67890';
+
+/**
+ * fetch stub that records webhook calls and answers with the given statuses in turn
+ */
+function fakeWebhook(statuses = [200]) {
+  const calls = [];
+  const fetch = async (url, init) => {
+    calls.push({ url, headers: init.headers, body: JSON.parse(init.body), raw: init.body, address: init.address });
+    const status = statuses[Math.min(calls.length - 1, statuses.length - 1)];
+    return new Response('', { status });
+  };
+  return { calls, fetch };
+}
+
+// hooks.example.com as a public address, without real DNS
+const publicLookup = async () => [{ address: '93.184.215.14', family: 4 }];
+
+const alertDefaults = { active: true, sports: [], min_profit: 0, bookmakers: [], max_minutes_to_start: null };
+const opportunity = {
+  profit_percentage: 2.5,
+  match: { start_time: new Date(Date.now() + 30 * 60 * 1000).toISOString() },
+  bets: [{ bookmaker: 'DraftKings' }, { bookmaker: 'FanDuel' }],
+};
+
+test('matchesAlert applies sport, profit, bookmaker and start-time filters', () => {
+  assert.equal(matchesAlert(alertDefaults, 'nba', opportunity), true);
+  assert.equal(matchesAlert({ ...alertDefaults, sports: ['soccer'] }, 'nba', opportunity), false);
+  assert.equal(matchesAlert({ ...alertDefaults, min_profit: 3 }, 'nba', opportunity), false);
+  assert.equal(matchesAlert({ ...alertDefaults, bookmakers: ['draftkings', 'fanduel'] }, 'nba', opportunity), true);
+  assert.equal(matchesAlert({ ...alertDefaults, bookmakers: ['DraftKings'] }, 'nba', opportunity), false);
+  assert.equal(matchesAlert({ ...alertDefaults, max_minutes_to_start: 60 }, 'nba', opportunity), true);
+  assert.equal(matchesAlert({ ...alertDefaults, max_minutes_to_start: 10 }, 'nba', opportunity), false);
+  assert.equal(matchesAlert({ ...alertDefaults, active: false }, 'nba', opportunity), false);
+});
+
+test('matchesAlert matches bookmakers by key or title', () => {
+  const keyed = { ...opportunity, bets: [{ bookmaker: 'Paddy Power', bookmaker_key: 'paddypower' }, { bookmaker: 'Betfair', bookmaker_key: 'betfair_ex_uk' }] };
+  assert.equal(matchesAlert({ ...alertDefaults, bookmakers: ['paddypower', 'betfair_ex_uk'] }, 'soccer', keyed), true);
+  assert.equal(matchesAlert({ ...alertDefaults, bookmakers: ['Paddy Power', 'betfair'] }, 'soccer', keyed), true);
+  assert.equal(matchesAlert({ ...alertDefaults, bookmakers: ['paddypower'] }, 'soccer', keyed), false);
+});
+
+test('signPayload is an HMAC over timestamp and body', () => {
+  const expected = createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(signPayload('secret', '{"a":1}', 1700000000), `t=1700000000,v1=${expected}`);
+});
+
+test('alerts CRUD is scoped to the API key', async () => {
+  const ctx = loadApp({ apiKeys: [API_KEY, OTHER_KEY] });
+  try {
+    const unauthenticated = await request(ctx.app).get('/api/alerts');
+    assert.equal(unauthenticated.status, 401);
+
+    const invalid = await request(ctx.app).post('/api/alerts').set('X-API-Key', API_KEY).send({ url: 'ftp://x' });
+    assert.equal(invalid.status, 400);
+
+    const created = await request(ctx.app)
+      .post('/api/alerts')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://hooks.example.com/arb', sports: ['basketball'], min_profit: 2 });
+    assert.equal(created.status, 201);
+    assert.match(created.body.alert.secret, /^whsec_/);
+    const { id } = created.body.alert;
+
+    const listed = await request(ctx.app).get('/api/alerts').set('X-API-Key', API_KEY);
+    assert.equal(listed.body.count, 1);
+    assert.equal(listed.body.alerts[0].secret, undefined);
+
+    const foreign = await request(ctx.app).get(`/api/alerts/${id}`).set('X-API-Key', OTHER_KEY);
+    assert.equal(foreign.status, 404);
+
+    const patched = await request(ctx.app)
+      .patch(`/api/alerts/${id}`)
+      .set('X-API-Key', API_KEY)
+      .send({ min_profit: 3, active: false });
+    assert.equal(patched.body.alert.min_profit, 3);
+    assert.equal(patched.body.alert.active, false);
+    assert.equal(patched.body.alert.url, 'https://hooks.example.com/arb');
+
+    const deleted = await request(ctx.app).delete(`/api/alerts/${id}`).set('X-API-Key', API_KEY);
+    assert.equal(deleted.status, 200);
+    const gone = await request(ctx.app).get(`/api/alerts/${id}`).set('X-API-Key', API_KEY);
+    assert.equal(gone.status, 404);
+  } finally {
+    ctx.close();
+  }
+});
+
+test('a refresh POSTs signed payloads for matching new opportunities', async () => {
+  const webhook = fakeWebhook();
+  const ctx = loadApp({ alerts: { fetch: webhook.fetch, lookup: publicLookup } });
+  try {
+    const created = await request(ctx.app)
+      .post('/api/alerts')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://hooks.example.com/arb', sports: ['basketball'], min_profit: 3 });
+    const { secret, id } = created.body.alert;
+
+    await ctx.app.locals.opportunities.refreshSport('basketball');
+    await ctx.app.locals.opportunities.refreshSport('soccer');
+    await sleep(20);
+
+    // Only the 3.73% Lakers/Celtics arb clears min_profit 3
+    assert.equal(webhook.calls.length, 1);
+    const [call] = webhook.calls;
+    // Sent to the address that was checked
+    assert.deepEqual(call.address, { address: '93.184.215.14', family: 4 });
+    assert.equal(call.body.event, 'opportunity.new');
+    assert.equal(call.body.alert_id, id);
+    assert.equal(call.body.opportunity.profit_percentage, 3.73);
+
+    const [, timestamp, digest] = call.headers['X-ArbitrageEdge-Signature'].match(/^t=(\d+),v1=([0-9a-f]+)$/);
+    const expected = createHmac('sha256', secret).update(`${timestamp}.${call.raw}`).digest('hex');
+    assert.equal(digest, expected);
+
+    // A second refresh with the same arb is not new
+    ctx.app.locals.opportunities.cache.data.basketball.timestamp = 0;
+    await ctx.app.locals.opportunities.refreshSport('basketball');
+    await sleep(20);
+    assert.equal(webhook.calls.length, 1);
+  } finally {
+    ctx.app.locals.alerts.stop();
+    ctx.close();
+  }
+});
+
+test('failed deliveries are retried with backoff and logged', async () => {
+  const webhook = fakeWebhook([500, 503, 200]);
+  const ctx = loadApp({ alerts: { fetch: webhook.fetch, lookup: publicLookup, retryDelays: [10, 20, 40] } });
+  try {
+    const created = await request(ctx.app)
+      .post('/api/alerts')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://hooks.example.com/arb', sports: ['soccer'] });
+    const { id } = created.body.alert;
+
+    await ctx.app.locals.opportunities.refreshSport('soccer');
+    await sleep(150);
+
+    assert.equal(webhook.calls.length, 3);
+    assert.equal(new Set(webhook.calls.map(c => c.body.delivery_id)).size, 1);
+
+    const log = await request(ctx.app).get(`/api/alerts/${id}/deliveries`).set('X-API-Key', API_KEY);
+    assert.deepEqual(log.body.deliveries.map(d => d.status), ['delivered', 'retrying', 'retrying']);
+    assert.deepEqual(log.body.deliveries.map(d => d.attempt), [3, 2, 1]);
+    assert.equal(log.body.deliveries[2].response_status, 500);
+  } finally {
+    ctx.app.locals.alerts.stop();
+    ctx.close();
+  }
+});
+
+test('webhooks may not target loopback, private or link-local hosts', () => {
+  const parse = url => parseAlertInput({ url }, { validSports: [] });
+  for (const url of [
+    'http://127.0.0.1/hook', 'http://localhost:8080/', 'http://10.1.2.3/', 'http://172.20.0.5/',
+    'http://192.168.1.10/', 'http://169.254.169.254/latest/meta-data/', 'http://[::1]/', 'http://[fd00::1]/',
+    'http://2130706433/', 'http://[::ffff:127.0.0.1]/',
+  ]) {
+    assert.match(parse(url).error ?? '', /public host/, url);
+  }
+  assert.equal(parse('https://hooks.example.com/arb').value.url, 'https://hooks.example.com/arb');
+
+  assert.equal(isPrivateAddress('172.32.0.1'), false);
+  assert.equal(isPrivateAddress('fe80::1'), true);
+});
+
+test('a webhook host that resolves to a private address is not called', async () => {
+  const webhook = fakeWebhook();
+  const lookup = async () => [{ address: '169.254.169.254', family: 4 }];
+  const ctx = loadApp({ alerts: { fetch: webhook.fetch, lookup, retryDelays: [10] } });
+  try {
+    const created = await request(ctx.app)
+      .post('/api/alerts')
+      .set('X-API-Key', API_KEY)
+      .send({ url: 'https://rebind.example.com/arb', sports: ['soccer'] });
+    assert.equal(created.status, 201);
+
+    await ctx.app.locals.opportunities.refreshSport('soccer');
+    await sleep(50);
+
+    assert.equal(webhook.calls.length, 0);
+    const log = await request(ctx.app).get(`/api/alerts/${created.body.alert.id}/deliveries`).set('X-API-Key', API_KEY);
+    assert.deepEqual(log.body.deliveries.map(d => d.status), ['failed']);
+    assert.match(log.body.deliveries[0].error, /private address/);
+  } finally {
+    ctx.app.locals.alerts.stop();
+    ctx.close();
+  }
+});
+
+test('postWebhook connects to the given address without resolving the host again', async () => {
+  const received = [];
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ host: req.headers.host, body });
+      res.writeHead(204).end();
+    });
+  });
+  server.listen(0, '127.0.0.1');
+  await once(server, 'listening');
+  try {
+    // .invalid never resolves, so only the pinned address can be reached
+    const response = await postWebhook(`http://hooks.invalid:${server.address().port}/arb`, {
+      headers: { 'Content-Type': 'application/json' },
+      body: '{"a":1}',
+      address: { address: '127.0.0.1', family: 4 },
+    });
+    assert.deepEqual(response, { status: 204, ok: true });
+    assert.deepEqual(received, [{ host: `hooks.invalid:${server.address().port}`, body: '{"a":1}' }]);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,225 @@
+// test/api.test.js - Route integration tests (fixtures + fake facilitator)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { loadApp, API_KEY } from './helpers/app.js';
+import { paymentHeaderFor } from './helpers/fakeFacilitator.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+test('GET / serves the landing page', async () => {
+  const res = await request(ctx.app).get('/');
+  assert.equal(res.status, 200);
+  assert.match(res.text, /ARBITRAGEEDGE/);
+});
+
+test('GET /health reports ok', async () => {
+  const res = await request(ctx.app).get('/health');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'ok');
+});
+
+test('GET /api documents the endpoints', async () => {
+  const res = await request(ctx.app).get('/api');
+  assert.equal(res.status, 200);
+  assert.ok(res.body.endpoints['GET /api/opportunities/sport/:sport']);
+});
+
+test('GET /.well-known/x402 lists the paid resource', async () => {
+  const res = await request(ctx.app).get('/.well-known/x402');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.version, 1);
+  assert.match(res.body.resources[0], /\/api\/opportunities\/sport$/);
+});
+
+test('GET /api/opportunities/sports/list is free', async () => {
+  const res = await request(ctx.app).get('/api/opportunities/sports/list');
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.sports, ['soccer', 'basketball', 'tennis', 'nfl', 'mlb']);
+});
+
+test('GET /api/opportunities asks for a sport', async () => {
+  const res = await request(ctx.app).get('/api/opportunities');
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, false);
+  assert.equal(res.body.endpoint, '/api/opportunities/sport/:sport');
+});
+
+test('paid routes return 402 without payment or API key', async () => {
+  const res = await request(ctx.app).get('/api/opportunities/sport/basketball');
+  assert.equal(res.status, 402);
+  assert.ok(res.headers['payment-required']);
+});
+
+test('GET /api/opportunities/sport/:sport with an API key', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.auth_method, 'api_key');
+  assert.equal(res.body.count, 2);
+
+  const markets = res.body.opportunities.map(o => o.market).sort();
+  assert.deepEqual(markets, ['h2h', 'totals']);
+  for (const opp of res.body.opportunities) {
+    assert.match(opp.id, /^arb_[0-9a-f]{16}$/);
+    assert.ok(opp.first_seen_at);
+  }
+});
+
+test('GET /api/opportunities/sport/:sport honours min_profit and stake', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?min_profit=3&stake=500')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.opportunities[0].total_stake, '$500');
+  assert.equal(res.body.opportunities[0].guaranteed_profit, '$18.65');
+});
+
+test('GET /api/opportunities/sport/:sport rejects an invalid sport', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/curling')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.success, false);
+});
+
+test('GET /api/opportunities/sport defaults to soccer', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sport, 'soccer');
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.opportunities[0].instructions.split(' | ').length, 3);
+});
+
+test('POST /api/opportunities/sport reads the sport from the body', async () => {
+  const res = await request(ctx.app)
+    .post('/api/opportunities/sport')
+    .set('X-API-Key', API_KEY)
+    .send({ sport: 'nfl' });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.sport, 'nfl');
+  assert.equal(res.body.opportunities[0].market, 'spreads');
+});
+
+test('POST /api/opportunities/sport rejects an invalid sport', async () => {
+  const res = await request(ctx.app)
+    .post('/api/opportunities/sport')
+    .set('X-API-Key', API_KEY)
+    .send({ sport: 'curling' });
+
+  assert.equal(res.status, 400);
+  assert.deepEqual(res.body.valid_options, ['soccer', 'basketball', 'tennis', 'nfl', 'mlb']);
+});
+
+test('RapidAPI headers bypass x402', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/soccer')
+    .set('X-RapidAPI-Key', 'anything')
+    .set('X-RapidAPI-Host', 'arbitrageedge.p.rapidapi.com');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.auth_method, 'rapidapi');
+});
+
+test('x402 payment is verified and settled through the facilitator', async () => {
+  const unpaid = await request(ctx.app).get('/api/opportunities/sport/soccer');
+  assert.equal(unpaid.status, 402);
+
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/soccer')
+    .set('Payment-Signature', paymentHeaderFor(unpaid.headers['payment-required']));
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.auth_method, 'x402');
+  assert.ok(res.headers['payment-response']);
+  assert.equal(ctx.facilitator.calls.verify.length, 1);
+  assert.equal(ctx.facilitator.calls.settle.length, 1);
+});
+
+test('GET /api/opportunities/:id resolves a detected opportunity', async () => {
+  const list = await request(ctx.app)
+    .get('/api/opportunities/sport/soccer')
+    .set('X-API-Key', API_KEY);
+  const { id } = list.body.opportunities[0];
+
+  const res = await request(ctx.app).get(`/api/opportunities/${id}?stake=200`);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, 'active');
+  assert.equal(res.body.opportunity.id, id);
+  assert.equal(res.body.opportunity.total_stake, 200);
+  assert.equal(res.body.opportunity.bets.length, 3);
+});
+
+test('GET /api/opportunities/:id returns 404 for an unknown id', async () => {
+  const res = await request(ctx.app).get('/api/opportunities/arb_0000000000000000');
+  assert.equal(res.status, 404);
+});
+
+test('GET /api/opportunities/:id rejects a bad stake', async () => {
+  const res = await request(ctx.app).get('/api/opportunities/arb_0000000000000000?stake=-5');
+  assert.equal(res.status, 400);
+});
+
+test('max_margin also lists near-arbs with their best prices and margin', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?max_margin=2.5&odds_format=american')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.count > 0);
+  assert.equal(res.body.near_arb_count, 1);
+  const [near] = res.body.near_arbs;
+  assert.equal(near.type, 'near_arb');
+  assert.equal(near.market, 'totals');
+  assert.equal(near.margin, '2.3%');
+  assert.deepEqual(near.best_prices, [
+    { outcome: 'Over 220.5', bookmaker: 'FanDuel', odds: '-105' },
+    { outcome: 'Under 220.5', bookmaker: 'Pinnacle', odds: '-104' },
+  ]);
+
+  const without = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+  assert.equal(without.body.near_arbs, undefined);
+
+  const bad = await request(ctx.app).get('/api/opportunities/sport/basketball?max_margin=50').set('X-API-Key', API_KEY);
+  assert.equal(bad.status, 400);
+});
+
+test('the opportunity list routes reject a bad stake or min_profit', async () => {
+  for (const query of ['stake=-5', 'stake=abc', 'stake=0', 'min_profit=abc', 'min_profit=-1']) {
+    const res = await request(ctx.app).get(`/api/opportunities/sport/basketball?${query}`).set('X-API-Key', API_KEY);
+    assert.equal(res.status, 400, query);
+    assert.match(res.body.error, /^(stake|min_profit) must be/);
+  }
+});
+
+test('the opportunity list routes validate their query the same way', async () => {
+  const routes = [
+    request(ctx.app).get('/api/opportunities/sport/basketball?max_middle_loss=-1'),
+    request(ctx.app).get('/api/opportunities/sport?sport=basketball&max_middle_loss=-1'),
+    request(ctx.app).post('/api/opportunities/sport?max_middle_loss=-1').send({ sport: 'basketball' }),
+  ];
+
+  for (const route of routes) {
+    const res = await route.set('X-API-Key', API_KEY);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /Invalid max_middle_loss: -1/);
+  }
+});
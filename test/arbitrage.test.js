@@ -0,0 +1,193 @@
+// test/arbitrage.test.js - Calculator and stake math
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  calculateArbitrage,
+  calculateBackLayArbitrage,
+  calculateStakeAmounts,
+  calculateLegsArbitrage,
+  bestPrices,
+  effectiveOdds,
+  layAsBackOdds,
+  stakeSummary,
+} from '../lib/arbitrage.js';
+
+const twoWay = [
+  { bookmaker: 'DraftKings', prices: { Lakers: 2.10, Celtics: 1.80 } },
+  { bookmaker: 'FanDuel', prices: { Celtics: 2.05, Lakers: 1.85 } },
+];
+
+test('finds a 2-way arbitrage using the best price per outcome', () => {
+  const arb = calculateArbitrage(twoWay);
+
+  assert.equal(arb.exists, true);
+  assert.equal(arb.profit_percentage, 3.73);
+  assert.deepEqual(arb.bets.map(b => [b.outcome, b.bookmaker, b.odds]), [
+    ['Lakers', 'DraftKings', 2.10],
+    ['Celtics', 'FanDuel', 2.05],
+  ]);
+  assert.equal(arb.bets[0].implied_probability, 0.4762);
+});
+
+test('stake percentages sum to 100 and equalize returns', () => {
+  const arb = calculateArbitrage(twoWay);
+  const total = arb.bets.reduce((sum, b) => sum + b.stake_pct, 0);
+  assert.ok(Math.abs(total - 100) < 0.02);
+
+  const [a, b] = calculateStakeAmounts(arb, 100);
+  assert.ok(Math.abs(a.potential_return - b.potential_return) < 0.05);
+});
+
+test('finds a 3-way arbitrage matched by outcome name', () => {
+  const odds = [
+    { bookmaker: 'Bet365', prices: { Home: 3.10, Away: 2.30, Draw: 3.40 } },
+    { bookmaker: 'William Hill', prices: { Away: 2.70, Draw: 3.30, Home: 2.90 } },
+    { bookmaker: 'Paddy Power', prices: { Draw: 3.60, Home: 2.95, Away: 2.40 } },
+  ];
+  const arb = calculateArbitrage(odds, ['Home', 'Draw', 'Away']);
+
+  assert.equal(arb.exists, true);
+  assert.equal(arb.profit_percentage, 3.02);
+  assert.deepEqual(arb.bets.map(b => b.bookmaker), ['Bet365', 'Paddy Power', 'William Hill']);
+});
+
+test('handles multi-runner outright markets', () => {
+  const odds = [
+    { bookmaker: 'A', prices: { Alpha: 3.5, Bravo: 4.2, Charlie: 5.0, Delta: 8.0 } },
+    { bookmaker: 'B', prices: { Alpha: 4.1, Bravo: 3.8, Charlie: 5.5, Delta: 9.0 } },
+  ];
+  const arb = calculateArbitrage(odds);
+
+  assert.equal(arb.bets.length, 4);
+  assert.equal(arb.exists, true);
+});
+
+test('reports no arbitrage when the market has an overround', () => {
+  const arb = calculateArbitrage([
+    { bookmaker: 'A', prices: { X: 1.90, Y: 1.90 } },
+    { bookmaker: 'B', prices: { X: 1.87, Y: 1.95 } },
+  ]);
+
+  assert.equal(arb.exists, false);
+  assert.ok(arb.profit_percentage < 0);
+});
+
+test('returns null when an outcome has no usable price', () => {
+  assert.equal(calculateArbitrage([{ bookmaker: 'A', prices: { X: 2.1, Y: 0 } }], ['X', 'Y']), null);
+  assert.equal(calculateArbitrage(twoWay, ['Lakers', 'Draw', 'Celtics']), null);
+  assert.equal(calculateArbitrage(twoWay, ['Lakers']), null);
+});
+
+test('bestPrices ignores prices of 1.0 or less', () => {
+  const best = bestPrices([{ bookmaker: 'A', prices: { X: 1.0 } }, { bookmaker: 'B', prices: { X: 1.5 } }]);
+  assert.deepEqual(best.get('X'), { odds: 1.5, bookmaker: 'B' });
+});
+
+test('commission on winnings is taken off the net profit', () => {
+  const odds = [
+    { bookmaker: 'DraftKings', bookmaker_key: 'draftkings', prices: { Lakers: 2.10, Celtics: 1.80 } },
+    { bookmaker: 'Exchange', bookmaker_key: 'betfair_ex_uk', prices: { Celtics: 2.05, Lakers: 1.85 } },
+  ];
+  const arb = calculateArbitrage(odds, ['Lakers', 'Celtics'], { commissions: { betfair_ex_uk: 5 } });
+
+  assert.equal(arb.gross_profit_percentage, 3.73);
+  assert.equal(arb.net_profit_percentage, 2.37);
+  assert.equal(arb.profit_percentage, 2.37);
+  assert.equal(arb.bets[1].effective_odds, 1.9975);
+
+  // Stakes equalize the returns after commission
+  const [a, b] = calculateStakeAmounts(arb, 100);
+  assert.ok(Math.abs(a.net_return - b.net_return) < 0.05);
+  assert.ok(b.potential_return > b.net_return);
+});
+
+test('commission can turn a gross arb into a loss', () => {
+  const odds = [
+    { bookmaker: 'A', bookmaker_key: 'matchbook', prices: { X: 2.04, Y: 1.90 } },
+    { bookmaker: 'B', bookmaker_key: 'smarkets', prices: { X: 1.90, Y: 2.04 } },
+  ];
+  const arb = calculateArbitrage(odds, ['X', 'Y'], { commissions: { matchbook: 5, smarkets: 5 } });
+
+  assert.ok(arb.gross_profit_percentage > 0);
+  assert.equal(arb.exists, false);
+});
+
+test('effectiveOdds and layAsBackOdds convert exchange prices', () => {
+  assert.equal(effectiveOdds(3.0, 5), 2.9);
+  assert.equal(layAsBackOdds(3.0), 1.5);
+  assert.equal(layAsBackOdds(3.0, 5), 1.475);
+});
+
+test('finds a back/lay arbitrage against an exchange lay price', () => {
+  const odds = [
+    { bookmaker: 'Bet365', bookmaker_key: 'bet365', prices: { Arsenal: 3.0, Draw: 3.2, Chelsea: 2.5 } },
+    { bookmaker: 'Betfair', bookmaker_key: 'betfair_ex_uk', prices: { Arsenal: 2.56, Draw: 3.3, Chelsea: 2.6 }, lay_prices: { Arsenal: 2.6, Draw: 3.4, Chelsea: 2.66 } },
+  ];
+  const arb = calculateBackLayArbitrage(odds, 'Arsenal', { commissions: { betfair_ex_uk: 5 } });
+
+  assert.equal(arb.exists, true);
+  assert.equal(arb.gross_profit_percentage, 5.41);
+  assert.equal(arb.net_profit_percentage, 4.08);
+  assert.deepEqual(arb.bets.map(b => [b.side, b.outcome, b.bookmaker, b.odds]), [
+    ['back', 'Arsenal', 'Bet365', 3.0],
+    ['lay', 'Arsenal', 'Betfair', 2.6],
+  ]);
+
+  // Either way the outcome goes, the net return is the same
+  const [back, lay] = calculateStakeAmounts(arb, 100);
+  assert.ok(Math.abs(lay.lay_stake - lay.stake_amount / 1.6) < 0.01);
+  assert.ok(Math.abs(back.net_return - lay.net_return) < 0.05);
+  assert.ok(back.net_return > 100);
+
+  assert.equal(calculateBackLayArbitrage(odds, 'Nobody'), null);
+});
+
+test('rounded stakes are re-optimized for the best worst case', () => {
+  const arb = calculateArbitrage(twoWay);
+  const bets = calculateStakeAmounts(arb, 100, { rounding: 5 });
+
+  assert.deepEqual(bets.map(b => b.stake_amount), [50, 50]);
+  assert.deepEqual(stakeSummary(bets), { total_stake: 100, worst_case_profit: 2.5, best_case_profit: 5 });
+});
+
+test('a bookmaker max stake scales the whole split down', () => {
+  const odds = twoWay.map(entry => ({ ...entry, bookmaker_key: entry.bookmaker.toLowerCase() }));
+  const arb = calculateArbitrage(odds);
+  const bets = calculateStakeAmounts(arb, 100, { limits: { draftkings: { max: 20 } } });
+
+  assert.equal(bets[0].stake_amount, 20);
+  const { total_stake, worst_case_profit, best_case_profit } = stakeSummary(bets);
+  assert.ok(total_stake < 43);
+  assert.ok(worst_case_profit > 1.5);
+  assert.ok(best_case_profit - worst_case_profit < 0.05);
+});
+
+test('a bookmaker min stake wins over rounding', () => {
+  const odds = twoWay.map(entry => ({ ...entry, bookmaker_key: entry.bookmaker.toLowerCase() }));
+  const arb = calculateArbitrage(odds);
+  const bets = calculateStakeAmounts(arb, 10, { rounding: 1, limits: { fanduel: { min: 8 } } });
+
+  assert.ok(bets[1].stake_amount >= 8);
+  assert.ok(Number.isInteger(bets[0].stake_amount));
+});
+
+test('favor breaks even on the other outcomes and fixed_leg keeps its stake', () => {
+  const arb = calculateArbitrage(twoWay);
+
+  const favored = calculateStakeAmounts(arb, 100, { mode: { type: 'favor', outcome: 'celtics' } });
+  assert.deepEqual(favored.map(b => b.stake_amount), [47.62, 52.38]);
+  assert.ok(Math.abs(favored[0].profit_if_wins) < 0.01);
+
+  const fixed = calculateStakeAmounts(arb, 100, { mode: { type: 'fixed_leg', bookmaker: 'draftkings', amount: 30 }, rounding: 1 });
+  assert.equal(fixed[0].stake_amount, 30);
+  assert.ok(fixed.every(b => b.profit_if_wins >= 0));
+});
+
+test('a favor mode that cannot break even falls back to equal', () => {
+  const arb = calculateLegsArbitrage([{ outcome: 'X', odds: 1.9 }, { outcome: 'Y', odds: 1.9 }]);
+  assert.equal(arb.exists, false);
+
+  const bets = calculateStakeAmounts(arb, 100, { mode: { type: 'favor', outcome: 'X' } });
+  assert.deepEqual(bets.map(b => b.stake_amount), [50, 50]);
+});
@@ -0,0 +1,134 @@
+// test/backtest.test.js - Replaying recorded odds through the arbitrage engine
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createOddsHistory } from '../lib/oddsHistory.js';
+import { parseBacktestInput, runBacktest } from '../lib/backtest.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+let dir;
+let history;
+
+const t0 = Date.parse('2030-01-10T18:00:00Z');
+const start = '2030-01-11T00:00:00Z';
+
+const match = (xA) => ({
+  event_id: 'e1',
+  match_name: 'A vs B',
+  league: 'NBA',
+  start_time: start,
+  markets: [{
+    market: 'h2h',
+    line: null,
+    outcomes: ['A', 'B'],
+    odds: [
+      { bookmaker: 'X', bookmaker_key: 'x', prices: { A: xA, B: 1.8 } },
+      { bookmaker: 'Y', bookmaker_key: 'y', prices: { A: 1.9, B: 2.05 } },
+    ],
+  }],
+});
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arbedge-backtest-'));
+  history = createOddsHistory({ dir: path.join(dir, 'odds-history') });
+
+  // An arb, gone a minute later, back a minute after that and still there at +3m
+  history.recordScrape('basketball', [match(2.1)], t0);
+  history.recordScrape('basketball', [match(1.95)], t0 + 60_000);
+  history.recordScrape('basketball', [match(2.1)], t0 + 120_000);
+  history.recordScrape('basketball', [match(2.1)], t0 + 180_000);
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('POST /api/backtest replays what the app has recorded', async () => {
+  const ctx = loadApp();
+  try {
+    await ctx.app.locals.opportunities.refreshSport('basketball');
+
+    const res = await request(ctx.app)
+      .post('/api/backtest')
+      .set('X-API-Key', API_KEY)
+      .send({ sport: 'basketball', round_to: 5 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.snapshots, 1);
+    assert.equal(res.body.detected, 2);
+    assert.equal(res.body.caught, 2);
+    assert.ok(res.body.trades.every(trade => trade.bets.every(bet => bet.stake_amount % 5 === 0)));
+
+    // Nothing was recorded after the only scrape, so a delayed bet finds no price
+    const late = await request(ctx.app)
+      .post('/api/backtest')
+      .set('X-API-Key', API_KEY)
+      .send({ sport: 'basketball', latency_seconds: 30 });
+    assert.equal(late.body.caught, 0);
+    assert.equal(late.body.missed.gone, 2);
+
+    const bad = await request(ctx.app).post('/api/backtest').set('X-API-Key', API_KEY).send({ latency_seconds: -1 });
+    assert.equal(bad.status, 400);
+
+    const anonymous = await request(ctx.app).post('/api/backtest').send({});
+    assert.equal(anonymous.status, 401);
+  } finally {
+    ctx.close();
+  }
+});
+
+test('every appearance of an arb is tried once and caught without latency', () => {
+  const result = runBacktest(history.list());
+
+  assert.equal(result.snapshots, 3);
+  assert.equal(result.detected, 2);
+  assert.equal(result.caught, 2);
+  assert.equal(result.total_staked, 200);
+  assert.equal(result.profit, 7.46);
+  assert.equal(result.roi_percentage, 3.73);
+  assert.deepEqual(result.trades.map(trade => trade.detected_at), [new Date(t0).toISOString(), new Date(t0 + 120_000).toISOString()]);
+});
+
+test('back/lay arbs are left out and reported as excluded', () => {
+  // An exchange laying A for less than X backs it: only a back/lay arb
+  const exchange = { bookmaker: 'Ex', bookmaker_key: 'ex', prices: { A: 1.9, B: 1.9 }, lay_prices: { A: 1.95 } };
+  const lays = createOddsHistory({ dir: path.join(dir, 'lays') });
+  lays.recordScrape('basketball', [{ ...match(2.1), markets: [{ ...match(2.1).markets[0], odds: [match(2.1).markets[0].odds[0], exchange] }] }], t0);
+
+  const result = runBacktest(lays.list());
+  assert.equal(result.detected, 0);
+  assert.match(result.excluded.back_lay, /lay prices are not recorded/);
+});
+
+test('latency places the bets at the prices then on offer', () => {
+  // 30s: both still there
+  assert.equal(runBacktest(history.list(), { latency: 30_000 }).caught, 2);
+
+  // 60s: the first arb has moved away, the second holds until +3m
+  const slow = runBacktest(history.list(), { latency: 60_000 });
+  assert.deepEqual(slow.trades.map(trade => trade.status), ['moved', 'caught']);
+  assert.deepEqual(slow.trades[0].bets.map(bet => [bet.detected_odds, bet.placed_odds]), [[2.1, 1.95], [2.05, 2.05]]);
+  assert.equal(slow.missed.moved, 1);
+  assert.equal(slow.profit, 3.73);
+});
+
+test('min profit, bookmakers, commission and the date range all apply', () => {
+  const input = body => parseBacktestInput(body, { validSports: ['basketball'] }).value;
+
+  assert.equal(runBacktest(history.list(), input({ min_profit: 4 })).detected, 0);
+  assert.equal(runBacktest(history.list(), input({ exclude_bookmakers: 'y' })).detected, 0);
+  assert.equal(runBacktest(history.list(), input({ min_profit: 3 })).detected, 2);
+  assert.equal(runBacktest(history.list(), input({ min_profit: 3, commissions: 'x:5' })).detected, 0);
+  assert.equal(runBacktest(history.list(), input({ from: '2030-01-10T18:01:00Z' })).detected, 1);
+  assert.equal(runBacktest(history.list(), input({ sport: 'basketball', to: '2030-01-09' })).snapshots, 0);
+
+  assert.match(runBacktest(history.list(), { maxSnapshots: 2 }).error, /3 price moves, more than the 2/);
+  assert.equal(runBacktest(history.list(), { maxSnapshots: 2, from: Date.parse('2030-01-10T18:01:00Z') }).snapshots, 2);
+
+  assert.match(parseBacktestInput({ sport: 'curling' }, { validSports: ['basketball'] }).error, /Invalid sport/);
+  assert.match(parseBacktestInput({ round_to: 0 }, { validSports: [] }).error, /round_to/);
+});
@@ -0,0 +1,143 @@
+// test/bets.test.js - Ledger of placed legs, partial fills and settlement
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import request from 'supertest';
+import { parseLegInput, betTotals, parseSettlement, realizedProfit, createBetStore } from '../lib/bets.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+const OTHER_KEY = 'test_key_67890';
+
+let ctx;
+let lakers;
+
+before(async () => {
+  ctx = loadApp({ apiKeys: [API_KEY, OTHER_KEY] });
+  const res = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+  lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+});
+
+after(() => {
+  ctx.close();
+});
+
+const post = (url, body, key = API_KEY) => request(ctx.app).post(url).set('X-API-Key', key).send(body);
+
+test('a partially filled bet is topped up, settled and summarized', async () => {
+  const created = await post('/api/bets', {
+    opportunity_id: lakers.id,
+    legs: [
+      { outcome: 'Los Angeles Lakers', stake: 49.4 },
+      { outcome: 'Boston Celtics', bookmaker: 'BetMGM', odds: '+100', stake: 30, requested_stake: 50.6 },
+    ],
+  });
+
+  assert.equal(created.status, 201);
+  const bet = created.body.bet;
+  assert.equal(bet.fill, 'partial');
+  assert.equal(bet.status, 'open');
+  assert.deepEqual(bet.legs.map(leg => [leg.bookmaker, leg.odds, leg.quoted_odds]), [['DraftKings', 2.1, 2.1], ['BetMGM', 2, 2.05]]);
+  assert.equal(bet.total_stake, 79.4);
+  assert.equal(bet.expected_profit, -19.4);
+
+  // The rest of the Celtics leg gets matched later
+  const topped = await post(`/api/bets/${bet.id}/legs`, { legs: [{ outcome: 'Boston Celtics', bookmaker: 'BetMGM', odds: 2, stake: 20.6 }] });
+  assert.equal(topped.status, 200);
+  assert.equal(topped.body.bet.fill, 'filled');
+  assert.equal(topped.body.bet.total_stake, 100);
+  assert.equal(topped.body.bet.expected_profit, 1.2);
+  assert.equal(topped.body.bet.best_case_profit, 3.74);
+
+  const settled = await post(`/api/bets/${bet.id}/settle`, { winner: 'Los Angeles Lakers' });
+  assert.equal(settled.status, 200);
+  assert.equal(settled.body.bet.status, 'settled');
+  assert.equal(settled.body.bet.realized_profit, 3.74);
+
+  const late = await post(`/api/bets/${bet.id}/legs`, { legs: [{ outcome: 'Boston Celtics', stake: 5 }] });
+  assert.equal(late.status, 409);
+
+  const again = await post(`/api/bets/${bet.id}/settle`, { winner: 'Boston Celtics' });
+  assert.equal(again.status, 409);
+  assert.match(again.body.error, /already settled/);
+
+  const summary = await request(ctx.app).get('/api/bets/summary').set('X-API-Key', API_KEY);
+  assert.equal(summary.status, 200);
+  assert.equal(summary.body.bets, 1);
+  assert.equal(summary.body.quoted_profit, 3.73);
+  assert.equal(summary.body.expected_profit, 1.2);
+  assert.equal(summary.body.slippage, 2.53);
+  assert.deepEqual(summary.body.settled, { count: 1, staked: 100, expected_profit: 1.2, realized_profit: 3.74, difference: 2.54 });
+  assert.deepEqual(summary.body.open, { count: 0, staked: 0, expected_profit: 0 });
+});
+
+test('bets belong to the API key that recorded them', async () => {
+  const created = await post('/api/bets', { opportunity_id: lakers.id, legs: [{ outcome: 'Los Angeles Lakers', stake: 10 }] }, OTHER_KEY);
+  assert.equal(created.status, 201);
+
+  const mine = await request(ctx.app).get('/api/bets').set('X-API-Key', API_KEY);
+  assert.ok(mine.body.bets.every(bet => bet.id !== created.body.bet.id));
+  assert.equal(mine.body.bets[0].api_key, undefined);
+
+  const theirs = await request(ctx.app).get(`/api/bets/${created.body.bet.id}`).set('X-API-Key', API_KEY);
+  assert.equal(theirs.status, 404);
+
+  const summary = await request(ctx.app).get('/api/bets/summary').set('X-API-Key', OTHER_KEY);
+  assert.equal(summary.body.partial, 1);
+  assert.equal(summary.body.open.count, 1);
+});
+
+test('POST /api/bets validates the opportunity, legs and settlement', async () => {
+  assert.equal((await post('/api/bets', { opportunity_id: 'arb_missing', legs: [] })).status, 404);
+
+  const wrongLeg = await post('/api/bets', { opportunity_id: lakers.id, legs: [{ outcome: 'Draw', stake: 10 }] });
+  assert.equal(wrongLeg.status, 400);
+  assert.match(wrongLeg.body.error, /Valid legs: Los Angeles Lakers, Boston Celtics/);
+
+  const created = await post('/api/bets', { opportunity_id: lakers.id, legs: [{ outcome: 'Los Angeles Lakers', stake: 10 }] });
+  const badWinner = await post(`/api/bets/${created.body.bet.id}/settle`, { winner: 'Draw' });
+  assert.equal(badWinner.status, 400);
+
+  const voided = await post(`/api/bets/${created.body.bet.id}/settle`, { void: true });
+  assert.equal(voided.body.bet.status, 'void');
+  assert.equal(voided.body.bet.realized_profit, 0);
+  assert.equal((await post(`/api/bets/${created.body.bet.id}/settle`, { winner: 'Los Angeles Lakers' })).status, 409);
+
+  const anonymous = await request(ctx.app).get('/api/bets/summary');
+  assert.equal(anonymous.status, 401);
+});
+
+test('the store leaves closed bets alone', () => {
+  const store = createBetStore({ file: path.join(ctx.dataDir, 'bets-store-test.json') });
+  const opportunity = { id: 'arb_1', match: 'A vs B', market: 'h2h', bets: [{ outcome: 'A', bookmaker: 'X', odds: 2.1, stake_amount: 10 }] };
+  const bet = store.create('store_key', opportunity, [{ outcome: 'A', side: 'back', odds: 2.1, stake: 10, commission: 0, requested_stake: 10 }]);
+  store.settle('store_key', bet.id, { isVoid: true });
+
+  assert.equal(store.addLegs('store_key', bet.id, [{ outcome: 'A', side: 'back', odds: 2, stake: 10, commission: 0 }]), null);
+  assert.equal(store.settle('store_key', bet.id, { winner: 'A' }), null);
+  assert.equal(store.get('store_key', bet.id).status, 'void');
+  assert.equal(store.get('store_key', bet.id).legs.length, 1);
+});
+
+test('parseLegInput checks stakes, odds and sides', () => {
+  assert.match(parseLegInput([]).error, /non-empty array/);
+  assert.match(parseLegInput([{ outcome: 'A', stake: 0 }]).error, /stake/);
+  assert.match(parseLegInput([{ outcome: 'A', stake: 5, odds: '+50' }]).error, /not a valid price/);
+  assert.match(parseLegInput([{ outcome: 'A', stake: 5, side: 'both' }]).error, /back or lay/);
+  assert.equal(parseLegInput([{ outcome: 'A', stake: 5, odds: '6/4' }]).value[0].odds, 2.5);
+});
+
+test('back/lay bets count the lay liability and settle either way', () => {
+  const bet = {
+    outcomes: ['A'],
+    quoted_legs: [{ outcome: 'A', side: 'back' }, { outcome: 'A', side: 'lay' }],
+    legs: [
+      { outcome: 'A', side: 'back', odds: 3, stake: 10, commission: 0, requested_stake: 10 },
+      { outcome: 'A', side: 'lay', odds: 3.1, stake: 10, commission: 2, requested_stake: 10 },
+    ],
+  };
+
+  assert.deepEqual(betTotals(bet), { total_stake: 31, expected_profit: -1, best_case_profit: -0.2, fill: 'filled' });
+  assert.equal(realizedProfit(bet, 'B'), -0.2);
+  assert.equal(parseSettlement(bet, { winner: 'B' }).value.winner, 'B');
+});
@@ -0,0 +1,163 @@
+// test/bookmakers.test.js - Bookmaker filters and saved bookmaker profiles
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { isBookmakerAllowed, mergeBookmakerFilters, parseBookmakerFilter, parseCommissions } from '../lib/bookmakers.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+const draftkings = { bookmaker: 'DraftKings', bookmaker_key: 'draftkings' };
+const paddypower = { bookmaker: 'Paddy Power', bookmaker_key: 'paddypower' };
+
+test('parseBookmakerFilter accepts lists or comma-separated strings', () => {
+  assert.equal(parseBookmakerFilter({}).value, null);
+  assert.deepEqual(parseBookmakerFilter({ bookmakers: 'DraftKings, fanduel', regions: ['US'] }).value, {
+    bookmakers: ['draftkings', 'fanduel'],
+    exclude_bookmakers: [],
+    regions: ['us'],
+  });
+  assert.match(parseBookmakerFilter({ regions: 'mars' }).error, /Invalid region/);
+});
+
+test('isBookmakerAllowed matches by key or title, and by region', () => {
+  const filter = overrides => ({ bookmakers: [], exclude_bookmakers: [], regions: [], ...overrides });
+
+  assert.equal(isBookmakerAllowed(draftkings, filter({ bookmakers: ['draftkings'] })), true);
+  assert.equal(isBookmakerAllowed(paddypower, filter({ bookmakers: ['draftkings'] })), false);
+  assert.equal(isBookmakerAllowed(paddypower, filter({ exclude_bookmakers: ['paddy power'] })), false);
+  assert.equal(isBookmakerAllowed(draftkings, filter({ regions: ['us'] })), true);
+  assert.equal(isBookmakerAllowed(paddypower, filter({ regions: ['us'] })), false);
+  assert.equal(isBookmakerAllowed({ bookmaker: 'Unknown', bookmaker_key: 'nobody' }, filter({ regions: ['us'] })), false);
+});
+
+test('request params override the matching profile fields only', () => {
+  const profile = { bookmakers: ['a'], exclude_bookmakers: ['b'], regions: [] };
+  const override = { bookmakers: ['c'], exclude_bookmakers: [], regions: [] };
+  assert.deepEqual(mergeBookmakerFilters(profile, override), { bookmakers: ['c'], exclude_bookmakers: ['b'], regions: [] });
+  assert.equal(mergeBookmakerFilters(null, null), null);
+});
+
+test('excluding a bookmaker recomputes the arbitrage over the remaining books', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?exclude_bookmakers=fanduel')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.opportunities[0].profit, '0.57% guaranteed');
+  assert.match(res.body.opportunities[0].instructions, /DraftKings.*Pinnacle/);
+  assert.deepEqual(res.body.bookmaker_filter.exclude_bookmakers, ['fanduel']);
+});
+
+test('an id returned under a bookmaker filter can be looked up and bet on', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?exclude_bookmakers=fanduel')
+    .set('X-API-Key', API_KEY);
+  const { id } = res.body.opportunities[0];
+  assert.ok(res.body.opportunities[0].first_seen_at);
+
+  const lookup = await request(ctx.app).get(`/api/opportunities/${id}`);
+  assert.equal(lookup.status, 200);
+  assert.match(lookup.body.instructions, /DraftKings.*Pinnacle/);
+
+  const bet = await request(ctx.app)
+    .post('/api/bets')
+    .set('X-API-Key', API_KEY)
+    .send({ opportunity_id: id, legs: [{ outcome: 'Los Angeles Lakers', stake: 10 }] });
+  assert.equal(bet.status, 201);
+});
+
+test('an arb found only under a bookmaker filter keeps its first_seen_at across scrapes', async () => {
+  const filtered = () => request(ctx.app)
+    .get('/api/opportunities/sport/basketball?exclude_bookmakers=fanduel')
+    .set('X-API-Key', API_KEY);
+
+  await ctx.app.locals.opportunities.refreshSport('basketball');
+  const first = (await filtered()).body.opportunities[0];
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await ctx.app.locals.opportunities.refreshSport('basketball');
+  const second = (await filtered()).body.opportunities[0];
+
+  assert.equal(second.id, first.id);
+  assert.equal(second.first_seen_at, first.first_seen_at);
+  assert.ok(Date.parse(second.last_seen_at) > Date.parse(first.last_seen_at));
+});
+
+test('regions= keeps only bookmakers from those regions', async () => {
+  const us = await request(ctx.app).get('/api/opportunities/sport/soccer?regions=us').set('X-API-Key', API_KEY);
+  assert.equal(us.body.count, 0);
+
+  const uk = await request(ctx.app).get('/api/opportunities/sport/soccer?regions=uk').set('X-API-Key', API_KEY);
+  assert.equal(uk.body.count, 1);
+});
+
+test('an invalid region is rejected', async () => {
+  const res = await request(ctx.app)
+    .post('/api/opportunities/sport?regions=mars')
+    .set('X-API-Key', API_KEY)
+    .send({ sport: 'soccer' });
+  assert.equal(res.status, 400);
+});
+
+test('a saved bookmaker profile applies to every request made with the key', async () => {
+  const saved = await request(ctx.app)
+    .put('/api/profile/bookmakers')
+    .set('X-API-Key', API_KEY)
+    .send({ exclude_bookmakers: ['Paddy Power'] });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body.profile.exclude_bookmakers, ['paddy power']);
+
+  const filtered = await request(ctx.app).get('/api/opportunities/sport/soccer').set('X-API-Key', API_KEY);
+  assert.equal(filtered.body.opportunities[0].profit, '2.18% guaranteed');
+
+  // Query params win over the saved field
+  const overridden = await request(ctx.app)
+    .get('/api/opportunities/sport/soccer?exclude_bookmakers=pinnacle')
+    .set('X-API-Key', API_KEY);
+  assert.equal(overridden.body.opportunities[0].profit, '3.02% guaranteed');
+
+  const cleared = await request(ctx.app).delete('/api/profile/bookmakers').set('X-API-Key', API_KEY);
+  assert.equal(cleared.body.deleted, true);
+  const unfiltered = await request(ctx.app).get('/api/opportunities/sport/soccer').set('X-API-Key', API_KEY);
+  assert.equal(unfiltered.body.bookmaker_filter, null);
+});
+
+test('profiles require an API key', async () => {
+  const res = await request(ctx.app).get('/api/profile/bookmakers');
+  assert.equal(res.status, 401);
+});
+
+test('parseCommissions accepts key:percent pairs or a table', () => {
+  assert.equal(parseCommissions(undefined).value, null);
+  assert.deepEqual(parseCommissions('Betfair_ex_uk:2, matchbook:1.5').value, { betfair_ex_uk: 2, matchbook: 1.5 });
+  assert.deepEqual(parseCommissions({ smarkets: 0 }).value, { smarkets: 0 });
+  assert.match(parseCommissions('betfair_ex_uk').error, /Invalid commission/);
+  assert.match(parseCommissions('betfair_ex_uk:150').error, /Invalid commission/);
+});
+
+test('commissions= reports net profit after fees alongside the gross', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?commissions=fanduel:5')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  const lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.equal(lakers.gross_profit, '3.73%');
+  assert.equal(lakers.net_profit, '2.37%');
+  assert.equal(lakers.profit, '2.37% guaranteed');
+
+  const invalid = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?commissions=fanduel:abc')
+    .set('X-API-Key', API_KEY);
+  assert.equal(invalid.status, 400);
+});
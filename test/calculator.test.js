@@ -0,0 +1,166 @@
+// test/calculator.test.js - Odds formats and the calculator for caller-supplied odds
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { toDecimalOdds, formatOdds, parseOddsFormat } from '../lib/oddsFormat.js';
+import { parseOutcomes } from '../lib/calculator.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+import { paymentHeaderFor } from './helpers/fakeFacilitator.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+const lakersCeltics = {
+  stake: 100,
+  outcomes: [
+    { name: 'Lakers', odds: [{ bookmaker: 'DraftKings', price: '+110' }, { bookmaker: 'Local Book', price: '-105' }] },
+    { name: 'Celtics', bookmaker: 'FanDuel', price: '21/20' },
+  ],
+};
+
+test('toDecimalOdds converts American and fractional odds', () => {
+  assert.equal(toDecimalOdds('+150'), 2.5);
+  assert.equal(toDecimalOdds(-200), 1.5);
+  assert.equal(toDecimalOdds('-110'), 1.9091);
+  assert.equal(toDecimalOdds(150, 'american'), 2.5);
+  assert.equal(toDecimalOdds('5/2'), 3.5);
+  assert.equal(toDecimalOdds('evens'), 2);
+  assert.equal(toDecimalOdds(2.05), 2.05);
+
+  assert.equal(toDecimalOdds('+50'), null);
+  assert.equal(toDecimalOdds('5/0'), null);
+  assert.equal(toDecimalOdds(1), null);
+  assert.equal(toDecimalOdds('2.5', 'fractional'), null);
+
+  // An unsigned 150 could be +150 or decimal 150: only read with a format
+  assert.equal(toDecimalOdds(150), null);
+  assert.equal(toDecimalOdds('150', 'decimal'), 150);
+  assert.equal(toDecimalOdds(99), 99);
+});
+
+test('formatOdds shows decimal odds as American or fractional', () => {
+  assert.deepEqual([2.1, 1.9091, 2, 3.5].map(odds => formatOdds(odds, 'american')), ['+110', '-110', '+100', '+250']);
+  assert.deepEqual([2.1, 1.9091, 2, 3.5].map(odds => formatOdds(odds, 'fractional')), ['11/10', '10/11', '1/1', '5/2']);
+  assert.equal(formatOdds(2.05), 2.05);
+
+  // Round trip through the input side
+  assert.equal(toDecimalOdds(formatOdds(2.05, 'fractional')), 2.05);
+
+  assert.equal(parseOddsFormat(undefined).value, 'decimal');
+  assert.equal(parseOddsFormat('American').value, 'american');
+  assert.match(parseOddsFormat('hongkong').error, /Invalid odds_format/);
+});
+
+test('parseOutcomes groups prices by bookmaker', () => {
+  const { value } = parseOutcomes(lakersCeltics.outcomes);
+  assert.deepEqual(value.outcomes, ['Lakers', 'Celtics']);
+  assert.deepEqual(value.odds.map(entry => [entry.bookmaker_key, entry.prices]), [
+    ['draftkings', { Lakers: 2.1 }],
+    ['local book', { Lakers: 1.9524 }],
+    ['fanduel', { Celtics: 2.05 }],
+  ]);
+
+  assert.match(parseOutcomes([{ name: 'A', price: 2 }]).error, /2 to 20 outcomes/);
+  assert.match(parseOutcomes([{ name: 'A', price: 2 }, { name: 'A', price: 2 }]).error, /duplicate/);
+  assert.match(parseOutcomes(lakersCeltics.outcomes, 'moneyline').error, /Invalid odds_format/);
+});
+
+test('POST /api/calculate finds the arb across mixed odds formats', async () => {
+  const res = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send(lakersCeltics);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.arbitrage, true);
+  assert.equal(res.body.profit_percentage, 3.73);
+  assert.equal(res.body.instructions, 'Lakers: $49.4 @ 2.1 on DraftKings | Celtics: $50.6 @ 2.05 on FanDuel');
+  assert.deepEqual(res.body.bets.map(bet => bet.net_return), [103.74, 103.73]);
+  assert.equal(res.body.price_paid, null);
+});
+
+test('POST /api/calculate takes the same staking options and commissions', async () => {
+  const res = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send({ ...lakersCeltics, round_to: 5, staking_mode: 'favor:Celtics', commissions: { fanduel: 5 } });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.gross_profit_percentage, 3.73);
+  assert.equal(res.body.net_profit_percentage, 2.37);
+  assert.equal(res.body.staking_mode, 'favor:Celtics');
+  assert.ok(res.body.bets.every(bet => bet.stake_amount % 5 === 0));
+  assert.ok(res.body.worst_case_profit >= 0);
+});
+
+test('POST /api/calculate reports a market without an arb', async () => {
+  const res = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send({ odds_format: 'american', outcomes: [{ name: 'Over', price: -110 }, { name: 'Under', price: -110 }] });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.arbitrage, false);
+  assert.ok(res.body.profit_percentage < 0);
+  assert.match(res.body.summary, /No arbitrage/);
+});
+
+test('POST /api/calculate rejects invalid odds', async () => {
+  const res = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send({ outcomes: [{ name: 'Over', price: '+50' }, { name: 'Under', price: 2 }] });
+
+  assert.equal(res.status, 400);
+  assert.match(res.body.error, /outcomes\[0\]\.odds\[0\]\.price/);
+
+  const unsigned = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send({ outcomes: [{ name: 'Lakers', price: 150 }, { name: 'Celtics', price: '-110' }] });
+  assert.equal(unsigned.status, 400);
+  assert.match(unsigned.body.error, /outcomes\[0\]\.odds\[0\]\.price is ambiguous: 150/);
+});
+
+test('POST /api/calculate is paid via x402 without an API key', async () => {
+  const unpaid = await request(ctx.app).post('/api/calculate').send(lakersCeltics);
+  assert.equal(unpaid.status, 402);
+
+  const res = await request(ctx.app)
+    .post('/api/calculate')
+    .set('Payment-Signature', paymentHeaderFor(unpaid.headers['payment-required']))
+    .send(lakersCeltics);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.auth_method, 'x402');
+  assert.equal(res.body.price_paid, '$0.01 USDC');
+});
+
+test('odds_format converts the opportunity instructions', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?odds_format=american')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.odds_format, 'american');
+  const lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.equal(lakers.instructions, 'Los Angeles Lakers: $49.4 @ +110 on DraftKings | Boston Celtics: $50.6 @ +105 on FanDuel');
+
+  const byId = await request(ctx.app).get(`/api/opportunities/${lakers.id}?odds_format=fractional`);
+  assert.equal(byId.status, 200);
+  assert.deepEqual(byId.body.opportunity.bets.map(bet => [bet.odds, bet.display_odds]), [[2.1, '11/10'], [2.05, '21/20']]);
+  assert.match(byId.body.instructions, /@ 11\/10 on DraftKings/);
+
+  const bad = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?odds_format=hongkong')
+    .set('X-API-Key', API_KEY);
+  assert.equal(bad.status, 400);
+});
@@ -0,0 +1,170 @@
+// test/catalogue.test.js - League catalogue synced from the provider's sports list
+
+import { test, before, after, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import request from 'supertest';
+import { createSportsCatalogue } from '../lib/catalogue.js';
+import { createFixtureProvider, createTheOddsApiProvider } from '../lib/providers/index.js';
+import { createQuotaTracker } from '../lib/quota.js';
+import { DEFAULT_LEAGUES, SPORTS_CONFIG } from '../lib/sports.js';
+import { loadApp, API_KEY, FIXTURES_DIR } from './helpers/app.js';
+
+let ctx;
+const realFetch = globalThis.fetch;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('groups active leagues under each sport, skipping outrights and other sports', async () => {
+  const catalogue = createSportsCatalogue({ provider: createFixtureProvider({ dir: FIXTURES_DIR }), sports: SPORTS_CONFIG });
+  await catalogue.sync();
+
+  assert.equal(catalogue.status().source, 'provider');
+  assert.deepEqual(catalogue.leaguesFor('soccer').map(l => l.key), ['soccer_epl', 'soccer_spain_la_liga', 'soccer_usa_mls']);
+  assert.deepEqual(catalogue.leaguesFor('basketball').map(l => l.key), ['basketball_nba', 'basketball_euroleague']);
+  assert.deepEqual(catalogue.leaguesFor('nfl').map(l => l.key), ['americanfootball_nfl']);
+  assert.deepEqual(catalogue.leaguesFor('mlb'), []);
+});
+
+test('an allowlist limits the leagues fetched', async () => {
+  const catalogue = createSportsCatalogue({
+    provider: createFixtureProvider({ dir: FIXTURES_DIR }),
+    sports: SPORTS_CONFIG,
+    leagues: ['soccer_epl'],
+  });
+  const config = await catalogue.configFor('soccer');
+  assert.deepEqual(config.leagues.map(l => l.key), ['soccer_epl']);
+
+  const prefixed = createSportsCatalogue({
+    provider: createFixtureProvider({ dir: FIXTURES_DIR }),
+    sports: SPORTS_CONFIG,
+    leagues: ['soccer_*', 'basketball_nba'],
+  });
+  await prefixed.sync();
+  assert.equal(prefixed.leaguesFor('soccer').length, 3);
+  assert.deepEqual(prefixed.leaguesFor('basketball').map(l => l.key), ['basketball_nba']);
+
+  const defaults = createSportsCatalogue({
+    provider: createFixtureProvider({ dir: FIXTURES_DIR }),
+    sports: SPORTS_CONFIG,
+    leagues: DEFAULT_LEAGUES,
+  });
+  await defaults.sync();
+  assert.deepEqual(defaults.leaguesFor('soccer').map(l => l.key), ['soccer_epl', 'soccer_spain_la_liga', 'soccer_usa_mls']);
+  assert.deepEqual(defaults.leaguesFor('basketball').map(l => l.key), ['basketball_nba']);
+});
+
+test('falls back to the static keys when the provider has no sports list', async () => {
+  const provider = { name: 'Static', isConfigured: () => true, fetchMatches: async () => ({ matches: [] }) };
+  const catalogue = createSportsCatalogue({ provider, sports: SPORTS_CONFIG });
+
+  const config = await catalogue.configFor('tennis');
+  assert.equal(config.leagues, undefined);
+  assert.equal(catalogue.status().source, 'static');
+  assert.equal(catalogue.leaguesFor('tennis').length, 4);
+});
+
+test('The Odds API adapter fetches every league in the config', async () => {
+  const recorded = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'soccer_epl.json'), 'utf8'));
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return url.includes('/soccer_usa_mls/')
+      ? new Response('[]', { status: 200 })
+      : new Response(JSON.stringify(recorded), { status: 200 });
+  };
+
+  const provider = createTheOddsApiProvider({ apiKey: 'k' });
+  const leagues = [
+    { key: 'soccer_epl', title: 'EPL' },
+    { key: 'soccer_usa_mls', title: 'MLS' },
+    { key: 'soccer_italy_serie_a', title: 'Serie A - Italy' },
+  ];
+  const { matches, leaguesFetched } = await provider.fetchMatches('soccer', { ...SPORTS_CONFIG.soccer, leagues });
+
+  assert.equal(urls.length, 3);
+  assert.deepEqual(leaguesFetched, ['soccer_epl', 'soccer_italy_serie_a']);
+  assert.equal(matches.length, 4);
+  assert.deepEqual([...new Set(matches.map(m => m.league_key))], ['soccer_epl', 'soccer_italy_serie_a']);
+});
+
+test('The Odds API adapter checks the quota before each league', async () => {
+  const recorded = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'soccer_epl.json'), 'utf8'));
+  const remaining = [400, 300, 40];
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    const headers = { 'x-requests-remaining': String(remaining.shift()), 'x-requests-last': '3' };
+    return new Response(JSON.stringify(recorded), { status: 200, headers });
+  };
+
+  const quota = createQuotaTracker({ slowBelow: 500, pauseBelow: 50 });
+  const provider = createTheOddsApiProvider({ apiKey: 'k', quota });
+  const leagues = ['soccer_italy_serie_a', 'soccer_usa_mls', 'soccer_epl', 'soccer_spain_la_liga']
+    .map(key => ({ key, title: key }));
+
+  // Slowed after the first call: only the main league (EPL) is fetched
+  const slowed = await provider.fetchMatches('soccer', { ...SPORTS_CONFIG.soccer, leagues });
+  assert.deepEqual(slowed.leaguesFetched, ['soccer_italy_serie_a', 'soccer_epl']);
+  assert.deepEqual(slowed.leaguesSkipped, ['soccer_usa_mls', 'soccer_spain_la_liga']);
+
+  // Then paused: nothing more is requested
+  const paused = await provider.fetchMatches('soccer', { ...SPORTS_CONFIG.soccer, leagues });
+  assert.equal(urls.length, 3);
+  assert.deepEqual(paused.leaguesFetched, ['soccer_epl']);
+  const none = await provider.fetchMatches('soccer', { ...SPORTS_CONFIG.soccer, leagues });
+  assert.equal(urls.length, 3);
+  assert.match(none.error, /quota/);
+});
+
+test('GET /api/opportunities/sports/list returns the live leagues', async () => {
+  const res = await request(ctx.app).get('/api/opportunities/sports/list');
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.catalogue.source, 'provider');
+  assert.ok(res.body.leagues.soccer.some(l => l.key === 'soccer_spain_la_liga' && l.title === 'La Liga - Spain'));
+});
+
+test('league= limits opportunities to one league', async () => {
+  const epl = await request(ctx.app).get('/api/opportunities/sport/soccer?league=soccer_epl').set('X-API-Key', API_KEY);
+  assert.equal(epl.body.count, 1);
+  assert.equal(epl.body.opportunities[0].league, 'EPL');
+  assert.equal(epl.body.opportunities[0].league_key, 'soccer_epl');
+
+  // By title too, case-insensitively
+  const laLiga = await request(ctx.app).get('/api/opportunities/sport/soccer?league=la%20liga%20-%20spain').set('X-API-Key', API_KEY);
+  assert.equal(laLiga.status, 200);
+  assert.equal(laLiga.body.count, 0);
+});
+
+test('an unknown league is rejected with the valid options', async () => {
+  const res = await request(ctx.app).get('/api/opportunities/sport/soccer?league=soccer_mars').set('X-API-Key', API_KEY);
+  assert.equal(res.status, 400);
+  assert.ok(res.body.valid_options.includes('soccer_usa_mls'));
+});
+
+test('a repeated league param is rejected on every route', async () => {
+  const routes = [
+    request(ctx.app).get('/api/opportunities/sport/soccer?league=soccer_epl&league=soccer_usa_mls'),
+    request(ctx.app).get('/api/opportunities/sport?sport=soccer&league=soccer_epl&league=soccer_usa_mls'),
+    request(ctx.app).post('/api/opportunities/sport?league=soccer_epl&league=soccer_usa_mls').send({ sport: 'soccer' }),
+    request(ctx.app).get('/api/value/sport/soccer?league=soccer_epl&league=soccer_usa_mls'),
+  ];
+
+  for (const route of routes) {
+    const res = await route.set('X-API-Key', API_KEY);
+    assert.equal(res.status, 400);
+    assert.match(res.body.error, /single league/);
+  }
+});
@@ -0,0 +1,45 @@
+// test/createApp.test.js - App factory configuration
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createApp } from '../api.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+test('createApp requires a provider', () => {
+  assert.throws(() => createApp({}), /provider is required/);
+});
+
+test('without payTo, paid routes need an API key instead of x402', async () => {
+  const ctx = loadApp({ payTo: null });
+  try {
+    const unpaid = await request(ctx.app).get('/api/opportunities/sport/basketball');
+    assert.equal(unpaid.status, 401);
+
+    const res = await request(ctx.app)
+      .get('/api/opportunities/sport/basketball')
+      .set('X-API-Key', API_KEY);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.count, 2);
+
+    const docs = await request(ctx.app).get('/api');
+    assert.equal(docs.body.x402.enabled, false);
+
+    const free = await request(ctx.app).get('/api/opportunities/sports/list');
+    assert.equal(free.status, 200);
+  } finally {
+    ctx.close();
+  }
+});
+
+test('cache duration is injectable', async () => {
+  const ctx = loadApp({ cache: { duration: 0 } });
+  try {
+    const first = await request(ctx.app).get('/api/opportunities/sport/soccer').set('X-API-Key', API_KEY);
+    const second = await request(ctx.app).get('/api/opportunities/sport/soccer').set('X-API-Key', API_KEY);
+    assert.equal(first.body.data_source, 'live (Fixtures)');
+    assert.equal(second.body.data_source, 'live (Fixtures)');
+  } finally {
+    ctx.close();
+  }
+});
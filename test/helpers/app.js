@@ -0,0 +1,39 @@
+// test/helpers/app.js - Builds an app on recorded fixtures and a fake facilitator
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createApp } from '../../api.js';
+import { createFixtureProvider } from '../../lib/providers/index.js';
+import { createFakeFacilitator } from './fakeFacilitator.js';
+
+export const FIXTURES_DIR = fileURLToPath(new URL('../../fixtures', import.meta.url));
+export const API_KEY = 'test_key_12345';
+export const WALLET = '0x0000000000000000000000000000000000000001';
+
+/**
+ * Create a test app; any createApp option can be overridden
+ */
+export function loadApp(options = {}) {
+  const facilitator = createFakeFacilitator();
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'arbedge-test-'));
+
+  const app = createApp({
+    provider: createFixtureProvider({ dir: FIXTURES_DIR }),
+    payTo: WALLET,
+    apiKeys: [API_KEY],
+    facilitatorClient: facilitator,
+    dataDir,
+    ...options,
+  });
+
+  return {
+    app,
+    facilitator,
+    dataDir,
+    close() {
+      fs.rmSync(dataDir, { recursive: true, force: true });
+    },
+  };
+}
@@ -0,0 +1,37 @@
+// test/helpers/fakeFacilitator.js - In-process x402 facilitator for tests
+// Implements the facilitator client interface (getSupported/verify/settle)
+// and accepts every payment, so the x402 path runs without network.
+
+export function createFakeFacilitator({ network = 'eip155:8453' } = {}) {
+  const calls = { verify: [], settle: [] };
+  const payer = '0x000000000000000000000000000000000000dEaD';
+
+  return {
+    calls,
+    async getSupported() {
+      return { kinds: [{ x402Version: 2, scheme: 'exact', network }], extensions: [], signers: {} };
+    },
+    async verify(paymentPayload, paymentRequirements) {
+      calls.verify.push({ paymentPayload, paymentRequirements });
+      return { isValid: true, payer };
+    },
+    async settle(paymentPayload, paymentRequirements) {
+      calls.settle.push({ paymentPayload, paymentRequirements });
+      return { success: true, transaction: '0xfeed', network, payer };
+    },
+  };
+}
+
+/**
+ * Build a payment-signature header accepting the first advertised requirement
+ */
+export function paymentHeaderFor(paymentRequiredHeader) {
+  const paymentRequired = JSON.parse(Buffer.from(paymentRequiredHeader, 'base64').toString('utf8'));
+  const payload = {
+    x402Version: 2,
+    resource: paymentRequired.resource,
+    accepted: paymentRequired.accepts[0],
+    payload: { signature: '0x00', authorization: {} },
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64');
+}
@@ -0,0 +1,117 @@
+// test/markets.test.js - Market parsing from The Odds API payloads
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseGameMarkets } from '../lib/markets.js';
+
+const game = {
+  home_team: 'Lakers',
+  away_team: 'Celtics',
+  bookmakers: [
+    {
+      key: 'draftkings',
+      title: 'DraftKings',
+      markets: [
+        { key: 'h2h', outcomes: [{ name: 'Lakers', price: 2.1 }, { name: 'Celtics', price: 1.8 }] },
+        { key: 'totals', outcomes: [{ name: 'Over', price: 1.9, point: 220.5 }, { name: 'Under', price: 1.9, point: 220.5 }] },
+        { key: 'spreads', outcomes: [{ name: 'Lakers', price: 1.9, point: -3.5 }, { name: 'Celtics', price: 1.9, point: 3.5 }] },
+      ],
+    },
+    {
+      key: 'fanduel',
+      title: 'FanDuel',
+      markets: [
+        { key: 'h2h', outcomes: [{ name: 'Celtics', price: 2.05 }, { name: 'Lakers', price: 1.85 }] },
+        { key: 'totals', outcomes: [{ name: 'Over', price: 2.0, point: 220.5 }, { name: 'Under', price: 1.8, point: 220.5 }] },
+        { key: 'spreads', outcomes: [{ name: 'Lakers', price: 1.9, point: -4.5 }, { name: 'Celtics', price: 1.9, point: 4.5 }] },
+      ],
+    },
+  ],
+};
+
+test('groups odds by market and line', () => {
+  const markets = parseGameMarkets(game);
+
+  assert.deepEqual(markets.map(m => [m.market, m.line]), [['h2h', null], ['totals', 220.5]]);
+  assert.deepEqual(markets[1].outcomes, ['Over 220.5', 'Under 220.5']);
+  assert.deepEqual(markets[1].odds[1], { bookmaker: 'FanDuel', bookmaker_key: 'fanduel', prices: { 'Over 220.5': 2.0, 'Under 220.5': 1.8 } });
+});
+
+test('only pairs spreads on matching lines', () => {
+  const markets = parseGameMarkets(game, { minBookmakers: 1 });
+  const spreads = markets.filter(m => m.market === 'spreads');
+
+  assert.deepEqual(spreads.map(m => m.line), [-3.5, -4.5]);
+  assert.deepEqual(spreads[0].outcomes, ['Lakers -3.5', 'Celtics +3.5']);
+});
+
+test('adds the draw to h2h outcomes for sports with draws', () => {
+  const [h2h] = parseGameMarkets(game, { hasDraw: true, markets: ['h2h'] });
+  assert.deepEqual(h2h.outcomes, ['Lakers', 'Draw', 'Celtics']);
+});
+
+test('builds the outright field across bookmakers', () => {
+  const [outright] = parseGameMarkets({
+    bookmakers: [
+      { title: 'A', markets: [{ key: 'outrights', outcomes: [{ name: 'X', price: 3 }, { name: 'Y', price: 4 }] }] },
+      { title: 'B', markets: [{ key: 'outrights', outcomes: [{ name: 'Y', price: 5 }, { name: 'Z', price: 6 }] }] },
+    ],
+  }, { markets: ['outrights'] });
+
+  assert.deepEqual(outright.outcomes, ['X', 'Y', 'Z']);
+});
+
+test('attaches exchange lay prices to the exchange h2h entry', () => {
+  const withExchange = {
+    ...game,
+    bookmakers: [
+      ...game.bookmakers,
+      {
+        key: 'betfair_ex_uk',
+        title: 'Betfair',
+        markets: [
+          { key: 'h2h_lay', outcomes: [{ name: 'Lakers', price: 2.08 }, { name: 'Celtics', price: 1.98 }] },
+          { key: 'h2h', outcomes: [{ name: 'Lakers', price: 2.04 }, { name: 'Celtics', price: 1.95 }] },
+        ],
+      },
+    ],
+  };
+
+  const [h2h] = parseGameMarkets(withExchange, { markets: ['h2h', 'h2h_lay'] });
+  assert.deepEqual(h2h.odds[2].lay_prices, { Lakers: 2.08, Celtics: 1.98 });
+  assert.equal(h2h.odds[0].lay_prices, undefined);
+
+  // Lay prices are only parsed when the market is requested
+  const [backOnly] = parseGameMarkets(withExchange, { markets: ['h2h'] });
+  assert.equal(backOnly.odds[2].lay_prices, undefined);
+});
+
+test('groups alternate lines with the main totals and spreads', () => {
+  const withAlternates = {
+    ...game,
+    bookmakers: [
+      ...game.bookmakers,
+      {
+        key: 'betmgm',
+        title: 'BetMGM',
+        markets: [
+          { key: 'totals', outcomes: [{ name: 'Over', price: 1.9, point: 220.5 }, { name: 'Under', price: 1.9, point: 220.5 }] },
+          {
+            key: 'alternate_totals',
+            outcomes: [
+              { name: 'Over', price: 1.9, point: 220.5 }, { name: 'Under', price: 1.9, point: 220.5 },
+              { name: 'Over', price: 2.2, point: 223.5 }, { name: 'Under', price: 1.65, point: 223.5 },
+            ],
+          },
+        ],
+      },
+    ],
+  };
+  const markets = parseGameMarkets(withAlternates, { markets: ['totals', 'alternate_totals'], minBookmakers: 1 });
+
+  assert.deepEqual(markets.map(m => [m.market, m.line, m.odds.length]), [['totals', 220.5, 3], ['totals', 223.5, 1]]);
+  assert.deepEqual(markets[1].outcomes, ['Over 223.5', 'Under 223.5']);
+
+  // Not requested → not parsed
+  assert.equal(parseGameMarkets(withAlternates, { markets: ['totals'], minBookmakers: 1 }).length, 1);
+});
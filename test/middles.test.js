@@ -0,0 +1,91 @@
+// test/middles.test.js - Middles across main and alternate lines
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { hitProbability, findMiddles } from '../lib/middles.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+const totals = (line, odds) => ({ market: 'totals', line, outcomes: ['Over', 'Under'], odds });
+
+const match = {
+  event_id: 'e1',
+  match_name: 'A vs B',
+  sport: 'basketball',
+  markets: [
+    totals(220.5, [
+      { bookmaker: 'One', bookmaker_key: 'one', prices: { Over: 1.95, Under: 1.87 } },
+      { bookmaker: 'Two', bookmaker_key: 'two', prices: { Over: 1.9, Under: 1.9 } },
+    ]),
+    totals(223.5, [
+      { bookmaker: 'Three', bookmaker_key: 'three', prices: { Over: 1.8, Under: 1.95 } },
+    ]),
+  ],
+};
+
+test('hitProbability is the normal mass inside the window', () => {
+  assert.equal(hitProbability(-1, 1, 0, 1).toFixed(3), '0.683');
+  assert.ok(hitProbability(220.5, 223.5, 220.5, 18) > hitProbability(220.5, 221.5, 220.5, 18));
+});
+
+test('findMiddles pairs the lower Over with the higher Under at different books', () => {
+  const [middle, ...rest] = findMiddles([match]);
+
+  assert.equal(rest.length, 0);
+  assert.deepEqual(middle.window, { from: 220.5, to: 223.5, width: 3 });
+  assert.deepEqual(middle.bets.map(bet => [bet.outcome, bet.line, bet.bookmaker]), [['Over', 220.5, 'One'], ['Under', 223.5, 'Three']]);
+  assert.equal(middle.worst_case_profit, -2.5);
+  assert.equal(middle.middle_profit, 95);
+  assert.ok(middle.hit_probability > 0.06 && middle.hit_probability < 0.07);
+  assert.ok(middle.expected_profit > 0);
+
+  // Commission and the loss cap both apply
+  assert.equal(findMiddles([match], { maxLoss: 2 }).length, 0);
+  assert.equal(findMiddles([match], { commissions: { three: 5 } })[0].worst_case_profit, -3.7);
+});
+
+test('opportunity routes list middles alongside the arbs', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 2);
+  assert.equal(res.body.middle_count, 2);
+  const [lakers] = res.body.middles;
+  assert.equal(lakers.match, 'Los Angeles Lakers vs Boston Celtics');
+  assert.deepEqual(lakers.window, { from: 220.5, to: 221.5, width: 1 });
+  assert.equal(lakers.worst_case_loss, '3.77%');
+  assert.equal(lakers.instructions, 'Over 220.5: $49.35 @ 1.95 on FanDuel | Under 221.5: $50.65 @ 1.9 on BetMGM');
+  assert.ok(res.body.middles.every(middle => middle.market === 'totals'));
+
+  // A looser loss cap lets the Lakers spread middle in
+  const loose = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?max_middle_loss=8')
+    .set('X-API-Key', API_KEY);
+  assert.ok(loose.body.middles.some(middle => middle.market === 'spreads'));
+});
+
+test('middles can be turned off and the loss cap is validated', async () => {
+  const off = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?middles=false')
+    .set('X-API-Key', API_KEY);
+  assert.equal(off.status, 200);
+  assert.equal(off.body.middles, undefined);
+
+  const bad = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?max_middle_loss=50')
+    .set('X-API-Key', API_KEY);
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /max_middle_loss/);
+});
@@ -0,0 +1,21 @@
+// test/nearArbs.test.js - Markets close to an arb, within a margin
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findNearArbitrages } from '../lib/opportunities.js';
+
+test('findNearArbitrages skips arbs and markets over the margin', () => {
+  const match = { event_id: 'e1', match_name: 'A vs B', sport: 'tennis', start_time: null };
+  const market = prices => ({
+    market: 'h2h',
+    line: null,
+    outcomes: ['A', 'B'],
+    odds: [{ bookmaker: 'X', bookmaker_key: 'x', prices }, { bookmaker: 'Y', bookmaker_key: 'y', prices: { A: 1.5, B: 1.5 } }],
+  });
+  const matches = [{ ...match, markets: [market({ A: 2.1, B: 2.1 }), market({ A: 2.0, B: 1.98 }), market({ A: 1.9, B: 1.9 })] }];
+
+  const near = findNearArbitrages(matches, 1);
+  assert.equal(near.length, 1);
+  assert.equal(near[0].margin_percentage, 0.51);
+  assert.deepEqual(near[0].best_prices.map(p => p.odds), [2.0, 1.98]);
+});
@@ -0,0 +1,174 @@
+// test/oddsHistory.test.js - Odds time series and the line-movement endpoint
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import { createOddsHistory } from '../lib/oddsHistory.js';
+import { createFixtureProvider } from '../lib/providers/index.js';
+import { loadApp, API_KEY, FIXTURES_DIR } from './helpers/app.js';
+
+let dir;
+let historyDir;
+
+const LAKERS_CELTICS = '2ec6d6e42cb69a28a5bfaf1407784c2c';
+const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+
+const match = (draftKings, startTime = future) => ({
+  event_id: 'e1',
+  match_name: 'A vs B',
+  league: 'NBA',
+  start_time: startTime,
+  markets: [{
+    market: 'h2h',
+    line: null,
+    outcomes: ['A', 'B'],
+    odds: [
+      { bookmaker: 'DraftKings', bookmaker_key: 'draftkings', prices: { A: draftKings, B: 1.8 } },
+      { bookmaker: 'FanDuel', bookmaker_key: 'fanduel', prices: { A: 2, B: 1.85 } },
+    ],
+  }],
+});
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arbedge-history-'));
+  historyDir = path.join(dir, 'odds-history');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records a point only when the price moves, and survives a restart', () => {
+  const history = createOddsHistory({ dir: historyDir });
+  const t0 = Date.now();
+  assert.equal(history.recordScrape('basketball', [match(2.1)], t0), 4);
+  assert.equal(history.recordScrape('basketball', [match(2.1)], t0 + 60_000), 0);
+  assert.equal(history.recordScrape('basketball', [match(2.2)], t0 + 120_000), 1);
+
+  const event = createOddsHistory({ dir: historyDir }).history('e1');
+  const [a] = event.markets[0].outcomes;
+  const [draftKings, fanDuel] = a.bookmakers;
+
+  assert.equal(a.outcome, 'A');
+  assert.deepEqual(draftKings.opening, { at: new Date(t0).toISOString(), price: 2.1 });
+  assert.deepEqual(draftKings.current, { at: new Date(t0 + 120_000).toISOString(), price: 2.2 });
+  assert.equal(draftKings.change, 0.1);
+  assert.equal(draftKings.change_percentage, 4.76);
+  assert.equal(draftKings.moves, 1);
+  assert.equal(draftKings.last_seen_at, new Date(t0 + 120_000).toISOString());
+
+  // FanDuel never moved
+  assert.equal(fanDuel.moves, 0);
+  assert.equal(fanDuel.last_moved_at, null);
+});
+
+test('scrapes are appended per sport and day, never rewritten', () => {
+  const history = createOddsHistory({ dir: historyDir });
+  const t0 = Date.parse('2030-01-10T23:59:00Z');
+  history.recordScrape('basketball', [match(2.1, '2030-01-12T00:00:00Z')], t0);
+  const day1 = path.join(historyDir, 'basketball', '2030-01-10.jsonl');
+  const written = fs.readFileSync(day1, 'utf8');
+
+  // FanDuel stops quoting B, then comes back after midnight
+  const withoutFanDuelB = match(2.1, '2030-01-12T00:00:00Z');
+  delete withoutFanDuelB.markets[0].odds[1].prices.B;
+  history.recordScrape('basketball', [withoutFanDuelB], t0 + 30_000);
+  assert.equal(history.list()[0].markets['h2h|'].series.B.fanduel.last_seen_at, new Date(t0).toISOString());
+  history.recordScrape('basketball', [match(2.2, '2030-01-12T00:00:00Z')], t0 + 120_000);
+
+  assert.ok(fs.readFileSync(day1, 'utf8').startsWith(written));
+  const day2 = fs.readFileSync(path.join(historyDir, 'basketball', '2030-01-11.jsonl'), 'utf8').trim().split('\n').map(line => JSON.parse(line));
+  assert.deepEqual(day2.map(line => line.type), ['event', 'price', 'back', 'seen']);
+
+  const reloaded = createOddsHistory({ dir: historyDir });
+  assert.equal(reloaded.list()[0].markets['h2h|'].series.B.fanduel.last_seen_at, new Date(t0 + 120_000).toISOString());
+  assert.deepEqual(reloaded.list(), history.list());
+});
+
+test('a day file is deleted once all its events are past retention', () => {
+  const t0 = Date.parse('2030-01-10T12:00:00Z');
+  const history = createOddsHistory({ dir: historyDir, retention: 60_000 });
+  history.recordScrape('basketball', [match(2.1, '2030-01-10T13:00:00Z')], t0);
+  const day1 = path.join(historyDir, 'basketball', '2030-01-10.jsonl');
+  assert.ok(fs.existsSync(day1));
+
+  history.recordScrape('basketball', [{ ...match(2.1, '2030-01-12T00:00:00Z'), event_id: 'e2' }], Date.parse('2030-01-11T12:00:00Z'));
+  assert.equal(fs.existsSync(day1), false);
+  assert.equal(history.history('e1'), null);
+  assert.ok(history.history('e2'));
+});
+
+test('history filters by market, line and bookmaker', () => {
+  const history = createOddsHistory({ dir: historyDir });
+  history.recordScrape('basketball', [match(2.1)]);
+
+  assert.equal(history.history('e1', { market: 'totals' }).markets.length, 0);
+  assert.equal(history.history('e1', { line: 220.5 }).markets.length, 0);
+  const [outcome] = history.history('e1', { allowed: entry => entry.bookmaker_key === 'fanduel' }).markets[0].outcomes;
+  assert.deepEqual(outcome.bookmakers.map(book => book.bookmaker), ['FanDuel']);
+  assert.equal(history.history('missing'), null);
+});
+
+test('events are dropped once past retention', () => {
+  const history = createOddsHistory({ dir: historyDir, retention: 1000 });
+  const past = new Date(Date.now() - 60_000).toISOString();
+  history.recordScrape('basketball', [match(2.1, past)]);
+
+  assert.equal(history.history('e1'), null);
+});
+
+test('GET /api/events/:eventId/odds/history shows movement between scrapes', async () => {
+  const fixtures = createFixtureProvider({ dir: FIXTURES_DIR });
+  let bump = 0;
+  const provider = {
+    ...fixtures,
+    async fetchMatches(sport, config) {
+      const result = await fixtures.fetchMatches(sport, config);
+      for (const m of result.matches) {
+        for (const entry of m.markets.find(market => market.market === 'h2h')?.odds || []) {
+          if (entry.bookmaker_key === 'draftkings') {
+            entry.prices = Object.fromEntries(Object.entries(entry.prices).map(([outcome, price]) => [outcome, parseFloat((price + bump).toFixed(2))]));
+          }
+        }
+      }
+      return result;
+    },
+  };
+  const ctx = loadApp({ provider });
+
+  try {
+    await ctx.app.locals.opportunities.refreshSport('basketball');
+    bump = -0.05;
+    await ctx.app.locals.opportunities.refreshSport('basketball');
+
+    const res = await request(ctx.app)
+      .get(`/api/events/${LAKERS_CELTICS}/odds/history?market=h2h`)
+      .set('X-API-Key', API_KEY);
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.match, 'Los Angeles Lakers vs Boston Celtics');
+    const lakers = res.body.markets[0].outcomes.find(o => o.outcome === 'Los Angeles Lakers');
+    const draftKings = lakers.bookmakers.find(book => book.bookmaker_key === 'draftkings');
+    assert.equal(draftKings.opening.price, 2.1);
+    assert.equal(draftKings.current.price, 2.05);
+    assert.equal(draftKings.moves, 1);
+    assert.ok(lakers.bookmakers.filter(book => book.bookmaker_key !== 'draftkings').every(book => book.moves === 0));
+
+    const missing = await request(ctx.app).get('/api/events/nope/odds/history').set('X-API-Key', API_KEY);
+    assert.equal(missing.status, 404);
+
+    const twoMarkets = await request(ctx.app)
+      .get(`/api/events/${LAKERS_CELTICS}/odds/history?market=h2h&market=totals`)
+      .set('X-API-Key', API_KEY);
+    assert.equal(twoMarkets.status, 400);
+    assert.match(twoMarkets.body.error, /single market/);
+
+    const unpaid = await request(ctx.app).get(`/api/events/${LAKERS_CELTICS}/odds/history`);
+    assert.equal(unpaid.status, 402);
+  } finally {
+    ctx.close();
+  }
+});
@@ -0,0 +1,123 @@
+// test/opportunityStore.test.js - Persistent opportunity store
+
+import { test, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createOpportunityStore } from '../lib/opportunityStore.js';
+
+let dir;
+let file;
+
+const future = new Date(Date.now() + 60 * 60 * 1000).toISOString();
+const opp = (id, startTime = future) => ({ id, match: { name: 'A vs B', start_time: startTime }, bets: [] });
+
+beforeEach(() => {
+  dir = fs.mkdtempSync(path.join(os.tmpdir(), 'arbedge-store-'));
+  file = path.join(dir, 'opportunities.json');
+});
+
+afterEach(() => {
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('records opportunities and survives a restart', () => {
+  createOpportunityStore({ file }).recordScrape('nba', [opp('arb_a')]);
+
+  const record = createOpportunityStore({ file }).get('arb_a');
+  assert.equal(record.status, 'active');
+  assert.equal(record.sport, 'nba');
+  assert.equal(record.expires_at, future);
+});
+
+test('tracks first_seen_at/last_seen_at across scrapes', () => {
+  const store = createOpportunityStore({ file });
+  const t0 = Date.now();
+  store.recordScrape('nba', [opp('arb_a')], t0);
+  const [record] = store.recordScrape('nba', [opp('arb_a')], t0 + 90_000);
+
+  assert.equal(record.first_seen_at, new Date(t0).toISOString());
+  assert.equal(record.last_seen_at, new Date(t0 + 90_000).toISOString());
+  assert.equal(record.lifetime_seconds, 90);
+});
+
+test('marks opportunities missing from a later scrape as vanished', () => {
+  const store = createOpportunityStore({ file });
+  store.recordScrape('nba', [opp('arb_a')]);
+  store.recordScrape('nfl', []);
+  assert.equal(store.get('arb_a').status, 'active');
+
+  store.recordScrape('nba', []);
+  assert.equal(store.get('arb_a').status, 'vanished');
+});
+
+test('keeps every lifetime of an arb that vanishes and comes back', () => {
+  const store = createOpportunityStore({ file });
+  const t0 = Date.now();
+  store.recordScrape('nba', [opp('arb_a')], t0);
+  store.recordScrape('nba', [opp('arb_a')], t0 + 60_000);
+  store.recordScrape('nba', [], t0 + 120_000);
+  const [record] = store.recordScrape('nba', [opp('arb_a')], t0 + 180_000);
+
+  assert.equal(record.first_seen_at, new Date(t0 + 180_000).toISOString());
+  assert.deepEqual(record.occurrences, [{
+    first_seen_at: new Date(t0).toISOString(),
+    last_seen_at: new Date(t0 + 60_000).toISOString(),
+    lifetime_seconds: 60,
+  }]);
+  assert.equal(createOpportunityStore({ file }).get('arb_a').occurrences.length, 1);
+});
+
+test('marks opportunities whose match has started as expired', () => {
+  const store = createOpportunityStore({ file });
+  const started = new Date(Date.now() - 60_000).toISOString();
+  store.recordScrape('nba', [opp('arb_a', started)]);
+
+  assert.equal(store.get('arb_a').status, 'expired');
+  assert.equal(store.get('arb_missing'), null);
+});
+
+test('lists every stored opportunity with its status', () => {
+  const store = createOpportunityStore({ file });
+  store.recordScrape('nba', [opp('arb_a'), opp('arb_b')]);
+  store.recordScrape('nba', [opp('arb_b')]);
+
+  assert.deepEqual(store.list().map(record => [record.id, record.status]), [['arb_a', 'vanished'], ['arb_b', 'active']]);
+});
+
+test('stores recomputed opportunities without vanishing the scrape\'s', () => {
+  const store = createOpportunityStore({ file });
+  const t0 = Date.now();
+  store.recordScrape('nba', [opp('arb_a')], t0);
+
+  const [derived, base] = store.recordDerived('nba', [opp('arb_b'), opp('arb_a')], t0);
+  assert.equal(derived.derived, true);
+  assert.equal(derived.first_seen_at, new Date(t0).toISOString());
+  assert.equal(base.derived, undefined);
+  assert.equal(store.get('arb_a').status, 'active');
+  assert.equal(createOpportunityStore({ file }).get('arb_b').status, 'active');
+
+  // The next scrape decides whether it is still there
+  store.recordScrape('nba', [opp('arb_a')], t0 + 60_000);
+  assert.equal(store.get('arb_b').status, 'vanished');
+});
+
+test('a recomputed opportunity keeps its lifetime across scrapes', () => {
+  const store = createOpportunityStore({ file });
+  const t0 = Date.now();
+  store.recordScrape('nba', [opp('arb_a')], t0);
+  store.recordDerived('nba', [opp('arb_b')], t0);
+
+  // Recomputed from the next scrape: the same lifetime
+  store.recordScrape('nba', [opp('arb_a')], t0 + 60_000);
+  const [carried] = store.recordDerived('nba', [opp('arb_b')], t0 + 60_000);
+  assert.equal(carried.first_seen_at, new Date(t0).toISOString());
+  assert.equal(carried.lifetime_seconds, 60);
+
+  // Not recomputed from a scrape in between: a new one
+  store.recordScrape('nba', [opp('arb_a')], t0 + 120_000);
+  store.recordScrape('nba', [opp('arb_a')], t0 + 180_000);
+  const [renewed] = store.recordDerived('nba', [opp('arb_b')], t0 + 180_000);
+  assert.equal(renewed.first_seen_at, new Date(t0 + 180_000).toISOString());
+});
@@ -0,0 +1,157 @@
+// test/providers.test.js - Odds provider adapters (recorded Odds API payloads)
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import {
+  createTheOddsApiProvider,
+  createFixtureProvider,
+  createCompositeProvider,
+  mergeMatches,
+  finalizeMatches,
+} from '../lib/providers/index.js';
+import { createQuotaTracker } from '../lib/quota.js';
+import { FIXTURES_DIR } from './helpers/app.js';
+
+const nba = { api_key: 'basketball_nba', has_draw: false, display_name: 'NBA Basketball' };
+const recorded = JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, 'basketball_nba.json'), 'utf8'));
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+test('The Odds API adapter normalizes a recorded response', async () => {
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return new Response(JSON.stringify(recorded), { status: 200 });
+  };
+
+  const provider = createTheOddsApiProvider({ apiKey: 'k' });
+  const { matches, error, apiKeyUsed } = await provider.fetchMatches('basketball', nba);
+
+  assert.equal(error, null);
+  assert.equal(apiKeyUsed, 'basketball_nba');
+  assert.equal(matches.length, 3);
+  assert.equal(matches[0].match_name, 'Los Angeles Lakers vs Boston Celtics');
+  assert.match(urls[0], /markets=h2h%2Ctotals%2Cspreads/);
+});
+
+test('The Odds API adapter falls back to the next sport key', async () => {
+  globalThis.fetch = async (url) => url.includes('/tennis_atp_aus_open/')
+    ? new Response('[]', { status: 200 })
+    : new Response(JSON.stringify(recorded), { status: 200 });
+
+  const provider = createTheOddsApiProvider({ apiKey: 'k' });
+  const tennis = { api_key: 'tennis_atp_aus_open', fallback_keys: ['tennis_wta_aus_open'], display_name: 'Tennis' };
+  const { apiKeyUsed } = await provider.fetchMatches('tennis', tennis);
+
+  assert.equal(apiKeyUsed, 'tennis_wta_aus_open');
+});
+
+test('The Odds API adapter fetches alternate lines per game', async () => {
+  const urls = [];
+  const alternate = {
+    bookmakers: [{
+      key: 'betmgm',
+      title: 'BetMGM',
+      markets: [{ key: 'alternate_totals', outcomes: [{ name: 'Over', price: 2.3, point: 224.5 }, { name: 'Under', price: 1.6, point: 224.5 }] }],
+    }],
+  };
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return url.includes('/events/')
+      ? new Response(JSON.stringify(alternate), { status: 200 })
+      : new Response(JSON.stringify(recorded), { status: 200 });
+  };
+
+  const markets = ['h2h', 'totals', 'alternate_totals'];
+  const provider = createTheOddsApiProvider({ apiKey: 'k', markets, alternateSports: ['basketball'] });
+  const { matches } = await provider.fetchMatches('basketball', nba);
+
+  assert.match(urls[0], /markets=h2h%2Ctotals&/);
+  assert.equal(urls.length, 1 + recorded.length);
+  assert.match(urls[1], new RegExp(`/events/${recorded[0].id}/odds\\?.*markets=alternate_totals`));
+  const line = matches[0].markets.find(m => m.market === 'totals' && m.line === 224.5);
+  assert.deepEqual(line.odds.map(o => o.bookmaker_key), ['betmgm']);
+
+  // Opt-in per sport
+  urls.length = 0;
+  await createTheOddsApiProvider({ apiKey: 'k', markets }).fetchMatches('basketball', nba);
+  assert.equal(urls.length, 1);
+});
+
+test('The Odds API adapter skips alternate lines once the quota is slowed', async () => {
+  const urls = [];
+  globalThis.fetch = async (url) => {
+    urls.push(url);
+    return new Response(JSON.stringify(url.includes('/events/') ? { bookmakers: [] } : recorded), {
+      status: 200,
+      headers: { 'x-requests-remaining': '450' },
+    });
+  };
+
+  const quota = createQuotaTracker({ slowBelow: 500 });
+  const provider = createTheOddsApiProvider({ apiKey: 'k', markets: ['h2h', 'alternate_totals'], alternateSports: ['basketball'], quota });
+  const { matches } = await provider.fetchMatches('basketball', nba);
+
+  assert.equal(urls.length, 1);
+  assert.equal(matches.length, recorded.length);
+});
+
+test('The Odds API adapter reports a missing key', async () => {
+  const provider = createTheOddsApiProvider({});
+  const { matches, error } = await provider.fetchMatches('basketball', nba);
+
+  assert.equal(provider.isConfigured(), false);
+  assert.deepEqual(matches, []);
+  assert.match(error, /ODDS_API_KEY/);
+});
+
+test('fixture provider replays recorded JSON', async () => {
+  const provider = createFixtureProvider({ dir: FIXTURES_DIR });
+  const { matches } = await provider.fetchMatches('basketball', nba);
+
+  assert.equal(matches.length, 3);
+  assert.deepEqual(matches[0].sources, ['Fixtures']);
+});
+
+test('fixture provider reports sports without recordings', async () => {
+  const provider = createFixtureProvider({ dir: FIXTURES_DIR });
+  const { matches, error } = await provider.fetchMatches('mlb', { api_key: 'baseball_mlb', display_name: 'MLB' });
+
+  assert.deepEqual(matches, []);
+  assert.match(error, /No recorded events/);
+});
+
+test('merges bookmakers from several providers into the same match', () => {
+  const match = (source, bookmaker, price) => ({
+    event_id: source,
+    home_team: 'A',
+    away_team: 'B',
+    start_time: '2030-01-15T03:30:00Z',
+    markets: [{ market: 'h2h', line: null, outcomes: ['A', 'B'], odds: [{ bookmaker, prices: { A: price, B: 2 } }] }],
+    sources: [source],
+  });
+
+  const merged = mergeMatches([[match('one', 'Book1', 2.1)], [match('two', 'Book2', 2.2), match('two', 'Book1', 9)]]);
+
+  assert.equal(merged.length, 1);
+  assert.deepEqual(merged[0].sources, ['one', 'two']);
+  assert.deepEqual(merged[0].markets[0].odds.map(o => o.bookmaker), ['Book1', 'Book2']);
+  assert.equal(merged[0].markets[0].odds[0].prices.A, 2.1);
+  assert.equal(finalizeMatches(merged).length, 1);
+  assert.equal(finalizeMatches([match('one', 'Book1', 2.1)]).length, 0);
+});
+
+test('composite provider survives one failing provider', async () => {
+  const failing = { name: 'Broken', isConfigured: () => true, fetchMatches: async () => { throw new Error('boom'); } };
+  const composite = createCompositeProvider([failing, createFixtureProvider({ dir: FIXTURES_DIR })]);
+
+  const { matches, error } = await composite.fetchMatches('basketball', nba);
+  assert.equal(composite.name, 'Broken + Fixtures');
+  assert.equal(matches.length, 3);
+  assert.equal(error, null);
+});
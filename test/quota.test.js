@@ -0,0 +1,195 @@
+// test/quota.test.js - Odds API quota tracking and budget-aware refresh
+
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { createQuotaTracker } from '../lib/quota.js';
+import { createFixtureProvider, createTheOddsApiProvider } from '../lib/providers/index.js';
+import { createRefreshScheduler } from '../lib/scheduler.js';
+import { loadApp, API_KEY, FIXTURES_DIR } from './helpers/app.js';
+
+const MINUTE = 60 * 1000;
+const realFetch = globalThis.fetch;
+
+afterEach(() => {
+  globalThis.fetch = realFetch;
+});
+
+function quotaHeaders(remaining, used, last = 3) {
+  return new Headers({
+    'x-requests-remaining': String(remaining),
+    'x-requests-used': String(used),
+    'x-requests-last': String(last),
+  });
+}
+
+test('records the latest quota headers and per-sport usage', () => {
+  const quota = createQuotaTracker();
+  quota.record('nba', quotaHeaders(19_000, 1000));
+  quota.record('nba', quotaHeaders(18_997, 1003));
+
+  const snapshot = quota.snapshot();
+  assert.equal(snapshot.remaining, 18_997);
+  assert.equal(snapshot.used, 1003);
+  assert.equal(snapshot.by_sport.nba.calls, 2);
+  assert.equal(snapshot.by_sport.nba.credits_used, 6);
+  assert.equal(snapshot.policies.nba, 'normal');
+});
+
+test('slows then pauses as the budget runs low, with per-sport thresholds', () => {
+  const quota = createQuotaTracker({ slowBelow: 500, pauseBelow: 50, slowFactor: 3, sports: { tennis: { pauseBelow: 400 } } });
+
+  assert.equal(quota.policyFor('nba').mode, 'normal');
+
+  quota.record('nba', quotaHeaders(300, 19_700));
+  assert.deepEqual(quota.policyFor('nba'), { mode: 'slow', factor: 3 });
+  assert.equal(quota.policyFor('tennis').mode, 'paused');
+
+  quota.record('nba', quotaHeaders(10, 19_990));
+  assert.equal(quota.policyFor('nba').mode, 'paused');
+});
+
+test('The Odds API adapter records every call, including fallback keys', async () => {
+  let remaining = 100;
+  globalThis.fetch = async () => {
+    remaining -= 1;
+    return new Response('[]', { status: 200, headers: quotaHeaders(remaining, 100 - remaining, 1) });
+  };
+
+  const quota = createQuotaTracker();
+  const provider = createTheOddsApiProvider({ apiKey: 'k', quota });
+  const tennis = { api_key: 'a', fallback_keys: ['b', 'c', 'd'], display_name: 'Tennis' };
+  await provider.fetchMatches('tennis', tennis);
+
+  const snapshot = quota.snapshot();
+  assert.equal(snapshot.by_sport.tennis.calls, 4);
+  assert.equal(snapshot.by_sport.tennis.credits_used, 4);
+  assert.equal(snapshot.remaining, 96);
+});
+
+test('the scheduler stretches intervals while slowed and skips paused sports', async () => {
+  const quota = createQuotaTracker({ slowBelow: 500, pauseBelow: 50, slowFactor: 4 });
+  const refreshed = [];
+  const service = {
+    sports: ['nba'],
+    cache: { data: {} },
+    async refreshSport(sport) {
+      refreshed.push(sport);
+      return { snapshot: {} };
+    },
+  };
+  const scheduler = createRefreshScheduler({ service, quota, interval: 10 * MINUTE, jitter: 0 });
+
+  quota.record('nba', quotaHeaders(200, 19_800));
+  assert.equal(scheduler.nextDelay('nba'), 40 * MINUTE);
+
+  quota.record('nba', quotaHeaders(20, 19_980));
+  await scheduler.tick('nba');
+  assert.deepEqual(refreshed, []);
+  assert.equal(scheduler.status().sports.nba.quota_mode, 'paused');
+});
+
+test('a paused sport is served from its last snapshot instead of scraping', async () => {
+  const quota = createQuotaTracker({ pauseBelow: 50 });
+  const ctx = loadApp({ quota, cache: { duration: 0 } });
+  try {
+    const first = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+    assert.equal(first.body.count, 2);
+
+    quota.record('basketball', quotaHeaders(10, 19_990));
+    const paused = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+    assert.equal(paused.body.count, 2);
+    assert.match(paused.body.data_source, /cache/);
+
+    const empty = await request(ctx.app).post('/api/opportunities/sport').set('X-API-Key', API_KEY).send({ sport: 'soccer' });
+    assert.equal(empty.body.count, 0);
+    assert.equal(empty.body.data_source, 'error: Quota exhausted');
+
+    // Every opportunity route reports the pause the same way
+    const viaGet = await request(ctx.app).get('/api/opportunities/sport/soccer').set('X-API-Key', API_KEY);
+    assert.equal(viaGet.body.data_source, 'error: Quota exhausted');
+    assert.equal(viaGet.body.summary, empty.body.summary);
+  } finally {
+    ctx.close();
+  }
+});
+
+test('the free sports list updates the quota without counting as a call', async () => {
+  globalThis.fetch = async () => new Response('[]', { status: 200, headers: quotaHeaders(20_000, 0, 0) });
+
+  const quota = createQuotaTracker({ pauseBelow: 50 });
+  quota.record('nba', quotaHeaders(10, 19_990));
+  assert.equal(quota.policyFor('nba').mode, 'paused');
+
+  await createTheOddsApiProvider({ apiKey: 'k', quota }).fetchSports();
+  assert.equal(quota.policyFor('nba').mode, 'normal');
+  assert.equal(quota.snapshot().by_sport.nba.calls, 1);
+});
+
+test('a paused scheduler re-checks the quota and resumes once it resets', async () => {
+  const quota = createQuotaTracker({ pauseBelow: 50 });
+  const refreshed = [];
+  const service = {
+    sports: ['nba'],
+    cache: { data: {} },
+    async recheckQuota() {
+      quota.sync(quotaHeaders(20_000, 0, 0));
+    },
+    async refreshSport(sport) {
+      refreshed.push(sport);
+      return { snapshot: {} };
+    },
+  };
+  const scheduler = createRefreshScheduler({ service, quota, jitter: 0 });
+
+  quota.record('nba', quotaHeaders(20, 19_980));
+  await scheduler.tick('nba');
+  assert.deepEqual(refreshed, ['nba']);
+  assert.equal(scheduler.status().sports.nba.quota_mode, 'normal');
+});
+
+test('a paused sport scrapes again once the sports list shows the quota reset', async () => {
+  const quota = createQuotaTracker({ pauseBelow: 50 });
+  const fixtures = createFixtureProvider({ dir: FIXTURES_DIR });
+  let remaining = 10;
+  const provider = {
+    ...fixtures,
+    async fetchSports() {
+      quota.sync(quotaHeaders(remaining, 0, 0));
+      return fixtures.fetchSports();
+    },
+  };
+  const ctx = loadApp({ quota, provider });
+  try {
+    quota.record('soccer', quotaHeaders(10, 19_990));
+    remaining = 20_000;
+
+    const res = await request(ctx.app).post('/api/opportunities/sport').set('X-API-Key', API_KEY).send({ sport: 'soccer' });
+    assert.equal(quota.policyFor('soccer').mode, 'normal');
+    assert.notEqual(res.body.data_source, 'error: Quota exhausted');
+    assert.ok(res.body.count > 0);
+  } finally {
+    ctx.close();
+  }
+});
+
+test('quota is reported on /health and the admin endpoint', async () => {
+  const quota = createQuotaTracker();
+  quota.record('nba', quotaHeaders(1234, 100));
+  const ctx = loadApp({ quota, adminKeys: ['admin_secret'] });
+  try {
+    const health = await request(ctx.app).get('/health');
+    assert.equal(health.body.quota.remaining, 1234);
+    assert.equal(health.body.quota.by_sport, undefined);
+
+    const denied = await request(ctx.app).get('/api/admin/quota').set('X-API-Key', API_KEY);
+    assert.equal(denied.status, 401);
+
+    const res = await request(ctx.app).get('/api/admin/quota').set('X-Admin-Key', 'admin_secret');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.quota.by_sport.nba.calls, 1);
+    assert.equal(res.body.quota.thresholds.pause_below, 50);
+  } finally {
+    ctx.close();
+  }
+});
@@ -0,0 +1,104 @@
+// test/scheduler.test.js - Background refresh scheduler
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'timers/promises';
+import request from 'supertest';
+import { createRefreshScheduler } from '../lib/scheduler.js';
+import { createFixtureProvider } from '../lib/providers/index.js';
+import { loadApp, API_KEY, FIXTURES_DIR } from './helpers/app.js';
+
+const MINUTE = 60 * 1000;
+
+function fakeService(matchesBySport = {}) {
+  const refreshed = [];
+  return {
+    refreshed,
+    sports: Object.keys(matchesBySport),
+    cache: { data: Object.fromEntries(Object.entries(matchesBySport).map(([s, matches]) => [s, { matches }])) },
+    async refreshSport(sport) {
+      refreshed.push(sport);
+      return { snapshot: {} };
+    },
+  };
+}
+
+test('uses the base interval, with per-sport overrides', () => {
+  const service = fakeService({ nba: [], mlb: [] });
+  const scheduler = createRefreshScheduler({
+    service,
+    interval: 10 * MINUTE,
+    intervals: { mlb: 30 * MINUTE },
+    jitter: 0,
+  });
+
+  assert.equal(scheduler.nextDelay('nba'), 10 * MINUTE);
+  assert.equal(scheduler.nextDelay('mlb'), 30 * MINUTE);
+});
+
+test('refreshes faster when a match is about to start', () => {
+  const now = Date.now();
+  const soon = new Date(now + 20 * MINUTE).toISOString();
+  const later = new Date(now + 5 * 60 * MINUTE).toISOString();
+  const service = fakeService({ nba: [{ start_time: soon }], mlb: [{ start_time: later }] });
+  const scheduler = createRefreshScheduler({ service, jitter: 0, nearStartInterval: MINUTE, nearStartWindow: 60 * MINUTE });
+
+  assert.equal(scheduler.nextDelay('nba', now), MINUTE);
+  assert.equal(scheduler.nextDelay('mlb', now), 10 * MINUTE);
+});
+
+test('applies jitter within the configured spread', () => {
+  const service = fakeService({ nba: [] });
+  const high = createRefreshScheduler({ service, interval: 100_000, jitter: 0.2, random: () => 1 });
+  const low = createRefreshScheduler({ service, interval: 100_000, jitter: 0.2, random: () => 0 });
+
+  assert.equal(high.nextDelay('nba'), 120_000);
+  assert.equal(low.nextDelay('nba'), 80_000);
+});
+
+test('start refreshes every sport and stop cancels the timers', async () => {
+  const service = fakeService({ nba: [], mlb: [] });
+  const scheduler = createRefreshScheduler({ service, interval: MINUTE, stagger: 0 });
+
+  scheduler.start();
+  await sleep(20);
+  scheduler.stop();
+
+  assert.deepEqual(service.refreshed.sort(), ['mlb', 'nba']);
+  const { running, sports } = scheduler.status();
+  assert.equal(running, false);
+  assert.ok(sports.nba.last_refresh_at);
+});
+
+test('records refresh errors per sport', async () => {
+  const service = fakeService({ nba: [] });
+  service.refreshSport = async () => ({ error: 'No active events' });
+  const scheduler = createRefreshScheduler({ service });
+
+  await scheduler.tick('nba');
+  scheduler.stop();
+  assert.equal(scheduler.status().sports.nba.last_error, 'No active events');
+});
+
+test('with background refresh, requests are served from the latest snapshot', async () => {
+  const fixtures = createFixtureProvider({ dir: FIXTURES_DIR });
+  let fetches = 0;
+  const provider = { ...fixtures, fetchMatches: (...args) => { fetches++; return fixtures.fetchMatches(...args); } };
+  const ctx = loadApp({ provider, cache: { duration: 0 }, refresh: { interval: MINUTE } });
+
+  try {
+    await ctx.app.locals.scheduler.tick('basketball');
+    ctx.app.locals.scheduler.stop();
+    assert.equal(fetches, 1);
+
+    const res = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+    assert.equal(res.body.count, 2);
+    assert.equal(typeof res.body.data_age_seconds, 'number');
+    assert.equal(fetches, 1);
+
+    const health = await request(ctx.app).get('/health');
+    assert.ok(health.body.refresh.sports.basketball.last_refresh_at);
+  } finally {
+    ctx.close();
+  }
+});
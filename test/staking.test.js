@@ -0,0 +1,170 @@
+// test/staking.test.js - Stake rounding, per-bookmaker stake limits and staking modes
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { parseStakingOptions, parseStakingMode, mergeStakingOptions } from '../lib/staking.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+test('parseStakingOptions reads round_to and stake_limits', () => {
+  assert.equal(parseStakingOptions({}).value, null);
+  assert.deepEqual(parseStakingOptions({ round_to: '5', stake_limits: 'Bet365:5:500, pinnacle::2000' }).value, {
+    rounding: 5,
+    limits: { bet365: { min: 5, max: 500 }, pinnacle: { max: 2000 } },
+    mode: null,
+  });
+  assert.deepEqual(parseStakingOptions({ stake_limits: { fanduel: { min: 10 } } }).value.limits, { fanduel: { min: 10 } });
+
+  assert.match(parseStakingOptions({ round_to: '-1' }).error, /round_to/);
+  assert.match(parseStakingOptions({ stake_limits: 'bet365:500:5' }).error, /Invalid stake limit/);
+  assert.match(parseStakingOptions({ stake_limits: 'bet365' }).error, /Invalid stake limit/);
+  assert.match(parseStakingOptions({ stake_limits: { pinnacle: null } }).error, /Invalid stake limit for pinnacle/);
+});
+
+test('request staking options override the saved fields only', () => {
+  const saved = { rounding: 5, limits: { bet365: { max: 100 } } };
+  assert.deepEqual(mergeStakingOptions(saved, { rounding: 10, limits: {} }), { rounding: 10, limits: { bet365: { max: 100 } }, mode: null });
+  assert.equal(mergeStakingOptions(null, null), null);
+});
+
+test('parseStakingMode reads equal, favor and fixed_leg', () => {
+  assert.deepEqual(parseStakingMode('equal').mode, { type: 'equal' });
+  assert.deepEqual(parseStakingMode('favor:Boston Celtics').mode, { type: 'favor', outcome: 'Boston Celtics' });
+  assert.deepEqual(parseStakingMode('fixed_leg:FanDuel=40').mode, { type: 'fixed_leg', bookmaker: 'fanduel', amount: 40 });
+
+  assert.match(parseStakingMode('favor:').error, /Invalid staking_mode/);
+  assert.match(parseStakingMode('fixed_leg:fanduel=-5').error, /Invalid staking_mode/);
+  assert.match(parseStakingOptions({ staking_mode: 'all_in' }).error, /Invalid staking_mode/);
+});
+
+test('round_to rounds stakes and reports worst- and best-case profit', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?round_to=5')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  const lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.equal(lakers.instructions, 'Los Angeles Lakers: $50 @ 2.1 on DraftKings | Boston Celtics: $50 @ 2.05 on FanDuel');
+  assert.equal(lakers.worst_case_profit, '$2.50');
+  assert.equal(lakers.best_case_profit, '$5.00');
+  assert.equal(lakers.total_stake, '$100');
+  assert.deepEqual(res.body.staking, { rounding: 5, limits: {}, mode: null });
+});
+
+test('guaranteed profit is what the limited or rounded bets guarantee', async () => {
+  const limited = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?stake=1000&stake_limits=draftkings::100')
+    .set('X-API-Key', API_KEY);
+  const capped = limited.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.match(capped.instructions, /^Los Angeles Lakers: \$100 @ 2.1 on DraftKings/);
+  assert.equal(capped.guaranteed_profit, capped.worst_case_profit);
+  assert.ok(parseFloat(capped.guaranteed_profit.slice(1)) < 10);
+
+  const rounded = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?round_to=50')
+    .set('X-API-Key', API_KEY);
+  const lakers = rounded.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.equal(lakers.guaranteed_profit, '$2.50');
+  assert.equal(lakers.worst_case_profit, '$2.50');
+
+  const unconstrained = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+  assert.equal(unconstrained.body.opportunities.find(opp => opp.market === 'h2h').guaranteed_profit, '$3.73');
+});
+
+test('invalid staking params are rejected', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?stake_limits=draftkings:abc')
+    .set('X-API-Key', API_KEY);
+  assert.equal(res.status, 400);
+
+  const nullLimit = await request(ctx.app)
+    .put('/api/profile/staking')
+    .set('X-API-Key', API_KEY)
+    .send({ stake_limits: { pinnacle: null } });
+  assert.equal(nullLimit.status, 400);
+  assert.match(nullLimit.body.error, /Invalid stake limit for pinnacle/);
+});
+
+test('a saved staking profile applies to every request made with the key', async () => {
+  const saved = await request(ctx.app)
+    .put('/api/profile/staking')
+    .set('X-API-Key', API_KEY)
+    .send({ round_to: 1, stake_limits: { draftkings: { max: 20 } } });
+  assert.equal(saved.status, 200);
+  assert.deepEqual(saved.body.profile.stake_limits, { draftkings: { max: 20 } });
+
+  const res = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+  const lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.match(lakers.instructions, /^Los Angeles Lakers: \$20 @ 2.1 on DraftKings/);
+  assert.ok(parseFloat(lakers.total_stake.slice(1)) < 100);
+
+  const cleared = await request(ctx.app).delete('/api/profile/staking').set('X-API-Key', API_KEY);
+  assert.equal(cleared.body.deleted, true);
+});
+
+test('favor puts all the profit on one outcome and breaks even on the rest', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?staking_mode=favor:Boston Celtics')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  const lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.equal(lakers.staking_mode, 'favor:Boston Celtics');
+  assert.equal(lakers.instructions, 'Los Angeles Lakers: $47.62 @ 2.1 on DraftKings | Boston Celtics: $52.38 @ 2.05 on FanDuel');
+  assert.equal(lakers.worst_case_profit, '$0.00');
+  assert.equal(lakers.best_case_profit, '$7.38');
+
+  // Markets without that outcome keep the equal split
+  const totals = res.body.opportunities.find(opp => opp.market === 'totals');
+  assert.equal(totals.staking_mode, 'equal');
+});
+
+test('fixed_leg sizes every other leg from one stake', async () => {
+  const res = await request(ctx.app)
+    .get('/api/opportunities/sport/basketball?staking_mode=fixed_leg:fanduel=40')
+    .set('X-API-Key', API_KEY);
+
+  const lakers = res.body.opportunities.find(opp => opp.market === 'h2h');
+  assert.equal(lakers.staking_mode, 'fixed_leg:fanduel=40');
+  assert.equal(lakers.instructions, 'Los Angeles Lakers: $39.05 @ 2.1 on DraftKings | Boston Celtics: $40 @ 2.05 on FanDuel');
+  assert.equal(lakers.total_stake, '$79.05');
+});
+
+test('POST /api/calculate stakes legs from the request body', async () => {
+  const res = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send({
+      stake: 100,
+      legs: [
+        { outcome: 'Lakers', odds: 2.1, bookmaker: 'DraftKings' },
+        { outcome: 'Celtics', odds: 2.05, bookmaker: 'FanDuel' },
+      ],
+      round_to: 5,
+      staking_mode: 'favor:Celtics',
+    });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.arbitrage, true);
+  assert.equal(res.body.profit_percentage, 3.73);
+  assert.equal(res.body.staking_mode, 'favor:Celtics');
+  assert.equal(res.body.instructions, 'Lakers: $50 @ 2.1 on DraftKings | Celtics: $55 @ 2.05 on FanDuel');
+  assert.equal(res.body.worst_case_profit, 0);
+
+  const bad = await request(ctx.app)
+    .post('/api/calculate')
+    .set('X-API-Key', API_KEY)
+    .send({ legs: [{ outcome: 'Lakers', odds: 0.5 }, { outcome: 'Celtics', odds: 2 }] });
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /legs\[0\]\.odds/);
+});
@@ -0,0 +1,124 @@
+// test/stats.test.js - Opportunity analytics
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { parseDateRange, opportunityStats } from '../lib/stats.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+const record = (sport, league, books, profit, firstSeen, lifetime) => ({
+  sport,
+  match: { league_key: league },
+  bets: books.map(bookmaker => ({ bookmaker })),
+  profit_percentage: profit,
+  first_seen_at: firstSeen,
+  lifetime_seconds: lifetime,
+});
+
+const records = [
+  record('basketball', 'basketball_nba', ['FanDuel', 'DraftKings'], 2, '2030-01-10T18:05:00Z', 60),
+  record('basketball', 'basketball_nba', ['DraftKings', 'FanDuel'], 4, '2030-01-11T18:40:00Z', 300),
+  record('basketball', 'basketball_nba', ['BetMGM', 'FanDuel'], 1, '2030-01-11T02:00:00Z', 0),
+  record('soccer', 'soccer_epl', ['Bet365', 'Pinnacle', 'Betfair'], 3, '2030-01-12T15:00:00Z', 120),
+];
+
+test('GET /api/stats aggregates the opportunities detected so far', async () => {
+  const scrape = await request(ctx.app).get('/api/opportunities/sport/basketball').set('X-API-Key', API_KEY);
+  assert.equal(scrape.status, 200);
+  // Arbs only found under one caller's filter don't count
+  await request(ctx.app).get('/api/opportunities/sport/basketball?exclude_bookmakers=fanduel').set('X-API-Key', API_KEY);
+
+  const res = await request(ctx.app).get('/api/stats?sport=basketball').set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, scrape.body.count);
+  assert.equal(res.body.max_profit_percentage, 3.73);
+  assert.equal(res.body.by_sport[0].sport, 'basketball');
+  assert.equal(res.body.by_hour.reduce((sum, hour) => sum + hour.count, 0), res.body.count);
+  assert.equal(res.body.median_lifetime_seconds, 0);
+});
+
+test('GET /api/stats validates its filters and is paid', async () => {
+  const bad = await request(ctx.app).get('/api/stats?from=yesterday').set('X-API-Key', API_KEY);
+  assert.equal(bad.status, 400);
+  assert.match(bad.body.error, /Invalid from/);
+
+  const reversed = await request(ctx.app).get('/api/stats?from=2030-02-01&to=2030-01-01').set('X-API-Key', API_KEY);
+  assert.equal(reversed.status, 400);
+
+  const twoSports = await request(ctx.app).get('/api/stats?sport=soccer&sport=nfl').set('X-API-Key', API_KEY);
+  assert.equal(twoSports.status, 400);
+  assert.match(twoSports.body.error, /single sport/);
+
+  const unpaid = await request(ctx.app).get('/api/stats');
+  assert.equal(unpaid.status, 402);
+});
+
+test('parseDateRange makes a date-only `to` cover the whole day', () => {
+  const { value } = parseDateRange({ from: '2030-01-10', to: '2030-01-11' });
+  assert.equal(new Date(value.from).toISOString(), '2030-01-10T00:00:00.000Z');
+  assert.equal(new Date(value.to).toISOString(), '2030-01-11T23:59:59.999Z');
+  assert.deepEqual(parseDateRange({}).value, { from: null, to: null });
+});
+
+test('opportunityStats groups by sport, league and bookmaker pair', () => {
+  const stats = opportunityStats(records);
+
+  assert.equal(stats.count, 4);
+  assert.equal(stats.average_profit_percentage, 2.5);
+  assert.equal(stats.max_profit_percentage, 4);
+  assert.equal(stats.median_lifetime_seconds, 90);
+  assert.deepEqual(stats.by_sport.map(group => [group.sport, group.count]), [['basketball', 3], ['soccer', 1]]);
+  assert.deepEqual(stats.by_league.map(group => group.league), ['basketball_nba', 'soccer_epl']);
+
+  // The pair is the same whichever side each book is on
+  const [pair] = stats.by_bookmaker_pair;
+  assert.deepEqual(pair, {
+    bookmakers: 'DraftKings + FanDuel',
+    count: 2,
+    average_profit_percentage: 3,
+    max_profit_percentage: 4,
+    median_lifetime_seconds: 180,
+  });
+  assert.ok(stats.by_bookmaker_pair.some(group => group.bookmakers === 'Bet365 + Betfair + Pinnacle'));
+  assert.equal(stats.by_hour[18].count, 2);
+});
+
+test('opportunityStats counts every lifetime of an arb that keeps coming back', () => {
+  const recurring = {
+    ...record('basketball', 'basketball_nba', ['DraftKings', 'FanDuel'], 2, '2030-01-11T20:00:00Z', 30),
+    occurrences: [
+      { first_seen_at: '2030-01-10T18:00:00Z', last_seen_at: '2030-01-10T18:10:00Z', lifetime_seconds: 600 },
+      { first_seen_at: '2030-01-11T09:00:00Z', last_seen_at: '2030-01-11T09:01:00Z', lifetime_seconds: 60 },
+    ],
+  };
+
+  const stats = opportunityStats([recurring]);
+  assert.equal(stats.count, 3);
+  assert.equal(stats.median_lifetime_seconds, 60);
+  assert.equal(stats.by_hour[18].count, 1);
+
+  const { value } = parseDateRange({ from: '2030-01-11', to: '2030-01-11' });
+  assert.equal(opportunityStats([recurring], value).count, 2);
+});
+
+test('opportunityStats filters by first-seen date and sport', () => {
+  const { value } = parseDateRange({ from: '2030-01-11', to: '2030-01-11' });
+  assert.equal(opportunityStats(records, value).count, 2);
+  assert.equal(opportunityStats(records, { sport: 'soccer' }).count, 1);
+
+  const empty = opportunityStats([]);
+  assert.equal(empty.count, 0);
+  assert.equal(empty.average_profit_percentage, null);
+  assert.equal(empty.median_lifetime_seconds, null);
+});
@@ -0,0 +1,199 @@
+// test/stream.test.js - Real-time opportunity stream (SSE + WebSocket)
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { once } from 'events';
+import request from 'supertest';
+import WebSocket from 'ws';
+import { diffOpportunities } from '../lib/opportunities.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+import { paymentHeaderFor } from './helpers/fakeFacilitator.js';
+
+let ctx;
+let server;
+let port;
+
+before(async () => {
+  ctx = loadApp();
+  server = http.createServer(ctx.app);
+  ctx.app.locals.stream.attach(server);
+  server.listen(0);
+  await once(server, 'listening');
+  port = server.address().port;
+});
+
+after(async () => {
+  ctx.app.locals.stream.close();
+  server.closeAllConnections();
+  server.close();
+  ctx.close();
+});
+
+/**
+ * Open an SSE connection and collect parsed events until `count` arrive
+ */
+function readSse(path, count, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const events = [];
+    const req = http.get({ port, path, headers }, res => {
+      if (res.statusCode !== 200) {
+        res.resume();
+        return resolve({ status: res.statusCode, events });
+      }
+      let buffer = '';
+      res.setEncoding('utf8');
+      res.on('data', chunk => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\n\n')) !== -1) {
+          const block = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          const event = block.match(/^event: (.+)$/m)?.[1];
+          const data = block.match(/^data: (.+)$/m)?.[1];
+          if (event) events.push({ event, data: JSON.parse(data) });
+        }
+        if (events.length >= count) {
+          req.destroy();
+          resolve({ status: 200, events });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+test('diffOpportunities reports new, updated and expired opportunities', () => {
+  const bet = odds => [{ outcome: 'A', bookmaker: 'x', odds }, { outcome: 'B', bookmaker: 'y', odds: 2.1 }];
+  const previous = [
+    { id: 'kept', profit_percentage: 1, bets: bet(2.1) },
+    { id: 'moved', profit_percentage: 2, bets: bet(2.2) },
+    { id: 'gone', profit_percentage: 3, bets: bet(2.3) },
+  ];
+  const next = [
+    { id: 'kept', profit_percentage: 1, bets: bet(2.1) },
+    { id: 'moved', profit_percentage: 2.5, bets: bet(2.25) },
+    { id: 'fresh', profit_percentage: 4, bets: bet(2.4) },
+  ];
+
+  const events = diffOpportunities(previous, next).map(e => `${e.type}:${e.opportunity.id}`);
+  assert.deepEqual(events, ['opportunity.updated:moved', 'opportunity.new:fresh', 'opportunity.expired:gone']);
+});
+
+test('SSE requires an API key or a stream pass', async () => {
+  const { status } = await readSse('/api/stream', 1);
+  assert.equal(status, 401);
+});
+
+test('API keys are not accepted in the stream URL', async () => {
+  const { status } = await readSse(`/api/stream?api_key=${API_KEY}`, 1);
+  assert.equal(status, 401);
+
+  const ws = new WebSocket(`ws://localhost:${port}/api/stream/ws?api_key=${API_KEY}`);
+  const [err] = await once(ws, 'error');
+  assert.match(err.message, /401/);
+});
+
+test('an API key gets a free pass for clients that cannot set headers', async () => {
+  const res = await request(ctx.app).get('/api/stream/pass').set('X-API-Key', API_KEY);
+  assert.equal(res.status, 200);
+  assert.equal(res.body.price_paid, null);
+
+  const { status, events } = await readSse(`${res.body.sse}&sports=nfl`, 1);
+  assert.equal(status, 200);
+  assert.equal(events[0].event, 'snapshot');
+});
+
+test('SSE rejects an unknown sport', async () => {
+  const res = await request(ctx.app).get('/api/stream?sports=curling').set('X-API-Key', API_KEY);
+  assert.equal(res.status, 400);
+});
+
+test('SSE pushes a snapshot, then opportunity.new as a refresh lands', async () => {
+  const reading = readSse('/api/stream?sports=basketball', 3, { 'X-API-Key': API_KEY });
+  // Let the subscription register before refreshing
+  await new Promise(resolve => setTimeout(resolve, 50));
+  await ctx.app.locals.opportunities.refreshSport('basketball');
+
+  const { events } = await reading;
+  assert.equal(events[0].event, 'snapshot');
+  assert.equal(events[0].data.sport, 'basketball');
+  assert.deepEqual(events.slice(1).map(e => e.event), ['opportunity.new', 'opportunity.new']);
+  assert.match(events[1].data.opportunity.id, /^arb_/);
+});
+
+test('WebSocket clients receive the same events', async () => {
+  const ws = new WebSocket(`ws://localhost:${port}/api/stream/ws?sports=soccer`, { headers: { 'X-API-Key': API_KEY } });
+  const messages = [];
+  const done = new Promise(resolve => {
+    ws.on('message', raw => {
+      messages.push(JSON.parse(raw));
+      if (messages.length === 2) resolve();
+    });
+  });
+  await once(ws, 'open');
+  await ctx.app.locals.opportunities.refreshSport('soccer');
+  await done;
+  ws.close();
+
+  assert.equal(messages[0].event, 'snapshot');
+  assert.equal(messages[1].event, 'opportunity.new');
+  assert.equal(messages[1].data.sport, 'soccer');
+});
+
+test('WebSocket upgrades without credentials are refused', async () => {
+  const ws = new WebSocket(`ws://localhost:${port}/api/stream/ws`);
+  const [err] = await once(ws, 'error');
+  assert.match(err.message, /401/);
+});
+
+test('an x402 payment buys a time-boxed stream pass', async () => {
+  const unpaid = await request(ctx.app).get('/api/stream/pass');
+  assert.equal(unpaid.status, 402);
+
+  const paid = await request(ctx.app)
+    .get('/api/stream/pass')
+    .set('Payment-Signature', paymentHeaderFor(unpaid.headers['payment-required']));
+  assert.equal(paid.status, 200);
+  assert.equal(paid.body.auth_method, 'x402');
+  assert.match(paid.body.token, /^sp_[0-9a-f]{32}$/);
+  assert.ok(Date.parse(paid.body.expires_at) > Date.now());
+
+  const { status, events } = await readSse(`/api/stream?sports=nfl&token=${paid.body.token}`, 1);
+  assert.equal(status, 200);
+  assert.equal(events[0].event, 'snapshot');
+});
+
+test('connections on a stream pass are closed when the pass expires', async () => {
+  const short = loadApp({ stream: { passMinutes: 0.005 } });
+  const shortServer = http.createServer(short.app);
+  short.app.locals.stream.attach(shortServer);
+  shortServer.listen(0);
+  await once(shortServer, 'listening');
+  const shortPort = shortServer.address().port;
+  const pass = async () => (await request(short.app).get('/api/stream/pass').set('X-API-Key', API_KEY)).body.token;
+
+  try {
+    const sseToken = await pass();
+    const body = await new Promise((resolve, reject) => {
+      http.get({ port: shortPort, path: `/api/stream?sports=nfl&token=${sseToken}` }, res => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', chunk => { text += chunk; });
+        res.on('end', () => resolve(text));
+      }).on('error', reject);
+    });
+    assert.match(body, /event: snapshot/);
+    assert.match(body, /event: pass\.expired/);
+
+    const ws = new WebSocket(`ws://localhost:${shortPort}/api/stream/ws?sports=nfl&token=${await pass()}`);
+    const [code, reason] = await once(ws, 'close');
+    assert.equal(code, 1008);
+    assert.equal(reason.toString(), 'Stream pass expired');
+  } finally {
+    short.app.locals.stream.close();
+    shortServer.closeAllConnections();
+    shortServer.close();
+    short.close();
+  }
+});
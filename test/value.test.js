@@ -0,0 +1,103 @@
+// test/value.test.js - No-vig fair lines and positive-EV detection
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import request from 'supertest';
+import { noVigProbabilities, fairProbabilities, kellyFraction, findValueBets } from '../lib/value.js';
+import { loadApp, API_KEY } from './helpers/app.js';
+
+let ctx;
+
+before(() => {
+  ctx = loadApp();
+});
+
+after(() => {
+  ctx.close();
+});
+
+const market = {
+  market: 'h2h',
+  line: null,
+  outcomes: ['A', 'B'],
+  odds: [
+    { bookmaker: 'Pinnacle', bookmaker_key: 'pinnacle', prices: { A: 1.95, B: 1.95 } },
+    { bookmaker: 'Soft', bookmaker_key: 'soft', prices: { A: 2.1, B: 1.8 } },
+    { bookmaker: 'Other', bookmaker_key: 'other', prices: { A: 1.9 } },
+  ],
+};
+
+test('noVigProbabilities removes the margin proportionally', () => {
+  assert.deepEqual(noVigProbabilities({ A: 1.95, B: 1.95 }, ['A', 'B']), { A: 0.5, B: 0.5 });
+  assert.equal(noVigProbabilities({ A: 1.9 }, ['A', 'B']), null);
+});
+
+test('fairProbabilities prefers the sharp book and falls back to the consensus', () => {
+  assert.deepEqual(fairProbabilities(market), { probabilities: { A: 0.5, B: 0.5 }, source: 'pinnacle', books: 1 });
+
+  const consensus = fairProbabilities(market, { sharp: 'consensus' });
+  assert.equal(consensus.source, 'consensus');
+  assert.equal(consensus.books, 2);
+
+  const noSharp = { ...market, odds: market.odds.slice(1) };
+  assert.equal(fairProbabilities(noSharp), null);
+});
+
+test('kellyFraction sizes the stake from the edge', () => {
+  assert.equal(kellyFraction(0.5, 2.1).toFixed(4), '0.0455');
+  assert.ok(kellyFraction(0.5, 1.9) < 0);
+});
+
+test('findValueBets flags soft prices above the fair line, never the sharp one', () => {
+  const matches = [{ event_id: 'e1', match_name: 'A vs B', sport: 'tennis', markets: [market] }];
+  const [bet, ...rest] = findValueBets(matches);
+
+  assert.equal(rest.length, 0);
+  assert.equal(bet.bookmaker, 'Soft');
+  assert.equal(bet.outcome, 'A');
+  assert.equal(bet.ev_percentage, 5);
+  assert.equal(bet.fair_odds, 2);
+  assert.equal(bet.kelly_fraction, 0.0455);
+
+  // Commission comes off the price before EV
+  assert.equal(findValueBets(matches, { commissions: { soft: 5 } })[0].ev_percentage, 2.25);
+  assert.equal(findValueBets(matches, { minEv: 6 }).length, 0);
+});
+
+test('GET /api/value/sport/:sport lists value bets against Pinnacle', async () => {
+  const res = await request(ctx.app)
+    .get('/api/value/sport/basketball?bankroll=1000&kelly_multiplier=0.5')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  const [best] = res.body.value_bets;
+  assert.equal(best.outcome, 'Los Angeles Lakers');
+  assert.equal(best.bookmaker, 'DraftKings');
+  assert.equal(best.fair_source, 'pinnacle');
+  assert.equal(best.ev, '3.92%');
+  assert.equal(best.kelly_fraction, 0.0179);
+  assert.equal(best.kelly_stake, '$17.85');
+  assert.ok(res.body.value_bets.every(bet => bet.bookmaker !== 'Pinnacle'));
+});
+
+test('a bookmaker filter limits the flagged books but keeps the sharp line', async () => {
+  const res = await request(ctx.app)
+    .get('/api/value/sport/basketball?bookmakers=fanduel')
+    .set('X-API-Key', API_KEY);
+
+  assert.equal(res.status, 200);
+  assert.ok(res.body.count > 0);
+  assert.ok(res.body.value_bets.every(bet => bet.bookmaker === 'FanDuel' && bet.fair_source === 'pinnacle'));
+});
+
+test('GET /api/value/sport/:sport is paid and validates its params', async () => {
+  const unpaid = await request(ctx.app).get('/api/value/sport/basketball');
+  assert.equal(unpaid.status, 402);
+
+  const bad = await request(ctx.app).get('/api/value/sport/basketball?kelly_multiplier=2').set('X-API-Key', API_KEY);
+  assert.equal(bad.status, 400);
+
+  const twoSharps = await request(ctx.app).get('/api/value/sport/basketball?sharp=pinnacle&sharp=betfair').set('X-API-Key', API_KEY);
+  assert.equal(twoSharps.status, 400);
+  assert.match(twoSharps.body.error, /sharp must be a single bookmaker/);
+});